@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 
 const chalk = require('chalk');
-const fs = require('fs-extra');
+const ErrorStore = require('./scripts/error-store');
 
 async function demonstrateCosmicFountain() {
   console.log(chalk.cyan('🌟 COSMIC FOUNTAIN - SELF-HEALING DEMONSTRATION'));
@@ -78,10 +78,11 @@ async function demonstrateCosmicFountain() {
   console.log(chalk.magenta('📈 CURRENT SYSTEM STATUS:\n'));
   
   try {
-    const errorHistory = await fs.readJson('./logs/error_history.json');
-    console.log(`   Errors Logged: ${errorHistory.errors.length}`);
-    console.log(`   Errors Resolved: ${errorHistory.errors.filter(e => e.resolved).length}`);
-    console.log(`   Success Rate: ${((errorHistory.errors.filter(e => e.resolved).length / errorHistory.errors.length) * 100).toFixed(0)}%`);
+    const errors = await new ErrorStore().all();
+    if (errors.length === 0) throw new Error('empty');
+    console.log(`   Errors Logged: ${errors.length}`);
+    console.log(`   Errors Resolved: ${errors.filter(e => e.resolved).length}`);
+    console.log(`   Success Rate: ${((errors.filter(e => e.resolved).length / errors.length) * 100).toFixed(0)}%`);
   } catch (e) {
     console.log('   No errors logged yet');
   }
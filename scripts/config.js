@@ -0,0 +1,600 @@
+const fs = require('fs-extra');
+const path = require('path');
+const cron = require('node-cron');
+const chalk = require('chalk');
+const HealthGate = require('./health-gate');
+const RetentionManager = require('./retention');
+const LeakRemediation = require('./leak-remediation');
+
+const CONFIG_FILES = ['cosmic-fountain.config.js', 'cosmic-fountain.config.json'];
+const ENV_PREFIX = 'COSMIC_';
+
+// Retention limits are configurable; where each artifact lives and how it is
+// aggregated stays with RetentionManager
+const RETENTION_LIMITS = ['maxAgeDays', 'maxCount', 'maxBytes', 'keepConfidence'];
+
+const DEFAULTS = {
+  // Plugins and file templates are left unset so a healer built without a
+  // loaded config still reads them from package.json itself
+  heal: {
+    maxSamples: 10,
+    // PROCESS_MEMORY_LEAK climbs these steps, one per detection, waiting the
+    // step's cooldown before the next; restart and kill only for watch-list entries
+    memoryLeak: {
+      steps: ['notify', 'diagnostics', 'restart', 'kill'],
+      cooldowns: {
+        notify: 10 * 60 * 1000,
+        diagnostics: 10 * 60 * 1000,
+        restart: 15 * 60 * 1000,
+        kill: 30 * 60 * 1000
+      },
+      resetAfterMs: 60 * 60 * 1000, // start over once the leak is quiet this long
+      graceMs: 10000, // for processes to exit after SIGTERM on restart
+      diagnosticsDir: path.join(__dirname, '../logs/diagnostics')
+    }
+  },
+  monitor: {
+    thresholds: {
+      memoryGrowthRate: 10, // MB per minute
+      memoryUsagePercent: 85, // Percentage of total memory
+      processMemoryMB: 1000, // MB per process
+      consecutiveAlerts: 3,
+      processGrowthRate: 10 // MB per minute for a single process
+    },
+    // Leak detection fits a line over the last windowSize samples
+    trend: {
+      windowSize: 20,
+      minSamples: 5,
+      minR2: 0.8, // how well the line has to fit before growth counts
+      spikeSigma: 3, // robust standard deviations above the fit that make a spike
+      spikeMinMB: 20
+    },
+    schedules: {
+      systemMemory: '*/30 * * * * *',
+      processMemory: '0 * * * * *',
+      maintenance: '0 */5 * * * *',
+      weeklyCleanup: '0 0 * * 0'
+    },
+    // Only for Node processes of this user started with --heapsnapshot-signal
+    heapSnapshots: {
+      enabled: true,
+      intervalMs: 30000, // between the two snapshots
+      timeoutMs: 120000, // for one snapshot to be written
+      cooldownMs: 60 * 60 * 1000, // per PID
+      topN: 10,
+      maxSnapshotMB: 256,
+      keepSnapshots: false,
+      dir: path.join(__dirname, '../logs/heap-snapshots')
+    },
+    // Samples on disk: raw for rawMs, then 1-minute averages for minuteMs,
+    // then hourly averages for hourMs
+    history: {
+      enabled: true,
+      dir: path.join(__dirname, '../logs/memory-history'),
+      rawMs: 60 * 60 * 1000,
+      minuteMs: 24 * 60 * 60 * 1000,
+      hourMs: 30 * 24 * 60 * 60 * 1000
+    },
+    // Named processes whose history follows them across restarts, e.g.
+    // { name: 'webpack', match: { cmdline: 'webpack serve' }, thresholds: { processGrowthRate: 5 } }
+    watch: []
+  },
+  network: {
+    maxRetries: 3,
+    timeoutMs: 10000,
+    criticalEndpoints: ['google.com', 'github.com', 'npmjs.com'],
+    schedules: {
+      endpoints: '*/30 * * * * *',
+      adapters: '0 */2 * * * *',
+      dns: '0 */5 * * * *',
+      performance: '0 */10 * * * *'
+    }
+  },
+  git: {
+    largeFileSizeThreshold: 10 * 1024 * 1024 // 10MB
+  },
+  retention: {
+    schedule: '0 30 3 * * *', // daily at 03:30
+    artifacts: Object.fromEntries(Object.entries(RetentionManager.DEFAULT_ARTIFACTS).map(([name, policy]) => [
+      name,
+      Object.fromEntries(RETENTION_LIMITS.filter(limit => policy[limit] !== undefined).map(limit => [limit, policy[limit]]))
+    ]))
+  },
+  server: {
+    port: 7777,
+    host: '127.0.0.1'
+  },
+  ci: {
+    failOn: 'high',
+    criticalMemoryPercent: 95
+  },
+  daemon: {
+    pidFile: path.join(__dirname, '../logs/cosmic-fountain.pid'),
+    logFile: path.join(__dirname, '../logs/daemon.log'), // output of `daemon start`
+    shutdownTimeoutMs: 30000 // how long a shutdown waits for heals in progress
+  },
+  crashGuard: {
+    maxHeals: 3, // heals per error fingerprint within the window
+    windowMs: 10 * 60 * 1000,
+    backoffMs: 1000, // wait before the second heal, doubled for each one after
+    maxBackoffMs: 60000,
+    reportPath: path.join(__dirname, '../logs/crash-report.json')
+  },
+  // Off by default so `start` doesn't take a port nobody asked for
+  metrics: {
+    enabled: false,
+    port: 9477,
+    host: '127.0.0.1'
+  },
+  // No sinks by default; quietHours is left out unless configured
+  notifications: {
+    dedupeWindowMs: 15 * 60 * 1000, // same alert at most once per window
+    sinks: []
+  }
+};
+
+const number = (min, max = Infinity, integer = false) => ({ type: 'number', min, max, integer });
+const integer = (min, max) => number(min, max, true);
+const string = { type: 'string' };
+const schedule = { type: 'cron' };
+const strings = { type: 'array', items: string };
+const object = (properties) => ({ type: 'object', properties });
+const map = (values) => ({ type: 'map', values });
+const severity = { type: 'string', enum: HealthGate.SEVERITIES };
+
+const watchEntry = {
+  ...object({
+    name: string,
+    match: object({ name: string, cmdline: { type: 'regex' }, cwd: string }),
+    // How the remediation ladder starts it again after a graceful stop
+    start: {
+      ...object({ command: string, cwd: string }),
+      check: value => value.command === undefined ? ['needs a "command"'] : []
+    },
+    thresholds: object({ processMemoryMB: number(0), processGrowthRate: number(0) })
+  }),
+  check: value => [
+    ...(value.name === undefined ? ['needs a "name"'] : []),
+    ...(Object.keys(value.match || {}).length === 0 ? ['needs a "match" on name, cmdline or cwd'] : [])
+  ]
+};
+
+const LEAK_STEPS = LeakRemediation.STEPS;
+
+// Which settings each notification sink type needs
+const SINK_REQUIREMENTS = { webhook: ['url'], command: ['command'], desktop: [], file: ['dir'] };
+
+const sink = {
+  ...object({
+    type: { type: 'string', enum: Object.keys(SINK_REQUIREMENTS) },
+    name: string,
+    minSeverity: severity,
+    events: strings,
+    url: { type: 'url' },
+    headers: map(string),
+    command: string,
+    dir: string,
+    timeoutMs: integer(100)
+  }),
+  check: value => (SINK_REQUIREMENTS[value.type] || ['type'])
+    .filter(key => value[key] === undefined)
+    .map(key => value.type ? `needs "${key}" for a ${value.type} sink` : 'needs a "type"')
+};
+
+const SCHEMA = object({
+  heal: object({
+    maxSamples: integer(1),
+    plugins: object({ packages: strings, pluginDir: string }),
+    fileTemplates: object({ templates: map(string), restoreFromGit: { type: 'boolean' } }),
+    matchWeights: map(number(0)),
+    memoryLeak: object({
+      steps: { type: 'array', items: { type: 'string', enum: LEAK_STEPS } },
+      cooldowns: object(Object.fromEntries(LEAK_STEPS.map(step => [step, integer(0)]))),
+      resetAfterMs: integer(0),
+      graceMs: integer(0),
+      diagnosticsDir: string
+    }),
+    learning: object({ halfLifeDays: number(0.01), floor: number(0, 1), minAttempts: number(0), priorWeight: number(0) }),
+    portConflict: object({
+      allow: strings,
+      deny: strings,
+      graceMs: integer(0),
+      sameUserOnly: { type: 'boolean' },
+      alternativePortRange: integer(0, 65535)
+    })
+  }),
+  monitor: object({
+    thresholds: object({
+      memoryGrowthRate: number(0),
+      memoryUsagePercent: number(1, 100),
+      processMemoryMB: number(1),
+      consecutiveAlerts: integer(1),
+      processGrowthRate: number(0)
+    }),
+    trend: object({
+      windowSize: integer(3),
+      minSamples: integer(3),
+      minR2: number(0, 1),
+      spikeSigma: number(0),
+      spikeMinMB: number(0)
+    }),
+    schedules: object({ systemMemory: schedule, processMemory: schedule, maintenance: schedule, weeklyCleanup: schedule }),
+    heapSnapshots: object({
+      enabled: { type: 'boolean' },
+      intervalMs: integer(0),
+      timeoutMs: integer(1000),
+      cooldownMs: integer(0),
+      topN: integer(1),
+      maxSnapshotMB: integer(1),
+      keepSnapshots: { type: 'boolean' },
+      dir: string
+    }),
+    history: object({
+      enabled: { type: 'boolean' },
+      dir: string,
+      rawMs: integer(60000),
+      minuteMs: integer(60000),
+      hourMs: integer(60000)
+    }),
+    watch: {
+      type: 'array',
+      items: watchEntry,
+      check: entries => entries
+        .map(entry => entry.name)
+        .filter((name, i, names) => name !== undefined && names.indexOf(name) !== i)
+        .map(name => `has "${name}" more than once`)
+    }
+  }),
+  network: object({
+    maxRetries: integer(1),
+    timeoutMs: integer(100),
+    criticalEndpoints: { type: 'array', items: { type: 'endpoint' } },
+    schedules: object({ endpoints: schedule, adapters: schedule, dns: schedule, performance: schedule })
+  }),
+  git: object({
+    largeFileSizeThreshold: integer(1)
+  }),
+  retention: object({
+    schedule,
+    artifacts: map(object({
+      maxAgeDays: number(0),
+      maxCount: integer(1),
+      maxBytes: integer(1),
+      keepConfidence: number(0, 10),
+      file: string,
+      path: string,
+      map: string,
+      aggregateBy: string,
+      sum: strings
+    }))
+  }),
+  server: object({
+    port: integer(1, 65535),
+    host: string,
+    token: string
+  }),
+  ci: object({
+    failOn: severity,
+    criticalMemoryPercent: number(1, 100)
+  }),
+  daemon: object({
+    pidFile: string,
+    logFile: string,
+    shutdownTimeoutMs: integer(0)
+  }),
+  crashGuard: object({
+    maxHeals: integer(1),
+    windowMs: integer(1000),
+    backoffMs: integer(0),
+    maxBackoffMs: integer(0),
+    reportPath: string
+  }),
+  metrics: object({
+    enabled: { type: 'boolean' },
+    port: integer(1, 65535),
+    host: string
+  }),
+  notifications: object({
+    dedupeWindowMs: integer(0),
+    quietHours: {
+      ...object({ start: { type: 'time' }, end: { type: 'time' }, minSeverity: severity }),
+      check: value => ['start', 'end'].filter(key => value[key] === undefined).map(key => `needs "${key}"`)
+    },
+    sinks: { type: 'array', items: sink }
+  })
+});
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.code = 'ECONFIG';
+    this.problems = problems;
+  }
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isRegex = (value) => {
+  try {
+    new RegExp(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Layers, lowest precedence first: built-in defaults, "cosmicFountain" in
+// package.json, cosmic-fountain.config.{js,json} (or $COSMIC_CONFIG), then
+// COSMIC_* environment variables. Each layer is validated on its own so a
+// problem is reported against the place it came from.
+class ConfigLoader {
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.env = options.env || process.env;
+    this.file = options.file || this.env.COSMIC_CONFIG || null;
+    this.sources = [];
+    this.warnings = [];
+  }
+
+  static defaults() {
+    return JSON.parse(JSON.stringify(DEFAULTS));
+  }
+
+  // Objects merge key by key; arrays and everything else are replaced
+  static merge(base, ...overrides) {
+    const result = isPlainObject(base) ? { ...base } : {};
+    
+    for (const override of overrides) {
+      for (const [key, value] of Object.entries(override || {})) {
+        result[key] = isPlainObject(value) && isPlainObject(result[key])
+          ? ConfigLoader.merge(result[key], value)
+          : value;
+      }
+    }
+    
+    return result;
+  }
+
+  // Subsystems built without a loaded config fall back to the defaults
+  static withDefaults(config = {}) {
+    return ConfigLoader.merge(ConfigLoader.defaults(), config);
+  }
+
+  readPackageConfig() {
+    const packageJsonPath = path.join(this.cwd, 'package.json');
+    if (!fs.pathExistsSync(packageJsonPath)) return null;
+    
+    const packageConfig = fs.readJsonSync(packageJsonPath).cosmicFountain;
+    if (!packageConfig) return null;
+    
+    const { plugins, templates, ...config } = packageConfig;
+    
+    // "plugins" and "templates" predate this file and keep their old meaning
+    if (plugins !== undefined) {
+      config.heal = ConfigLoader.merge(config.heal, { plugins: { packages: plugins } });
+    }
+    if (templates !== undefined) {
+      config.heal = ConfigLoader.merge(config.heal, { fileTemplates: { templates } });
+    }
+    
+    return config;
+  }
+
+  findConfigFile() {
+    if (this.file) {
+      const file = path.resolve(this.cwd, this.file);
+      if (!fs.pathExistsSync(file)) {
+        throw new ConfigError([`Config file ${file} does not exist`]);
+      }
+      return file;
+    }
+    
+    return CONFIG_FILES.map(name => path.join(this.cwd, name)).find(file => fs.pathExistsSync(file)) || null;
+  }
+
+  readConfigFile(file) {
+    try {
+      if (!file.endsWith('.js')) return fs.readJsonSync(file);
+      
+      // A SIGHUP reload has to see the file as it is now
+      delete require.cache[require.resolve(file)];
+      return require(file);
+    } catch (error) {
+      const message = error.message.split('\n')[0].replace(`${file}: `, '');
+      throw new ConfigError([`${path.relative(this.cwd, file) || file}: ${message}`]);
+    }
+  }
+
+  // COSMIC_MONITOR__THRESHOLDS__MEMORY_USAGE_PERCENT=90 sets
+  // monitor.thresholds.memoryUsagePercent; "__" separates levels and each
+  // level matches a setting name ignoring case, "_" and "-". Variables that
+  // match no setting may belong to something else and are only warned about.
+  readEnv(warnings) {
+    const config = {};
+    const normalize = name => name.replace(/[-_]/g, '').toLowerCase();
+    
+    for (const [variable, raw] of Object.entries(this.env)) {
+      if (!variable.startsWith(ENV_PREFIX) || variable === `${ENV_PREFIX}CONFIG`) continue;
+      
+      let schema = SCHEMA;
+      const keys = [];
+      for (const segment of variable.slice(ENV_PREFIX.length).split('__')) {
+        if (schema?.type === 'object') {
+          const key = Object.keys(schema.properties).find(name => normalize(name) === normalize(segment));
+          keys.push(key || segment);
+          schema = key ? schema.properties[key] : null;
+        } else if (schema?.type === 'map') {
+          keys.push(segment.toLowerCase().replace(/_/g, '-'));
+          schema = schema.values;
+        } else {
+          schema = null;
+        }
+        if (!schema) break;
+      }
+      
+      if (!schema) {
+        warnings.push(`environment: ignoring ${variable}, which does not match any setting (read as ${keys.join('.')})`);
+        continue;
+      }
+      
+      let target = config;
+      keys.slice(0, -1).forEach(key => { target = target[key] = target[key] || {}; });
+      target[keys[keys.length - 1]] = this.parseEnvValue(raw, schema);
+    }
+    
+    return config;
+  }
+
+  parseEnvValue(raw, schema) {
+    if (schema.type === 'number') {
+      return raw.trim() !== '' && !isNaN(Number(raw)) ? Number(raw) : raw;
+    }
+    if (schema.type === 'boolean') {
+      return raw === 'true' ? true : raw === 'false' ? false : raw;
+    }
+    if (schema.type === 'array' && !raw.trim().startsWith('[')) {
+      return raw.split(',').map(item => item.trim()).filter(Boolean);
+    }
+    if (schema.type === 'array' || schema.type === 'object' || schema.type === 'map') {
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        return raw;
+      }
+    }
+    return raw;
+  }
+
+  describe(schema) {
+    switch (schema.type) {
+      case 'number': {
+        const kind = schema.integer ? 'an integer' : 'a number';
+        if (schema.max !== Infinity) return `${kind} between ${schema.min} and ${schema.max}`;
+        return `${kind} of at least ${schema.min}`;
+      }
+      case 'string':
+        return schema.enum ? `one of: ${schema.enum.join(', ')}` : 'a string';
+      case 'cron':
+        return 'a valid cron expression';
+      case 'endpoint':
+        return 'a host name or IP address';
+      case 'url':
+        return 'an http:// or https:// URL';
+      case 'time':
+        return 'a time of day as HH:MM';
+      case 'regex':
+        return 'a regular expression';
+      case 'array':
+        return 'an array';
+      case 'boolean':
+        return 'true or false';
+      default:
+        return 'an object';
+    }
+  }
+
+  validate(value, schema = SCHEMA, at = '', problems = []) {
+    const fail = () => problems.push(`${at || 'config'} must be ${this.describe(schema)} (got ${JSON.stringify(value)})`);
+    
+    switch (schema.type) {
+      case 'number':
+        if (typeof value !== 'number' || isNaN(value) || value < schema.min || value > schema.max ||
+          (schema.integer && !Number.isInteger(value))) fail();
+        break;
+      case 'string':
+        if (typeof value !== 'string' || (schema.enum && !schema.enum.includes(value))) fail();
+        break;
+      case 'boolean':
+        if (typeof value !== 'boolean') fail();
+        break;
+      case 'cron':
+        if (typeof value !== 'string' || !cron.validate(value)) fail();
+        break;
+      case 'endpoint':
+        if (typeof value !== 'string' || !/^[A-Za-z0-9]([A-Za-z0-9.:-]*[A-Za-z0-9])?$/.test(value)) fail();
+        break;
+      case 'url':
+        if (typeof value !== 'string' || !/^https?:\/\/[^\s/]+/.test(value)) fail();
+        break;
+      case 'time':
+        if (typeof value !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(value)) fail();
+        break;
+      case 'regex':
+        if (typeof value !== 'string' || !isRegex(value)) fail();
+        break;
+      case 'array':
+        if (!Array.isArray(value)) {
+          fail();
+        } else {
+          value.forEach((item, i) => this.validate(item, schema.items, `${at}[${i}]`, problems));
+          if (schema.check) {
+            problems.push(...schema.check(value).map(problem => `${at} ${problem}`));
+          }
+        }
+        break;
+      case 'map':
+      case 'object':
+        if (!isPlainObject(value)) {
+          fail();
+          break;
+        }
+        for (const [key, child] of Object.entries(value)) {
+          const childAt = at ? `${at}.${key}` : key;
+          const childSchema = schema.type === 'map' ? schema.values : schema.properties[key];
+          if (!childSchema) {
+            problems.push(`${childAt} is not a known setting`);
+          } else {
+            this.validate(child, childSchema, childAt, problems);
+          }
+        }
+        if (schema.check) {
+          problems.push(...schema.check(value).map(problem => `${at} ${problem}`));
+        }
+        break;
+    }
+    
+    return problems;
+  }
+
+  load() {
+    const layers = [];
+    const problems = [];
+    const label = file => path.relative(this.cwd, file) || file;
+    
+    try {
+      const packageConfig = this.readPackageConfig();
+      if (packageConfig) layers.push({ source: 'package.json#cosmicFountain', config: packageConfig });
+    } catch (error) {
+      throw new ConfigError([`package.json: ${error.message}`]);
+    }
+    
+    const file = this.findConfigFile();
+    if (file) {
+      layers.push({ source: label(file), config: this.readConfigFile(file) });
+    }
+    
+    const warnings = [];
+    const envConfig = this.readEnv(warnings);
+    if (Object.keys(envConfig).length > 0) {
+      layers.push({ source: 'environment', config: envConfig });
+    }
+    
+    for (const layer of layers) {
+      problems.push(...this.validate(layer.config).map(problem => `${layer.source}: ${problem}`));
+    }
+    if (problems.length > 0) {
+      throw new ConfigError(problems);
+    }
+    
+    this.warnings = warnings;
+    warnings.forEach(warning => console.log(chalk.yellow(`⚠️  ${warning}`)));
+    
+    this.sources = ['defaults', ...layers.map(layer => layer.source)];
+    return ConfigLoader.merge(ConfigLoader.defaults(), ...layers.map(layer => layer.config));
+  }
+}
+
+ConfigLoader.ConfigError = ConfigError;
+ConfigLoader.DEFAULTS = DEFAULTS;
+
+module.exports = ConfigLoader;
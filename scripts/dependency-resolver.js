@@ -5,10 +5,12 @@ const path = require('path');
 const { execSync } = require('child_process');
 const chalk = require('chalk');
 const SelfHealingSystem = require('./heal');
+const ConfigLoader = require('./config');
 
 class DependencyConflictResolver {
-  constructor() {
-    this.healer = new SelfHealingSystem();
+  constructor(config = {}, shared = {}) {
+    this.healer = shared.healer || new SelfHealingSystem(ConfigLoader.withDefaults(config).heal);
+    this.bus = shared.bus || this.healer.bus;
     this.packageManagers = {
       npm: {
         lockFile: 'package-lock.json',
@@ -39,6 +41,8 @@ class DependencyConflictResolver {
       }
     };
     this.conflictStrategies = new Map();
+    // Most recent analyzeDependencies() result, with analyzedAt, for the metrics exporter
+    this.lastAnalysis = null;
     this.initializeStrategies();
   }
 
@@ -96,6 +100,11 @@ class DependencyConflictResolver {
       // Check for security vulnerabilities
       const vulns = await this.checkSecurityVulnerabilities(pm);
       analysis.vulnerabilities.push(...vulns);
+      vulns.forEach(vuln => this.bus.publish('deps.vulnerability', {
+        package: vuln.package,
+        severity: vuln.severity || 'unknown',
+        title: vuln.title
+      }));
       
       // Check for outdated packages
       const outdated = await this.checkOutdatedPackages(pm);
@@ -110,6 +119,7 @@ class DependencyConflictResolver {
       analysis.error = error.message;
     }
     
+    this.lastAnalysis = { ...analysis, analyzedAt: Date.now() };
     return analysis;
   }
 
@@ -280,18 +290,38 @@ class DependencyConflictResolver {
     return issues;
   }
 
-  async resolvePeerDependency(conflict) {
+  // Backs up the manifest and lock file so `heal --undo` can put them back and reinstall
+  async snapshotManifest(pm) {
+    const cwd = process.cwd();
+    const [file, ...args] = pm.installCmd.split(' ');
+    const undo = [{ type: 'run_command', file, args, cwd }];
+    
+    for (const file of ['package.json', pm.lockFile]) {
+      undo.push(await this.healer.undoExecutor.backupFile(path.join(cwd, file)));
+    }
+    
+    return undo;
+  }
+
+  async resolvePeerDependency(conflict, options = {}) {
     console.log(chalk.blue(`🔧 Resolving peer dependency: ${conflict.package}`));
     
     try {
       const packageManager = await this.detectPackageManager();
       const pm = this.packageManagers[packageManager];
+      const cmd = `${pm.installCmd} ${conflict.package}`;
+      
+      if (options.dryRun) {
+        return SelfHealingSystem.createPlan(`install_peer_dependency_${conflict.package}`, { commands: [cmd] });
+      }
+      
+      const undo = await this.snapshotManifest(pm);
       
       // Try to install the peer dependency
-      execSync(`${pm.installCmd} ${conflict.package}`, { stdio: 'inherit' });
+      execSync(cmd, { stdio: 'inherit' });
       
       console.log(chalk.green(`✅ Installed peer dependency: ${conflict.package}`));
-      return { success: true, action: `installed_peer_dependency_${conflict.package}` };
+      return { success: true, action: `installed_peer_dependency_${conflict.package}`, undo };
       
     } catch (error) {
       console.log(chalk.red(`❌ Failed to resolve peer dependency: ${error.message}`));
@@ -299,18 +329,25 @@ class DependencyConflictResolver {
     }
   }
 
-  async resolveVersionConflict(conflict) {
+  async resolveVersionConflict(conflict, options = {}) {
     console.log(chalk.blue(`🔧 Resolving version conflict: ${conflict.package}`));
     
     try {
       const packageManager = await this.detectPackageManager();
       const pm = this.packageManagers[packageManager];
+      const cmd = `${pm.updateCmd} ${conflict.package}`;
+      
+      if (options.dryRun) {
+        return SelfHealingSystem.createPlan(`update_package_${conflict.package}`, { commands: [cmd] });
+      }
+      
+      const undo = await this.snapshotManifest(pm);
       
       // Try to update the conflicting package
-      execSync(`${pm.updateCmd} ${conflict.package}`, { stdio: 'inherit' });
+      execSync(cmd, { stdio: 'inherit' });
       
       console.log(chalk.green(`✅ Updated conflicting package: ${conflict.package}`));
-      return { success: true, action: `updated_package_${conflict.package}` };
+      return { success: true, action: `updated_package_${conflict.package}`, undo };
       
     } catch (error) {
       console.log(chalk.red(`❌ Failed to resolve version conflict: ${error.message}`));
@@ -318,18 +355,25 @@ class DependencyConflictResolver {
     }
   }
 
-  async resolveMissingDependency(issue) {
+  async resolveMissingDependency(issue, options = {}) {
     console.log(chalk.blue(`🔧 Resolving missing dependency: ${issue.package}`));
     
     try {
       const packageManager = await this.detectPackageManager();
       const pm = this.packageManagers[packageManager];
+      const cmd = `${pm.installCmd} ${issue.package}@${issue.version}`;
+      
+      if (options.dryRun) {
+        return SelfHealingSystem.createPlan(`install_missing_dependency_${issue.package}`, { commands: [cmd] });
+      }
+      
+      const undo = await this.snapshotManifest(pm);
       
       // Install the missing dependency
-      execSync(`${pm.installCmd} ${issue.package}@${issue.version}`, { stdio: 'inherit' });
+      execSync(cmd, { stdio: 'inherit' });
       
       console.log(chalk.green(`✅ Installed missing dependency: ${issue.package}`));
-      return { success: true, action: `installed_missing_dependency_${issue.package}` };
+      return { success: true, action: `installed_missing_dependency_${issue.package}`, undo };
       
     } catch (error) {
       console.log(chalk.red(`❌ Failed to resolve missing dependency: ${error.message}`));
@@ -337,12 +381,18 @@ class DependencyConflictResolver {
     }
   }
 
-  async resolveCircularDependency(issue) {
+  async resolveCircularDependency(issue, options = {}) {
     console.log(chalk.blue(`🔧 Resolving circular dependency: ${issue.package}`));
     
     try {
       const packageJsonPath = path.join(process.cwd(), 'package.json');
+      
+      if (options.dryRun) {
+        return SelfHealingSystem.createPlan(`remove_circular_dependency_${issue.package}`, { files: [packageJsonPath] });
+      }
+      
       const packageJson = await fs.readJson(packageJsonPath);
+      const undo = [await this.healer.undoExecutor.backupFile(packageJsonPath)];
       
       // Remove self-dependency
       if (packageJson.dependencies && packageJson.dependencies[issue.package]) {
@@ -355,7 +405,7 @@ class DependencyConflictResolver {
       await fs.writeJson(packageJsonPath, packageJson, { spaces: 2 });
       
       console.log(chalk.green(`✅ Removed circular dependency: ${issue.package}`));
-      return { success: true, action: `removed_circular_dependency_${issue.package}` };
+      return { success: true, action: `removed_circular_dependency_${issue.package}`, undo };
       
     } catch (error) {
       console.log(chalk.red(`❌ Failed to resolve circular dependency: ${error.message}`));
@@ -363,7 +413,7 @@ class DependencyConflictResolver {
     }
   }
 
-  async resolveDeprecatedPackage(issue) {
+  async resolveDeprecatedPackage(issue, options = {}) {
     console.log(chalk.blue(`🔧 Resolving deprecated package: ${issue.package}`));
     
     try {
@@ -371,11 +421,18 @@ class DependencyConflictResolver {
       // For now, just update to latest version
       const packageManager = await this.detectPackageManager();
       const pm = this.packageManagers[packageManager];
+      const cmd = `${pm.updateCmd} ${issue.package}`;
+      
+      if (options.dryRun) {
+        return SelfHealingSystem.createPlan(`update_deprecated_package_${issue.package}`, { commands: [cmd] });
+      }
       
-      execSync(`${pm.updateCmd} ${issue.package}`, { stdio: 'inherit' });
+      const undo = await this.snapshotManifest(pm);
+      
+      execSync(cmd, { stdio: 'inherit' });
       
       console.log(chalk.green(`✅ Updated deprecated package: ${issue.package}`));
-      return { success: true, action: `updated_deprecated_package_${issue.package}` };
+      return { success: true, action: `updated_deprecated_package_${issue.package}`, undo };
       
     } catch (error) {
       console.log(chalk.red(`❌ Failed to resolve deprecated package: ${error.message}`));
@@ -383,18 +440,24 @@ class DependencyConflictResolver {
     }
   }
 
-  async resolveSecurityVulnerability(vulnerability) {
+  async resolveSecurityVulnerability(vulnerability, options = {}) {
     console.log(chalk.blue(`🔧 Resolving security vulnerability: ${vulnerability.package}`));
     
     try {
       const packageManager = await this.detectPackageManager();
       const pm = this.packageManagers[packageManager];
       
+      if (options.dryRun) {
+        return SelfHealingSystem.createPlan(`fix_security_vulnerability_${vulnerability.package}`, { commands: [pm.auditFixCmd] });
+      }
+      
+      const undo = await this.snapshotManifest(pm);
+      
       // Try audit fix first
       execSync(pm.auditFixCmd, { stdio: 'inherit' });
       
       console.log(chalk.green(`✅ Fixed security vulnerability: ${vulnerability.package}`));
-      return { success: true, action: `fixed_security_vulnerability_${vulnerability.package}` };
+      return { success: true, action: `fixed_security_vulnerability_${vulnerability.package}`, undo };
       
     } catch (error) {
       console.log(chalk.red(`❌ Failed to resolve security vulnerability: ${error.message}`));
@@ -402,19 +465,37 @@ class DependencyConflictResolver {
     }
   }
 
-  async resolveAllIssues() {
-    console.log(chalk.blue('🔧 Resolving all dependency issues...'));
+  async resolveAllIssues(options = {}) {
+    console.log(chalk.blue(`🔧 ${options.dryRun ? 'Planning' : 'Resolving'} all dependency issues...`));
     
     const analysis = await this.analyzeDependencies();
+    const planned = [];
     let resolvedCount = 0;
     let failedCount = 0;
     
+    // Attempts go to the error history so they can be reverted with `heal --undo`
+    const record = async (issue, result) => {
+      if (result.dryRun) {
+        planned.push({ issue, ...result });
+        return;
+      }
+      
+      if (result.success) resolvedCount++;
+      else failedCount++;
+      
+      const error = new Error(issue.message);
+      error.code = issue.type;
+      await this.healer.recordResolution(error, { issue }, {
+        strategy: issue.type,
+        source: 'dependency-resolver',
+        result
+      });
+    };
+    
     // Resolve missing dependencies first
     for (const issue of analysis.issues) {
       if (issue.type === 'MISSING_DEPENDENCY') {
-        const result = await this.resolveMissingDependency(issue);
-        if (result.success) resolvedCount++;
-        else failedCount++;
+        await record(issue, await this.resolveMissingDependency(issue, options));
       }
     }
     
@@ -422,43 +503,40 @@ class DependencyConflictResolver {
     for (const conflict of analysis.conflicts) {
       const strategy = this.conflictStrategies.get(conflict.type);
       if (strategy) {
-        const result = await strategy(conflict);
-        if (result.success) resolvedCount++;
-        else failedCount++;
+        await record(conflict, await strategy(conflict, options));
       }
     }
     
     // Resolve vulnerabilities
     for (const vulnerability of analysis.vulnerabilities) {
-      const result = await this.resolveSecurityVulnerability(vulnerability);
-      if (result.success) resolvedCount++;
-      else failedCount++;
+      await record(vulnerability, await this.resolveSecurityVulnerability(vulnerability, options));
     }
     
     // Resolve circular dependencies
     for (const issue of analysis.issues) {
       if (issue.type === 'CIRCULAR_DEPENDENCY') {
-        const result = await this.resolveCircularDependency(issue);
-        if (result.success) resolvedCount++;
-        else failedCount++;
+        await record(issue, await this.resolveCircularDependency(issue, options));
       }
     }
     
-    console.log(chalk.green(`\n✅ Resolution complete: ${resolvedCount} resolved, ${failedCount} failed`));
+    if (options.dryRun) {
+      console.log(chalk.green(`\n📝 Plan complete: ${planned.length} actions planned`));
+    } else {
+      console.log(chalk.green(`\n✅ Resolution complete: ${resolvedCount} resolved, ${failedCount} failed`));
+    }
     
     return {
       resolved: resolvedCount,
       failed: failedCount,
+      planned,
       analysis
     };
   }
 
-  async generateReport() {
+  printReport(analysis) {
     console.log(chalk.cyan('📊 Dependency Analysis Report'));
     console.log(chalk.cyan('============================='));
     
-    const analysis = await this.analyzeDependencies();
-    
     console.log(chalk.green(`Package Manager: ${analysis.packageManager}`));
     console.log(chalk.blue(`Issues Found: ${analysis.issues.length}`));
     console.log(chalk.blue(`Conflicts: ${analysis.conflicts.length}`));
@@ -485,13 +563,17 @@ class DependencyConflictResolver {
         console.log(`  - ${vuln.message} (${vuln.severity})`);
       });
     }
-    
+  }
+
+  async generateReport() {
+    const analysis = await this.analyzeDependencies();
+    this.printReport(analysis);
     return analysis;
   }
 }
 
 async function main() {
-  const resolver = new DependencyConflictResolver();
+  const resolver = new DependencyConflictResolver(new ConfigLoader().load());
   
   console.log(chalk.cyan('🌟 Cosmic Fountain Dependency Resolver'));
   console.log(chalk.cyan('======================================'));
@@ -501,11 +583,12 @@ async function main() {
   if (args.includes('--report')) {
     await resolver.generateReport();
   } else if (args.includes('--resolve')) {
-    await resolver.resolveAllIssues();
+    await resolver.resolveAllIssues({ dryRun: args.includes('--plan') });
   } else {
     console.log(chalk.blue('Usage:'));
     console.log('  --report   Generate dependency analysis report');
     console.log('  --resolve  Resolve all detected issues');
+    console.log('  --plan     With --resolve, show the actions without running them');
     
     // Default to report
     await resolver.generateReport();
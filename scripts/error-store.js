@@ -0,0 +1,326 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const FileLock = require('./file-lock');
+
+// Error history as append-only JSONL segments, one per day. Every write appends
+// the full new version of a record, so the latest line for an id wins. An index
+// of the fields queries filter on points at the segment holding each record's
+// latest version, and every read or write happens under a file lock so several
+// processes can share the store.
+// Compaction writes a new generation of segments next to the current one and
+// switches to it by rewriting generation.json, so a crash part way through
+// leaves either the old set or the new one, never a mix. Segments of other
+// generations are ignored until the next compaction removes them.
+class ErrorStore {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(__dirname, '../logs/error-store');
+    this.legacyPath = options.legacyPath || path.join(__dirname, '../logs/error_history.json');
+    this.indexPath = path.join(this.dir, 'index.json');
+    this.generationPath = path.join(this.dir, 'generation.json');
+    this.lock = new FileLock(path.join(this.dir, '.lock'), options.lock);
+    this.generation = 0;
+  }
+
+  // Generation 0 keeps the names segments had before compaction switched generations
+  segmentName(date = new Date(), generation = this.generation) {
+    return `errors-${date.toISOString().slice(0, 10)}${generation ? `.g${generation}` : ''}.jsonl`;
+  }
+
+  segmentGeneration(name) {
+    const match = name.match(/^errors-\d{4}-\d{2}-\d{2}(?:\.g(\d+))?\.jsonl$/);
+    return match ? Number(match[1] || 0) : null;
+  }
+
+  async readGeneration() {
+    try {
+      return (await fs.readJson(this.generationPath)).generation || 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  async writeJsonAtomic(file, data) {
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.writeJson(temp, data);
+    await fs.rename(temp, file);
+  }
+
+  async listSegments(generation = this.generation) {
+    if (!await fs.pathExists(this.dir)) return [];
+    return (await fs.readdir(this.dir)).filter(name => this.segmentGeneration(name) === generation).sort();
+  }
+
+  // Lines cut short by a crashed writer are skipped
+  async readSegment(name) {
+    const content = await fs.readFile(path.join(this.dir, name), 'utf8').catch(() => '');
+    const entries = [];
+    
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // partial line
+      }
+    }
+    
+    return entries;
+  }
+
+  indexEntry(record, segment) {
+    return {
+      segment,
+      timestamp: record.timestamp,
+      error_type: record.error_type,
+      resolved: Boolean(record.resolved),
+      fingerprint: record.fingerprint || null
+    };
+  }
+
+  async rebuildIndex() {
+    const index = { version: 1, segments: {}, records: {} };
+    
+    for (const segment of await this.listSegments()) {
+      index.segments[segment] = (await fs.stat(path.join(this.dir, segment))).size;
+      
+      for (const entry of await this.readSegment(segment)) {
+        if (entry.op === 'delete') {
+          delete index.records[entry.id];
+        } else if (entry.op === 'put') {
+          index.records[entry.record.id] = this.indexEntry(entry.record, segment);
+        }
+      }
+    }
+    
+    await this.writeIndex(index);
+    return index;
+  }
+
+  async writeIndex(index) {
+    await this.writeJsonAtomic(this.indexPath, index);
+  }
+
+  // The index records each segment's size; a mismatch means a writer died
+  // between appending and updating the index, so it is rebuilt
+  async loadIndex() {
+    try {
+      const index = await fs.readJson(this.indexPath);
+      const segments = await this.listSegments();
+      const sizesMatch = segments.length === Object.keys(index.segments).length &&
+        (await Promise.all(segments.map(async segment =>
+          (await fs.stat(path.join(this.dir, segment))).size === index.segments[segment]))).every(Boolean);
+      
+      if (index.version === 1 && sizesMatch) {
+        return index;
+      }
+    } catch (error) {
+      // Missing or unreadable index
+    }
+    
+    return this.rebuildIndex();
+  }
+
+  // Imports logs/error_history.json once, then renames it out of the way
+  async migrateLegacy() {
+    if (!await fs.pathExists(this.legacyPath)) return 0;
+    
+    let errors = [];
+    try {
+      errors = (await fs.readJson(this.legacyPath)).errors || [];
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Could not read ${this.legacyPath}: ${error.message}`));
+    }
+    
+    if (errors.length > 0) {
+      await this.append(errors.map(record => ({ op: 'put', record })));
+    }
+    
+    await fs.rename(this.legacyPath, `${this.legacyPath}.migrated`);
+    console.log(chalk.green(`📦 Migrated ${errors.length} error record(s) from ${path.basename(this.legacyPath)}`));
+    
+    return errors.length;
+  }
+
+  // Every public operation goes through here: lock, pick up the generation
+  // another process may have compacted to, migrate if needed, run
+  async locked(fn) {
+    return this.lock.withLock(async () => {
+      await fs.ensureDir(this.dir);
+      this.generation = await this.readGeneration();
+      await this.migrateLegacy();
+      return fn();
+    });
+  }
+
+  // Caller must hold the lock
+  async append(entries, index = null) {
+    if (entries.length === 0) return;
+    
+    index = index || await this.loadIndex();
+    const segment = this.segmentName();
+    const at = new Date().toISOString();
+    const lines = entries.map(entry => JSON.stringify({ at, ...entry })).join('\n') + '\n';
+    
+    await fs.appendFile(path.join(this.dir, segment), lines);
+    
+    for (const entry of entries) {
+      if (entry.op === 'delete') {
+        delete index.records[entry.id];
+      } else {
+        index.records[entry.record.id] = this.indexEntry(entry.record, segment);
+      }
+    }
+    index.segments[segment] = (await fs.stat(path.join(this.dir, segment))).size;
+    
+    await this.writeIndex(index);
+  }
+
+  matches(entry, filter) {
+    const time = new Date(entry.timestamp).getTime();
+    
+    if (filter.since && time < new Date(filter.since).getTime()) return false;
+    if (filter.until && time > new Date(filter.until).getTime()) return false;
+    if (filter.type && entry.error_type !== filter.type) return false;
+    if (filter.resolved !== undefined && entry.resolved !== Boolean(filter.resolved)) return false;
+    if (filter.fingerprint && entry.fingerprint !== filter.fingerprint) return false;
+    
+    return true;
+  }
+
+  // Filters on the index, then reads only the segments holding the matches.
+  // Records come oldest first by timestamp, so limit keeps the latest.
+  async load(index, filter = {}) {
+    const time = id => new Date(index.records[id].timestamp).getTime() || 0;
+    let ids = Object.keys(index.records)
+      .filter(id => this.matches(index.records[id], filter))
+      .sort((a, b) => time(a) - time(b));
+    if (filter.limit) {
+      ids = ids.slice(-filter.limit);
+    }
+    
+    const bySegment = new Map();
+    for (const id of ids) {
+      const segment = index.records[id].segment;
+      bySegment.set(segment, [...(bySegment.get(segment) || []), id]);
+    }
+    
+    const records = new Map();
+    for (const [segment, wanted] of bySegment) {
+      const wantedIds = new Set(wanted);
+      for (const entry of await this.readSegment(segment)) {
+        if (entry.op === 'put' && wantedIds.has(entry.record.id)) {
+          records.set(entry.record.id, entry.record);
+        }
+      }
+    }
+    
+    return ids.map(id => records.get(id)).filter(Boolean);
+  }
+
+  // filter: { since, until, type, resolved, fingerprint, limit }
+  async query(filter = {}) {
+    return this.locked(async () => this.load(await this.loadIndex(), filter));
+  }
+
+  async all() {
+    return this.query();
+  }
+
+  async get(id) {
+    return this.locked(async () => {
+      const index = await this.loadIndex();
+      if (!index.records[id]) return null;
+      return (await this.load({ records: { [id]: index.records[id] } }))[0] || null;
+    });
+  }
+
+  async put(record) {
+    return this.locked(() => this.append([{ op: 'put', record }]));
+  }
+
+  // Read-modify-write of one record; the mutator may edit in place or return a replacement
+  async update(id, mutator) {
+    return this.locked(async () => {
+      const index = await this.loadIndex();
+      if (!index.records[id]) return null;
+      
+      const [record] = await this.load({ records: { [id]: index.records[id] } });
+      const updated = (await mutator(record)) || record;
+      await this.append([{ op: 'put', record: updated }], index);
+      
+      return updated;
+    });
+  }
+
+  // Hands the records matching filter (every record by default) to fn under
+  // the lock and writes back the records it returns
+  async transaction(fn, filter = {}) {
+    return this.locked(async () => {
+      const index = await this.loadIndex();
+      const records = await this.load(index, filter);
+      const changed = (await fn(records)) || [];
+      await this.append(changed.map(record => ({ op: 'put', record })), index);
+      
+      return changed;
+    });
+  }
+
+  // select gets every record under the lock and returns the ones to delete, so
+  // a choice over the whole set (the oldest N) cannot race another writer.
+  // Returns the deleted records.
+  async remove(select) {
+    return this.locked(async () => {
+      const index = await this.loadIndex();
+      const removed = await select(await this.load(index));
+      await this.append(removed.map(record => ({ op: 'delete', id: record.id })), index);
+      
+      return removed;
+    });
+  }
+
+  // Rewrites the segments with only the latest version of each record, filed
+  // under the day it was last seen. Returns the bytes reclaimed.
+  async compact() {
+    return this.locked(async () => {
+      const index = await this.loadIndex();
+      const records = await this.load(index);
+      const before = Object.values(index.segments).reduce((sum, size) => sum + size, 0);
+      const at = new Date().toISOString();
+      
+      const next = this.generation + 1;
+      
+      // Leftovers of a compaction that crashed before switching
+      await this.removeOtherGenerations();
+      
+      const segments = new Map();
+      for (const record of records) {
+        const date = new Date(record.timestamp);
+        const segment = this.segmentName(isNaN(date) ? new Date() : date, next);
+        segments.set(segment, [...(segments.get(segment) || []), JSON.stringify({ at, op: 'put', record })]);
+      }
+      
+      for (const [segment, lines] of segments) {
+        await fs.writeFile(path.join(this.dir, segment), lines.join('\n') + '\n');
+      }
+      
+      await this.writeJsonAtomic(this.generationPath, { generation: next, switched: at });
+      this.generation = next;
+      await this.removeOtherGenerations();
+      
+      const after = Object.values((await this.rebuildIndex()).segments).reduce((sum, size) => sum + size, 0);
+      return { records: records.length, bytesBefore: before, bytesAfter: after, bytesReclaimed: before - after };
+    });
+  }
+
+  async removeOtherGenerations() {
+    for (const name of await fs.readdir(this.dir)) {
+      const generation = this.segmentGeneration(name);
+      if (generation !== null && generation !== this.generation) {
+        await fs.remove(path.join(this.dir, name));
+      }
+    }
+  }
+}
+
+module.exports = ErrorStore;
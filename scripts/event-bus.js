@@ -0,0 +1,79 @@
+const EventEmitter = require('events');
+const chalk = require('chalk');
+
+// Fields every event of a type is guaranteed to carry. Publishing an unknown
+// type or leaving a field out throws, so subscribers can rely on the shape.
+const EVENTS = {
+  'memory.alert': ['alertType', 'count'],
+  'network.endpoint.down': ['endpoint', 'consecutiveFailures', 'error'],
+  'network.endpoint.critical': ['endpoint', 'consecutiveFailures', 'errorType'],
+  'network.endpoint.recovered': ['endpoint', 'downSince'],
+  'deps.vulnerability': ['package', 'severity'],
+  'heal.attempted': ['errorType', 'strategy', 'success'],
+  'heal.remediation': ['step', 'name', 'pid', 'success'],
+  'git.commit.analyzed': ['commitHash', 'changedFiles', 'learnings', 'preventions', 'optimizations', 'healingActions'],
+  'process.critical-error': ['origin', 'message'],
+  'process.crash-loop': ['reason', 'fingerprint', 'message', 'reportPath']
+};
+
+// In-process channel between the monitors, the healer, the git hooks and
+// whoever wants to watch them. Events are delivered to subscribers of their
+// exact type, of each dotted prefix ("network.*", "network.endpoint.*") and of "*".
+class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+  }
+
+  static isKnownType(type) {
+    if (type === '*' || EVENTS[type]) return true;
+    return type.endsWith('.*') && Object.keys(EVENTS).some(name => name.startsWith(type.slice(0, -1)));
+  }
+
+  publish(type, payload = {}) {
+    const fields = EVENTS[type];
+    if (!fields) {
+      throw new Error(`Unknown event type ${type}`);
+    }
+    
+    const missing = fields.filter(field => payload[field] === undefined);
+    if (missing.length > 0) {
+      throw new TypeError(`${type} event is missing ${missing.join(', ')}`);
+    }
+    
+    const event = { type, timestamp: new Date().toISOString(), ...payload };
+    const parts = type.split('.');
+    
+    this.emit(type, event);
+    for (let i = parts.length - 1; i > 0; i--) {
+      this.emit(`${parts.slice(0, i).join('.')}.*`, event);
+    }
+    this.emit('*', event);
+    
+    return event;
+  }
+
+  // A failing subscriber is logged and never breaks the publisher.
+  // Returns a function that unsubscribes.
+  subscribe(type, handler) {
+    if (!EventBus.isKnownType(type)) {
+      throw new Error(`Unknown event type ${type}, expected one of: ${Object.keys(EVENTS).join(', ')}`);
+    }
+    
+    const report = error => console.log(chalk.yellow(`⚠️  ${type} subscriber failed: ${error.message}`));
+    const listener = (event) => {
+      try {
+        Promise.resolve(handler(event)).catch(report);
+      } catch (error) {
+        report(error);
+      }
+    };
+    
+    this.on(type, listener);
+    return () => this.off(type, listener);
+  }
+}
+
+EventBus.EVENTS = EVENTS;
+
+module.exports = EventBus;
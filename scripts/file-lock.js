@@ -0,0 +1,150 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+// Advisory lock shared by every process that writes under logs/. The lock is
+// a file holding the owner's pid and a nonce, linked into place so it never
+// exists half-written. The holder touches it every staleMs / 3, however long it
+// holds it. A holder that died leaves it behind, so locks owned by a dead PID,
+// or not touched for staleMs (a hung holder, or a reused PID), are broken.
+class FileLock {
+  constructor(lockPath, options = {}) {
+    this.lockPath = lockPath;
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.staleMs = options.staleMs || 30000;
+    this.retryMs = options.retryMs || 25;
+    this.held = false;
+    this.nonce = null;
+    this.heartbeat = null;
+  }
+
+  uniquePath(suffix) {
+    return `${this.lockPath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.${suffix}`;
+  }
+
+  async readOwner(file = this.lockPath) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Creates the lock with its content in one step; false when it exists
+  async tryCreate(nonce) {
+    const temp = this.uniquePath('new');
+    await fs.writeFile(temp, JSON.stringify({ pid: process.pid, nonce, acquired: new Date().toISOString() }));
+    
+    try {
+      await fs.link(temp, this.lockPath);
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      return false;
+    } finally {
+      await fs.remove(temp);
+    }
+  }
+
+  async acquire() {
+    const deadline = Date.now() + this.timeoutMs;
+    const nonce = crypto.randomBytes(8).toString('hex');
+    await fs.ensureDir(path.dirname(this.lockPath));
+    
+    while (true) {
+      if (await this.tryCreate(nonce)) {
+        this.held = true;
+        this.nonce = nonce;
+        this.startHeartbeat();
+        return;
+      }
+      
+      const owner = await this.readOwner();
+      if (await this.isStale(owner)) {
+        await this.removeIfOwned(owner?.nonce);
+        continue;
+      }
+      
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for lock ${this.lockPath}`);
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, this.retryMs + Math.random() * this.retryMs));
+    }
+  }
+
+  // Keeps the mtime of a held lock fresh, unless it has changed hands
+  startHeartbeat() {
+    this.heartbeat = setInterval(async () => {
+      if ((await this.readOwner())?.nonce !== this.nonce) return;
+      const now = new Date();
+      await fs.utimes(this.lockPath, now, now).catch(() => {});
+    }, this.staleMs / 3);
+    this.heartbeat.unref();
+  }
+
+  // An unreadable lock, e.g. left by an older version mid-write, only goes by its age
+  async isStale(owner) {
+    if (owner && !this.isAlive(owner.pid)) return true;
+    
+    try {
+      return Date.now() - (await fs.stat(this.lockPath)).mtimeMs > this.staleMs;
+    } catch (error) {
+      return error.code === 'ENOENT';
+    }
+  }
+
+  isAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM: alive, but another user's
+      return error.code === 'EPERM';
+    }
+  }
+
+  // Moves the lock aside with an atomic rename and only deletes it when it
+  // still carries the nonce the caller judged; a lock that changed hands in
+  // the meantime is linked back, unless someone has taken the path since.
+  async removeIfOwned(nonce) {
+    const aside = this.uniquePath('old');
+    
+    try {
+      await fs.rename(this.lockPath, aside);
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+    
+    const owner = await this.readOwner(aside);
+    const owned = owner?.nonce === nonce;
+    if (!owned) {
+      await fs.link(aside, this.lockPath).catch(error => {
+        if (error.code !== 'EEXIST') throw error;
+      });
+    }
+    await fs.remove(aside);
+    
+    return owned;
+  }
+
+  async release() {
+    if (!this.held) return;
+    this.held = false;
+    clearInterval(this.heartbeat);
+    await this.removeIfOwned(this.nonce);
+    this.nonce = null;
+  }
+
+  async withLock(fn) {
+    await this.acquire();
+    try {
+      return await fn();
+    } finally {
+      await this.release();
+    }
+  }
+}
+
+module.exports = FileLock;
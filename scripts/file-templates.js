@@ -0,0 +1,161 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const chalk = require('chalk');
+
+class FileTemplateRegistry {
+  constructor(options = {}) {
+    this.root = path.resolve(options.root || process.cwd());
+    this.restoreFromGit = options.restoreFromGit !== false;
+    this.templates = [];
+    this.initializeDefaults();
+    
+    const configured = options.templates || this.readConfiguredTemplates();
+    for (const [pattern, source] of Object.entries(configured)) {
+      this.register(pattern, source);
+    }
+  }
+
+  initializeDefaults() {
+    this.register('*.json', () => ({}));
+    this.register('config/*.json', (filePath) => this.defaultsFromSchema(filePath));
+    this.register('.env', (filePath) => this.copyExample(filePath));
+    this.register('.env.*', (filePath) => this.copyExample(filePath));
+  }
+
+  // Project templates live under "cosmicFountain.templates" in package.json,
+  // mapping a glob to a template file relative to the project root
+  readConfiguredTemplates() {
+    try {
+      const packageJsonPath = path.join(this.root, 'package.json');
+      if (!fs.pathExistsSync(packageJsonPath)) {
+        return {};
+      }
+      
+      return fs.readJsonSync(packageJsonPath).cosmicFountain?.templates || {};
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Could not read template configuration: ${error.message}`));
+      return {};
+    }
+  }
+
+  // Later registrations win, so project templates override the defaults
+  register(pattern, source) {
+    this.templates.unshift({ pattern, regex: this.globToRegExp(pattern), source });
+  }
+
+  globToRegExp(pattern) {
+    let regex = '';
+    
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      if (char === '*' && pattern[i + 1] === '*') {
+        regex += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+        i += pattern[i + 2] === '/' ? 2 : 1;
+      } else if (char === '*') {
+        regex += '[^/]*';
+      } else if (char === '?') {
+        regex += '[^/]';
+      } else {
+        regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+    
+    // Patterns without a directory part match the file name anywhere in the tree
+    return new RegExp(pattern.includes('/') ? `^${regex}$` : `(?:^|/)${regex}$`);
+  }
+
+  relativePath(filePath) {
+    const absolute = path.resolve(this.root, filePath);
+    const relative = path.relative(this.root, absolute);
+    
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      return null;
+    }
+    
+    return relative.split(path.sep).join('/');
+  }
+
+  readFromGit(relative) {
+    try {
+      // The path comes from an error message, so it never goes through a shell
+      execFileSync('git', ['ls-files', '--error-unmatch', '--', relative], { cwd: this.root, stdio: 'pipe' });
+      return execFileSync('git', ['show', `HEAD:./${relative}`], { cwd: this.root, encoding: 'utf8', stdio: 'pipe' });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  copyExample(filePath) {
+    const dir = path.dirname(filePath);
+    const base = path.basename(filePath);
+    const candidates = ['.example', '.sample', '.template', '.dist'].map(suffix => path.join(dir, `${base}${suffix}`));
+    
+    if (base !== '.env') {
+      candidates.push(path.join(dir, '.env.example'));
+    }
+    
+    const example = candidates.find(candidate => fs.pathExistsSync(candidate));
+    return example ? fs.readFileSync(example, 'utf8') : '';
+  }
+
+  // config/app.json takes its defaults from config/app.schema.json when present
+  defaultsFromSchema(filePath) {
+    const schemaPath = filePath.replace(/\.json$/, '.schema.json');
+    if (!fs.pathExistsSync(schemaPath)) {
+      return {};
+    }
+    
+    const collect = (schema) => {
+      if (schema.default !== undefined) return schema.default;
+      if (schema.type === 'object' && schema.properties) {
+        const value = {};
+        for (const [key, property] of Object.entries(schema.properties)) {
+          const propertyDefault = collect(property);
+          if (propertyDefault !== undefined) value[key] = propertyDefault;
+        }
+        return value;
+      }
+      return undefined;
+    };
+    
+    return collect(fs.readJsonSync(schemaPath)) || {};
+  }
+
+  // Works out what a missing file should contain without writing anything
+  async resolve(filePath, context = {}) {
+    const relative = this.relativePath(filePath);
+    if (relative === null) {
+      throw new Error(`Refusing to create ${filePath} outside the project root ${this.root}`);
+    }
+    
+    const absolute = path.join(this.root, relative);
+    
+    if (this.restoreFromGit) {
+      const committed = this.readFromGit(relative);
+      if (committed !== null) {
+        return { path: absolute, source: 'git', template: 'HEAD', content: committed };
+      }
+    }
+    
+    const template = this.templates.find(entry => entry.regex.test(relative));
+    if (!template) {
+      return { path: absolute, source: 'empty', template: null, content: '' };
+    }
+    
+    let content;
+    if (typeof template.source === 'function') {
+      content = await template.source(absolute, context);
+    } else {
+      content = await fs.readFile(path.resolve(this.root, template.source), 'utf8');
+    }
+    
+    if (content !== null && typeof content === 'object') {
+      content = JSON.stringify(content, null, 2) + '\n';
+    }
+    
+    return { path: absolute, source: 'template', template: template.pattern, content: content || '' };
+  }
+}
+
+module.exports = FileTemplateRegistry;
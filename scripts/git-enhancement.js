@@ -6,11 +6,16 @@ const { execSync } = require('child_process');
 const chalk = require('chalk');
 const SelfHealingSystem = require('./heal');
 const DependencyConflictResolver = require('./dependency-resolver');
+const RetentionManager = require('./retention');
+const ConfigLoader = require('./config');
 
 class GitEnhancementSystem {
-  constructor() {
-    this.healer = new SelfHealingSystem();
-    this.depResolver = new DependencyConflictResolver();
+  constructor(config = {}, shared = {}) {
+    this.config = ConfigLoader.withDefaults(config);
+    this.healer = shared.healer || new SelfHealingSystem(this.config.heal);
+    this.bus = shared.bus || this.healer.bus;
+    this.depResolver = new DependencyConflictResolver(this.config, { healer: this.healer, bus: this.bus });
+    this.retention = new RetentionManager({ ...this.config.retention, store: this.healer.store });
     this.gitHooksPath = path.join(process.cwd(), '.git/hooks');
     this.enhancementsLog = path.join(process.cwd(), 'logs/git-enhancements.json');
     this.commitPatterns = new Map();
@@ -48,7 +53,7 @@ class GitEnhancementSystem {
     });
     
     this.commitPatterns.set('largeFile', {
-      sizeThreshold: 10 * 1024 * 1024, // 10MB
+      sizeThreshold: this.config.git.largeFileSizeThreshold,
       severity: 'warning',
       message: 'Large file detected',
       autoFix: false
@@ -556,18 +561,6 @@ node ${path.join(__dirname, 'git-enhancement.js')} prepare-commit-msg "$@"
       const commitMessage = execSync('git log -1 --pretty=%B', { encoding: 'utf8' }).trim();
       const commitStats = execSync('git show --stat --format=', { encoding: 'utf8' }).trim();
       
-      // Load or create learning data
-      const learningFile = path.join(process.cwd(), 'logs/commit-patterns.json');
-      let learningData = {};
-      
-      if (await fs.pathExists(learningFile)) {
-        learningData = await fs.readJson(learningFile);
-      }
-      
-      if (!learningData.commits) {
-        learningData.commits = [];
-      }
-      
       // Record commit data
       const commitData = {
         hash: commitHash,
@@ -577,18 +570,28 @@ node ${path.join(__dirname, 'git-enhancement.js')} prepare-commit-msg "$@"
         enhancements: await this.getLatestEnhancements()
       };
       
-      learningData.commits.push(commitData);
-      
-      // Keep only last 100 commits
-      if (learningData.commits.length > 100) {
-        learningData.commits = learningData.commits.slice(-100);
-      }
-      
-      // Analyze patterns
-      learningData.patterns = this.analyzeCommitPatterns(learningData.commits);
-      
+      // Load or create learning data, under the lock retention takes too
+      const learningFile = path.join(process.cwd(), 'logs/commit-patterns.json');
       await fs.ensureDir(path.dirname(learningFile));
-      await fs.writeJson(learningFile, learningData, { spaces: 2 });
+      await this.retention.withFileLock(learningFile, async () => {
+        let learningData = {};
+        
+        if (await fs.pathExists(learningFile)) {
+          learningData = await fs.readJson(learningFile);
+        }
+        
+        if (!learningData.commits) {
+          learningData.commits = [];
+        }
+        
+        learningData.commits.push(commitData);
+        
+        // Analyze patterns
+        learningData.patterns = this.analyzeCommitPatterns(learningData.commits);
+        
+        await fs.writeJson(learningFile, learningData, { spaces: 2 });
+      });
+      await this.retention.apply('commit-patterns');
       
       console.log(chalk.green('✅ Commit patterns updated'));
       
@@ -659,14 +662,12 @@ node ${path.join(__dirname, 'git-enhancement.js')} prepare-commit-msg "$@"
 
   async updateErrorHistoryWithFix(commitHash, message) {
     try {
-      const errors = await this.healer.loadErrorHistory();
-      
-      // Find recent unresolved errors
-      const unresolvedErrors = errors.filter(e => !e.resolved);
-      
-      // Mark errors as potentially fixed by this commit
-      unresolvedErrors.forEach(error => {
-        if (message.toLowerCase().includes(error.error_type.toLowerCase())) {
+      await this.healer.store.transaction(errors => {
+        // Unresolved errors whose type the commit message mentions
+        const fixedErrors = errors.filter(e => !e.resolved && message.toLowerCase().includes(e.error_type.toLowerCase()));
+        
+        // Mark errors as potentially fixed by this commit
+        fixedErrors.forEach(error => {
           error.resolution_attempts.push({
             timestamp: new Date().toISOString(),
             method: 'git_commit_fix',
@@ -675,11 +676,11 @@ node ${path.join(__dirname, 'git-enhancement.js')} prepare-commit-msg "$@"
           });
           error.potentially_resolved = true;
           error.resolution_commit = commitHash;
-        }
+        });
+        
+        return fixedErrors;
       });
       
-      await this.healer.saveErrorHistory(errors);
-      
     } catch (error) {
       console.log(chalk.yellow(`⚠️  Could not update error history: ${error.message}`));
     }
@@ -689,19 +690,17 @@ node ${path.join(__dirname, 'git-enhancement.js')} prepare-commit-msg "$@"
     try {
       await fs.ensureDir(path.dirname(this.enhancementsLog));
       
-      let log = [];
-      if (await fs.pathExists(this.enhancementsLog)) {
-        log = await fs.readJson(this.enhancementsLog);
-      }
-      
-      log.push(enhancement);
-      
-      // Keep only last 100 entries
-      if (log.length > 100) {
-        log = log.slice(-100);
-      }
-      
-      await fs.writeJson(this.enhancementsLog, log, { spaces: 2 });
+      await this.retention.withFileLock(this.enhancementsLog, async () => {
+        let log = [];
+        if (await fs.pathExists(this.enhancementsLog)) {
+          log = await fs.readJson(this.enhancementsLog);
+        }
+        
+        log.push(enhancement);
+        
+        await fs.writeJson(this.enhancementsLog, log, { spaces: 2 });
+      });
+      await this.retention.apply('git-enhancements');
       
     } catch (error) {
       console.log(chalk.yellow(`⚠️  Could not save enhancement log: ${error.message}`));
@@ -769,7 +768,7 @@ node ${path.join(__dirname, 'git-enhancement.js')} prepare-commit-msg "$@"
 }
 
 async function main() {
-  const enhancer = new GitEnhancementSystem();
+  const enhancer = new GitEnhancementSystem(new ConfigLoader().load());
   const command = process.argv[2];
   
   switch (command) {
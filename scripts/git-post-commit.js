@@ -8,13 +8,19 @@ const SelfHealingSystem = require('./heal');
 const MemoryLeakDetector = require('./monitor');
 const DependencyConflictResolver = require('./dependency-resolver');
 const NetworkRecoverySystem = require('./network-recovery');
+const RetentionManager = require('./retention');
+const ConfigLoader = require('./config');
 
 class GitPostCommitEnhancer {
-  constructor() {
-    this.healer = new SelfHealingSystem();
-    this.memoryDetector = new MemoryLeakDetector();
-    this.depResolver = new DependencyConflictResolver();
-    this.networkRecovery = new NetworkRecoverySystem();
+  constructor(config = {}, shared = {}) {
+    this.config = ConfigLoader.withDefaults(config);
+    this.healer = shared.healer || new SelfHealingSystem(this.config.heal);
+    this.bus = shared.bus || this.healer.bus;
+    const services = { healer: this.healer, bus: this.bus };
+    this.memoryDetector = new MemoryLeakDetector(this.config, services);
+    this.depResolver = new DependencyConflictResolver(this.config, services);
+    this.networkRecovery = new NetworkRecoverySystem(this.config, services);
+    this.retention = new RetentionManager({ ...this.config.retention, store: this.healer.store });
     this.gitHooksPath = path.join(process.cwd(), '.git/hooks');
     this.intelligenceLog = path.join(process.cwd(), 'logs/commit-intelligence.json');
   }
@@ -92,6 +98,16 @@ node ${path.join(__dirname, 'git-post-commit.js')} run
       // Save intelligence log
       await this.saveIntelligenceLog(intelligence);
       
+      this.bus.publish('git.commit.analyzed', {
+        commitHash: intelligence.commitHash,
+        commitMessage: intelligence.commitMessage,
+        changedFiles: intelligence.analysis.changedFiles || [],
+        learnings: intelligence.learnings.length,
+        preventions: intelligence.preventions.length,
+        optimizations: intelligence.optimizations.length,
+        healingActions: intelligence.healingActions.length
+      });
+      
       // Display summary
       this.displayIntelligenceSummary(intelligence);
       
@@ -195,42 +211,45 @@ node ${path.join(__dirname, 'git-post-commit.js')} run
     let patterns = {};
     
     try {
-      if (await fs.pathExists(preventionFile)) {
-        patterns = await fs.readJson(preventionFile);
-      }
-      
-      // Add new patterns based on fixes
-      for (const learning of intelligence.learnings) {
-        if (learning.type === 'fix_pattern') {
-          const key = learning.fixType;
-          if (!patterns[key]) {
-            patterns[key] = {
-              count: 0,
-              examples: [],
-              preventionRules: []
-            };
-          }
-          
-          patterns[key].count++;
-          patterns[key].examples.push({
-            commit: intelligence.commitHash,
-            message: learning.message,
-            timestamp: learning.timestamp
-          });
-          
-          // Generate prevention rules
-          if (patterns[key].count >= 3) {
-            intelligence.preventions.push({
-              type: 'pattern_prevention',
-              pattern: key,
-              rule: `Frequently occurring ${key} - consider adding automated checks`
+      await fs.ensureDir(path.dirname(preventionFile));
+      await this.retention.withFileLock(preventionFile, async () => {
+        if (await fs.pathExists(preventionFile)) {
+          patterns = await fs.readJson(preventionFile);
+        }
+        
+        // Add new patterns based on fixes
+        for (const learning of intelligence.learnings) {
+          if (learning.type === 'fix_pattern') {
+            const key = learning.fixType;
+            if (!patterns[key]) {
+              patterns[key] = {
+                count: 0,
+                examples: [],
+                preventionRules: []
+              };
+            }
+            
+            patterns[key].count++;
+            patterns[key].examples.push({
+              commit: intelligence.commitHash,
+              message: learning.message,
+              timestamp: learning.timestamp
             });
+            
+            // Generate prevention rules
+            if (patterns[key].count >= 3) {
+              intelligence.preventions.push({
+                type: 'pattern_prevention',
+                pattern: key,
+                rule: `Frequently occurring ${key} - consider adding automated checks`
+              });
+            }
           }
         }
-      }
-      
-      await fs.ensureDir(path.dirname(preventionFile));
-      await fs.writeJson(preventionFile, patterns, { spaces: 2 });
+        
+        await fs.writeJson(preventionFile, patterns, { spaces: 2 });
+      });
+      await this.retention.apply('prevention-patterns');
       
     } catch (error) {
       console.log(chalk.yellow(`⚠️  Could not update prevention patterns: ${error.message}`));
@@ -364,19 +383,23 @@ node ${path.join(__dirname, 'git-post-commit.js')} run
         
         // Create documentation task
         const todoFile = path.join(process.cwd(), 'logs/documentation-todos.json');
-        let todos = [];
-        
-        if (await fs.pathExists(todoFile)) {
-          todos = await fs.readJson(todoFile);
-        }
-        
-        todos.push({
-          commit: intelligence.commitHash,
-          timestamp: new Date().toISOString(),
-          todos: needsDocs
+        await fs.ensureDir(path.dirname(todoFile));
+        await this.retention.withFileLock(todoFile, async () => {
+          let todos = [];
+          
+          if (await fs.pathExists(todoFile)) {
+            todos = await fs.readJson(todoFile);
+          }
+          
+          todos.push({
+            commit: intelligence.commitHash,
+            timestamp: new Date().toISOString(),
+            todos: needsDocs
+          });
+          
+          await fs.writeJson(todoFile, todos, { spaces: 2 });
         });
-        
-        await fs.writeJson(todoFile, todos, { spaces: 2 });
+        await this.retention.apply('documentation-todos');
       }
       
     } catch (error) {
@@ -410,31 +433,36 @@ node ${path.join(__dirname, 'git-post-commit.js')} run
       // Save healing rules
       if (intelligence.healingActions.length > 0) {
         const rulesFile = path.join(process.cwd(), 'logs/healing-rules.json');
-        let rules = {};
-        
-        if (await fs.pathExists(rulesFile)) {
-          rules = await fs.readJson(rulesFile);
-        }
-        
-        for (const action of intelligence.healingActions) {
-          if (action.type === 'new_healing_rule') {
-            const key = action.rule;
-            if (!rules[key]) {
-              rules[key] = {
-                created: new Date().toISOString(),
-                examples: []
-              };
+        await fs.ensureDir(path.dirname(rulesFile));
+        await this.retention.withFileLock(rulesFile, async () => {
+          let rules = {};
+          
+          if (await fs.pathExists(rulesFile)) {
+            rules = await fs.readJson(rulesFile);
+          }
+          
+          for (const action of intelligence.healingActions) {
+            if (action.type === 'new_healing_rule') {
+              const key = action.rule;
+              if (!rules[key]) {
+                rules[key] = {
+                  created: new Date().toISOString(),
+                  examples: []
+                };
+              }
+              
+              rules[key].examples.push({
+                commit: intelligence.commitHash,
+                pattern: action.pattern,
+                file: action.file,
+                timestamp: intelligence.timestamp
+              });
             }
-            
-            rules[key].examples.push({
-              commit: intelligence.commitHash,
-              pattern: action.pattern,
-              file: action.file
-            });
           }
-        }
-        
-        await fs.writeJson(rulesFile, rules, { spaces: 2 });
+          
+          await fs.writeJson(rulesFile, rules, { spaces: 2 });
+        });
+        await this.retention.apply('healing-rules');
       }
       
     } catch (error) {
@@ -494,28 +522,27 @@ node ${path.join(__dirname, 'git-post-commit.js')} run
 
   async updateErrorHistoryWithFix(commitHash, fixType, message) {
     try {
-      const errors = await this.healer.loadErrorHistory();
-      
-      // Find related errors
-      const relatedErrors = errors.filter(error => {
-        if (fixType === 'memory_leak_fix' && error.error_type === 'ENOMEM') return true;
-        if (fixType === 'crash_fix' && error.message.includes('crash')) return true;
-        if (fixType === 'performance_fix' && error.message.includes('timeout')) return true;
-        return false;
-      });
-      
-      // Mark as resolved
-      relatedErrors.forEach(error => {
-        if (!error.resolved) {
+      await this.healer.store.transaction(errors => {
+        // Find related errors that are still open
+        const relatedErrors = errors.filter(error => {
+          if (error.resolved) return false;
+          if (fixType === 'memory_leak_fix' && error.error_type === 'ENOMEM') return true;
+          if (fixType === 'crash_fix' && error.message.includes('crash')) return true;
+          if (fixType === 'performance_fix' && error.message.includes('timeout')) return true;
+          return false;
+        });
+        
+        // Mark as resolved
+        relatedErrors.forEach(error => {
           error.resolved = true;
           error.resolution_commit = commitHash;
           error.resolution_message = message;
           error.resolution_timestamp = new Date().toISOString();
-        }
+        });
+        
+        return relatedErrors;
       });
       
-      await this.healer.saveErrorHistory(errors);
-      
     } catch (error) {
       console.log(chalk.yellow(`⚠️  Could not update error history: ${error.message}`));
     }
@@ -525,19 +552,17 @@ node ${path.join(__dirname, 'git-post-commit.js')} run
     try {
       await fs.ensureDir(path.dirname(this.intelligenceLog));
       
-      let log = [];
-      if (await fs.pathExists(this.intelligenceLog)) {
-        log = await fs.readJson(this.intelligenceLog);
-      }
-      
-      log.push(intelligence);
-      
-      // Keep only last 200 entries
-      if (log.length > 200) {
-        log = log.slice(-200);
-      }
-      
-      await fs.writeJson(this.intelligenceLog, log, { spaces: 2 });
+      await this.retention.withFileLock(this.intelligenceLog, async () => {
+        let log = [];
+        if (await fs.pathExists(this.intelligenceLog)) {
+          log = await fs.readJson(this.intelligenceLog);
+        }
+        
+        log.push(intelligence);
+        
+        await fs.writeJson(this.intelligenceLog, log, { spaces: 2 });
+      });
+      await this.retention.apply('commit-intelligence');
       
     } catch (error) {
       console.log(chalk.yellow(`⚠️  Could not save intelligence log: ${error.message}`));
@@ -669,7 +694,7 @@ node ${path.join(__dirname, 'git-post-commit.js')} run
 }
 
 async function main() {
-  const enhancer = new GitPostCommitEnhancer();
+  const enhancer = new GitPostCommitEnhancer(new ConfigLoader().load());
   const command = process.argv[2];
   
   switch (command) {
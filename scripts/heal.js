@@ -1,142 +1,434 @@
 #!/usr/bin/env node
 
 const fs = require('fs-extra');
+const os = require('os');
+const crypto = require('crypto');
 const path = require('path');
-const { execSync, spawn } = require('child_process');
+const { execFileSync, spawn } = require('child_process');
 const chalk = require('chalk');
 const si = require('systeminformation');
+const HealingPluginLoader = require('./plugin-loader');
+const StrategyMatcher = require('./strategy-matcher');
+const PortConflictGuard = require('./port-guard');
+const FileTemplateRegistry = require('./file-templates');
+const UndoExecutor = require('./undo-executor');
+const HealingLearner = require('./healing-stats');
+const LeakRemediation = require('./leak-remediation');
+const ErrorStore = require('./error-store');
+const ConfigLoader = require('./config');
+const EventBus = require('./event-bus');
+
+const { errno } = os.constants;
+
+// ENOENT from these means a file is missing; a spawn ENOENT names the missing
+// command in error.path instead
+const FILE_SYSCALLS = ['open', 'stat', 'lstat', 'access'];
+
+// Host names and IP addresses only, not starting with "-" so ping cannot take
+// one for an option
+const HOSTNAME = /^[A-Za-z0-9]([A-Za-z0-9.:-]*[A-Za-z0-9])?$/;
+
+// npm package names: lowercase and URL-safe with an optional @scope, at most
+// 214 characters, not starting with ".", "_" or "-"
+const PACKAGE_NAME = /^(@[a-z0-9][a-z0-9._~-]*\/)?[a-z0-9][a-z0-9._~-]*$/;
 
 class SelfHealingSystem {
-  constructor() {
-    this.errorHistoryPath = path.join(__dirname, '../logs/error_history.json');
+  constructor(options = {}) {
+    this.store = new ErrorStore(options.store);
+    this.bus = options.bus || new EventBus();
     this.healingStrategies = new Map();
+    this.matcher = new StrategyMatcher(options.matchWeights);
+    this.portGuard = new PortConflictGuard(options.portConflict);
+    this.fileTemplates = new FileTemplateRegistry(options.fileTemplates);
+    this.undoExecutor = new UndoExecutor(options.undo);
+    this.learner = new HealingLearner(options.learning);
+    this.leakRemediation = new LeakRemediation({ ...options.memoryLeak, bus: this.bus });
+    this.maxSamples = options.maxSamples || 10;
+    this.inFlight = new Set();
     this.initializeStrategies();
+    
+    if (options.plugins !== false) {
+      this.loadPlugins(options.plugins);
+    }
   }
 
   initializeStrategies() {
-    this.healingStrategies.set('EADDRINUSE', this.healPortConflict.bind(this));
-    this.healingStrategies.set('ENOENT', this.healMissingFile.bind(this));
-    this.healingStrategies.set('ENOMEM', this.healMemoryIssue.bind(this));
-    this.healingStrategies.set('ECONNREFUSED', this.healConnectionRefused.bind(this));
-    this.healingStrategies.set('MODULE_NOT_FOUND', this.healMissingModule.bind(this));
-    this.healingStrategies.set('PROCESS_DIED', this.healDeadProcess.bind(this));
+    this.registerBuiltin('EADDRINUSE', this.healPortConflict, {
+      errnos: [errno.EADDRINUSE],
+      messages: [/address already in use/i]
+    });
+    this.registerBuiltin('ENOENT', this.healMissingFile, {
+      errnos: [errno.ENOENT],
+      messages: [/no such file or directory/i]
+    });
+    this.registerBuiltin('ENOMEM', this.healMemoryIssue, {
+      codes: ['ERR_OUT_OF_MEMORY'],
+      errnos: [errno.ENOMEM],
+      messages: [/out of memory/i, /^Memory alert:/]
+    });
+    this.registerBuiltin('ECONNREFUSED', this.healConnectionRefused, {
+      errnos: [errno.ECONNREFUSED],
+      messages: [/ECONNREFUSED/, /connection refused/i]
+    });
+    this.registerBuiltin('MODULE_NOT_FOUND', this.healMissingModule, {
+      codes: ['ERR_MODULE_NOT_FOUND'],
+      messages: [/Cannot find (module|package) '/]
+    });
+    this.registerBuiltin('PROCESS_DIED', this.healDeadProcess);
+    this.registerBuiltin('PROCESS_MEMORY_LEAK', this.healProcessMemoryLeak);
+    this.registerBuiltin('NETWORK_FAILURE', this.healNetworkFailure, {
+      messages: [/^Network failure: /]
+    });
+  }
+
+  registerBuiltin(code, heal, match = {}) {
+    this.registerStrategy({
+      name: code,
+      ...match,
+      codes: [code, ...(match.codes || [])],
+      priority: 0,
+      heal: heal.bind(this),
+      source: 'builtin'
+    });
+  }
+
+  // Strategies are keyed by name, so a plugin reusing a name replaces the earlier one
+  registerStrategy(strategy) {
+    const toPattern = pattern => pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i');
+    
+    this.healingStrategies.set(strategy.name, {
+      priority: 0,
+      source: 'custom',
+      ...strategy,
+      codes: strategy.codes || [],
+      errnos: strategy.errnos || [],
+      errorClasses: strategy.errorClasses || [],
+      messages: (strategy.messages || []).map(toPattern),
+      modules: (strategy.modules || []).map(toPattern)
+    });
+  }
+
+  loadPlugins(pluginOptions = {}) {
+    const loader = new HealingPluginLoader(pluginOptions);
+    
+    for (const plugin of loader.loadAll()) {
+      this.registerStrategy(plugin);
+    }
+  }
+
+  // Best-ranked strategy, skipping any the learner has disabled
+  findStrategy(error, stats = null) {
+    const candidates = this.matcher.rank(error, [...this.healingStrategies.values()]);
+    
+    for (const candidate of candidates) {
+      const status = stats && this.learner.strategyStatus(candidate.strategy.name, stats);
+      if (status?.disabled) {
+        console.log(chalk.gray(`⏸️  Skipping ${candidate.strategy.name}: success rate ${(status.successRate * 100).toFixed(0)}% is below the floor`));
+        continue;
+      }
+      return candidate;
+    }
+    
+    return null;
+  }
+
+  // Explains which strategy attemptHealing would pick for this error and why
+  async explainStrategy(error) {
+    const stats = this.learner.computeStats(await this.loadErrorHistory());
+    const explanation = this.matcher.explain(error, [...this.healingStrategies.values()]);
+    
+    explanation.candidates = explanation.candidates.map(candidate => ({
+      ...candidate,
+      ...this.learner.strategyStatus(candidate.name, stats),
+      confidence: this.learner.confidence(error, candidate.name, stats)
+    }));
+    explanation.chosen = explanation.candidates.find(candidate => !candidate.disabled)?.name || null;
+    
+    return explanation;
+  }
+
+  async getStrategyStats() {
+    const stats = this.learner.computeStats(await this.loadErrorHistory());
+    
+    return this.listStrategies().map(strategy => ({
+      ...strategy,
+      ...this.learner.strategyStatus(strategy.name, stats)
+    }));
+  }
+
+  listStrategies() {
+    return [...this.healingStrategies.values()].map(strategy => ({
+      name: strategy.name,
+      codes: strategy.codes,
+      errnos: strategy.errnos,
+      errorClasses: strategy.errorClasses,
+      messages: strategy.messages.map(pattern => pattern.toString()),
+      modules: strategy.modules.map(pattern => pattern.toString()),
+      priority: strategy.priority,
+      source: strategy.source
+    }));
   }
 
   async loadErrorHistory() {
     try {
-      if (await fs.pathExists(this.errorHistoryPath)) {
-        const data = await fs.readJson(this.errorHistoryPath);
-        return data.errors || [];
-      }
+      return await this.store.all();
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Could not load error history: ${error.message}`));
       return [];
+    }
+  }
+
+  // filter: { since, until, type, resolved, fingerprint, limit }
+  async queryErrors(filter = {}) {
+    try {
+      return await this.store.query(filter);
     } catch (error) {
-      console.log(chalk.yellow('⚠️  Could not load error history, starting fresh'));
+      console.log(chalk.yellow(`⚠️  Could not query error history: ${error.message}`));
       return [];
     }
   }
 
-  async saveErrorHistory(errors) {
-    const data = {
-      errors,
-      metadata: {
-        version: '1.0.0',
-        last_updated: new Date().toISOString(),
-        next_maintenance: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString()
-      }
+  // Stable across occurrences: code, message with variable parts stripped and
+  // the top application stack frames without line numbers
+  fingerprintError(error) {
+    const frames = (typeof error.stack === 'string' ? error.stack : '')
+      .split('\n')
+      .filter(line => /^\s+at /.test(line) && !/\(?(node:|internal\/)/.test(line))
+      .slice(0, 3)
+      .map(line => line.trim().replace(/^at async /, 'at ').replace(/:\d+:\d+\)?$/, '').replace(process.cwd(), '.'));
+    
+    return crypto.createHash('sha1')
+      .update([error.code || 'UNKNOWN', this.learner.normalizeMessage(error.message), ...frames].join('\n'))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  // Repeats of a known fingerprint are folded into its record; returns the error id.
+  // stats are the learner's, when the caller has them; otherwise the confidence
+  // is learned from this error's own record
+  async logError(error, context = {}, attempt = null, stats = null) {
+    const fingerprint = this.fingerprintError(error);
+    const now = new Date().toISOString();
+    const fullContext = {
+      pwd: process.cwd(),
+      platform: process.platform,
+      node_version: process.version,
+      ...context
     };
-    await fs.ensureDir(path.dirname(this.errorHistoryPath));
-    await fs.writeJson(this.errorHistoryPath, data, { spaces: 2 });
+    
+    // The lookup and the write happen under the store lock, so concurrent
+    // processes logging the same error still fold into one record. The index
+    // finds the record by fingerprint without reading the rest of the store.
+    const [errorEntry] = await this.store.transaction(errors => {
+      const existing = errors[0];
+      const confidence = this.calculateConfidenceScore(error, stats || this.learner.computeStats(errors));
+      const entry = existing || this.createErrorEntry(error, fingerprint, now, fullContext, confidence);
+      
+      if (existing) {
+        entry.occurrences = (entry.occurrences || 1) + 1;
+        entry.timestamp = now;
+        entry.last_seen = now;
+        entry.samples = [...(entry.samples || []), { timestamp: now, message: error.message, context: fullContext }]
+          .slice(-this.maxSamples);
+        entry.confidence_score = confidence;
+        // It came back, so whatever resolved it before did not stick
+        entry.resolved = false;
+      }
+      
+      if (attempt) {
+        entry.resolution_attempts.push({
+          timestamp: now,
+          ...attempt
+        });
+        
+        if (attempt.result.success) {
+          entry.resolved = true;
+        }
+      }
+      
+      return [entry];
+    }, { fingerprint });
+    
+    return errorEntry.id;
   }
 
-  async logError(error, context = {}) {
-    const errorEntry = {
-      id: Date.now().toString(),
-      timestamp: new Date().toISOString(),
+  createErrorEntry(error, fingerprint, now, context, confidence) {
+    return {
+      id: `${Date.now()}-${fingerprint.slice(0, 8)}`,
+      fingerprint,
+      timestamp: now,
+      first_seen: now,
+      last_seen: now,
+      occurrences: 1,
       error_type: error.code || 'UNKNOWN',
       message: error.message,
       stack: error.stack,
-      context: {
-        pwd: process.cwd(),
-        platform: process.platform,
-        node_version: process.version,
-        ...context
-      },
-      confidence_score: this.calculateConfidenceScore(error),
+      context,
+      samples: [],
+      confidence_score: confidence,
       resolution_attempts: [],
       resolved: false
     };
+  }
 
-    const errors = await this.loadErrorHistory();
-    errors.push(errorEntry);
-    await this.saveErrorHistory(errors);
+  // Records written before fingerprinting are grouped by a fingerprint computed on the fly
+  groupByFingerprint(errors) {
+    const groups = new Map();
     
-    return errorEntry.id;
+    for (const entry of errors) {
+      const fingerprint = entry.fingerprint || this.fingerprintError(this.restoreError(entry));
+      const group = groups.get(fingerprint) || {
+        fingerprint,
+        error_type: entry.error_type,
+        message: entry.message,
+        occurrences: 0,
+        first_seen: entry.first_seen || entry.timestamp,
+        last_seen: entry.last_seen || entry.timestamp,
+        resolved: true,
+        ids: []
+      };
+      
+      group.occurrences += entry.occurrences || 1;
+      group.first_seen = [group.first_seen, entry.first_seen || entry.timestamp].sort()[0];
+      group.last_seen = [group.last_seen, entry.last_seen || entry.timestamp].sort().pop();
+      group.resolved = group.resolved && entry.resolved;
+      group.ids.push(entry.id);
+      groups.set(fingerprint, group);
+    }
+    
+    return [...groups.values()].sort((a, b) => b.occurrences - a.occurrences);
+  }
+
+  // Result returned by strategies in dry-run mode instead of acting
+  static createPlan(action, plan = {}) {
+    return {
+      success: true,
+      dryRun: true,
+      action,
+      plan: {
+        commands: [],
+        files: [],
+        pids: [],
+        ...plan
+      }
+    };
   }
 
-  calculateConfidenceScore(error) {
-    if (error.code === 'EADDRINUSE') return 9;
-    if (error.code === 'MODULE_NOT_FOUND') return 8;
-    if (error.code === 'ENOENT') return 7;
-    if (error.code === 'ENOMEM') return 6;
-    if (error.message.includes('permission denied')) return 8;
-    return 5;
+  // 0-10, learned from past outcomes of the strategy that would handle this error
+  calculateConfidenceScore(error, stats) {
+    const match = this.matcher.rank(error, [...this.healingStrategies.values()])[0];
+    return this.learner.confidence(error, match?.strategy.name, stats);
   }
 
-  async healPortConflict(error, context) {
+  async healPortConflict(error, context, options = {}) {
     console.log(chalk.blue('🔧 Healing port conflict...'));
     
     try {
-      const port = error.message.match(/port (\d+)/)?.[1];
-      if (port) {
-        const cmd = process.platform === 'win32' 
-          ? `netstat -ano | findstr :${port}`
-          : `lsof -ti:${port}`;
-        
-        const result = execSync(cmd, { encoding: 'utf8' });
-        
-        if (process.platform === 'win32') {
-          const pid = result.split('\n')[0]?.split(/\s+/).pop();
-          if (pid) execSync(`taskkill /F /PID ${pid}`);
-        } else {
-          const pids = result.trim().split('\n');
-          pids.forEach(pid => {
-            if (pid) execSync(`kill -9 ${pid}`);
-          });
-        }
-        
-        console.log(chalk.green(`✅ Killed process on port ${port}`));
-        return { success: true, action: `killed_process_on_port_${port}` };
+      const port = this.portGuard.parsePort(error, context);
+      if (!port) {
+        return { success: false, error: 'Could not determine port from error' };
+      }
+      
+      // Inspecting the owners is read-only, so it also runs in dry-run mode
+      const decision = await this.portGuard.decide(port);
+      
+      for (const owner of decision.owners) {
+        console.log(chalk.gray(`   PID ${owner.pid} ${owner.name || '?'} (${owner.user || '?'}) in ${owner.cwd || '?'}: ${owner.verdict}, ${owner.reason}`));
+      }
+      
+      if (decision.outcome === 'no_owner_found') {
+        console.log(chalk.yellow(`⚠️  No listening process found on port ${port}`));
+        return { success: false, error: `No owner found for port ${port}`, alternativePort: decision.alternativePort, decision };
       }
+      
+      if (decision.outcome === 'spare') {
+        const suggestion = decision.alternativePort ? `, try port ${decision.alternativePort} instead` : '';
+        console.log(chalk.yellow(`⚠️  Not stopping the owner of port ${port}${suggestion}`));
+        return {
+          success: false,
+          action: `spared_process_on_port_${port}`,
+          error: `Port ${port} is held by a protected process`,
+          alternativePort: decision.alternativePort,
+          decision
+        };
+      }
+      
+      if (options.dryRun) {
+        return {
+          ...SelfHealingSystem.createPlan(`terminate_process_on_port_${port}`, {
+            commands: decision.owners.map(owner => `kill -TERM ${owner.pid}  # SIGKILL after ${this.portGuard.config.graceMs}ms`),
+            pids: decision.owners.map(owner => owner.pid)
+          }),
+          decision
+        };
+      }
+      
+      await this.portGuard.execute(decision);
+      
+      if (decision.outcome !== 'terminated') {
+        console.log(chalk.red(`❌ Could not free port ${port}`));
+        return { success: false, error: `Owner of port ${port} did not exit`, decision };
+      }
+      
+      const signals = [...new Set(decision.terminations.flatMap(t => t.signals))].join(' → ');
+      console.log(chalk.green(`✅ Stopped process on port ${port} (${signals})`));
+      return {
+        success: true,
+        action: `terminated_process_on_port_${port}`,
+        decision,
+        undo: decision.owners
+          .filter(owner => owner.cmdline)
+          .map(owner => ({ type: 'restart_process', cmdline: owner.cmdline, argv: owner.argv, cwd: owner.cwd, pid: owner.pid }))
+      };
     } catch (healError) {
       console.log(chalk.red(`❌ Failed to heal port conflict: ${healError.message}`));
       return { success: false, error: healError.message };
     }
   }
 
-  async healMissingFile(error, context) {
+  async healMissingFile(error, context, options = {}) {
     console.log(chalk.blue('🔧 Healing missing file...'));
     
+    if (error.syscall && !FILE_SYSCALLS.includes(error.syscall)) {
+      return { success: false, error: `ENOENT from ${error.syscall} is not a missing file` };
+    }
+    
     try {
-      const filePath = error.message.match(/'([^']+)'/)?.[1];
+      const filePath = error.path || error.message.match(/'([^']+)'/)?.[1];
       if (filePath) {
-        await fs.ensureDir(path.dirname(filePath));
+        const recovery = await this.fileTemplates.resolve(filePath, context);
+        const origin = recovery.source === 'git'
+          ? 'restored from git HEAD'
+          : recovery.source === 'template' ? `from template ${recovery.template}` : 'empty';
         
-        if (path.extname(filePath) === '.json') {
-          await fs.writeJson(filePath, {});
-        } else {
-          await fs.ensureFile(filePath);
+        if (options.dryRun) {
+          return SelfHealingSystem.createPlan(`create_file_${filePath}`, {
+            files: [recovery.path],
+            notes: [`Content: ${origin}`]
+          });
         }
         
-        console.log(chalk.green(`✅ Created missing file: ${filePath}`));
-        return { success: true, action: `created_file_${filePath}` };
+        await fs.ensureDir(path.dirname(recovery.path));
+        await fs.writeFile(recovery.path, recovery.content, { flag: 'wx' });
+        
+        console.log(chalk.green(`✅ Created missing file: ${filePath} (${origin})`));
+        return {
+          success: true,
+          action: `created_file_${filePath}`,
+          source: recovery.source,
+          template: recovery.template,
+          undo: [{ type: 'delete_file', path: recovery.path }]
+        };
       }
+      
+      return { success: false, error: 'Could not determine file path from error' };
     } catch (healError) {
       console.log(chalk.red(`❌ Failed to heal missing file: ${healError.message}`));
       return { success: false, error: healError.message };
     }
   }
 
-  async healMemoryIssue(error, context) {
+  async healMemoryIssue(error, context, options = {}) {
     console.log(chalk.blue('🔧 Healing memory issue...'));
     
     try {
@@ -144,6 +436,12 @@ class SelfHealingSystem {
       const freeMemGB = memInfo.available / (1024 * 1024 * 1024);
       
       if (freeMemGB < 1) {
+        if (options.dryRun) {
+          return SelfHealingSystem.createPlan('forced_garbage_collection', {
+            notes: [global.gc ? 'Run global.gc() in this process' : 'global.gc unavailable (start node with --expose-gc)']
+          });
+        }
+        
         if (global.gc) {
           global.gc();
           console.log(chalk.green('✅ Forced garbage collection'));
@@ -164,59 +462,130 @@ class SelfHealingSystem {
     }
   }
 
-  async healConnectionRefused(error, context) {
+  async healConnectionRefused(error, context, options = {}) {
     console.log(chalk.blue('🔧 Healing connection refused...'));
     
     try {
-      const url = error.message.match(/https?:\/\/[^\s]+/)?.[0];
+      // Node's own connection errors carry the target as address/port instead of a URL
+      const url = error.message.match(/https?:\/\/[^\s]+/)?.[0] ||
+        (error.address ? `http://${error.address}` : null);
       if (url) {
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
         const urlObj = new URL(url);
-        const pingCmd = process.platform === 'win32' 
-          ? `ping -n 1 ${urlObj.hostname}`
-          : `ping -c 1 ${urlObj.hostname}`;
+        // The message is not trusted: a URL host may hold ";" or "$()", so it
+        // is checked and handed to ping as an argument of its own
+        const host = urlObj.hostname.replace(/^\[(.*)\]$/, '$1');
+        if (!HOSTNAME.test(host)) {
+          return { success: false, error: `Invalid host name: ${urlObj.hostname}` };
+        }
+        const pingArgv = ['ping', process.platform === 'win32' ? '-n' : '-c', '1', host];
+        
+        if (options.dryRun) {
+          return SelfHealingSystem.createPlan(`network_recovery_${host}`, {
+            commands: [pingArgv.join(' ')],
+            argv: [pingArgv]
+          });
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, 2000));
         
         try {
-          execSync(pingCmd, { stdio: 'ignore' });
-          console.log(chalk.green(`✅ Network connectivity restored to ${urlObj.hostname}`));
-          return { success: true, action: `network_recovery_${urlObj.hostname}` };
+          execFileSync(pingArgv[0], pingArgv.slice(1), { stdio: 'ignore' });
+          console.log(chalk.green(`✅ Network connectivity restored to ${host}`));
+          return { success: true, action: `network_recovery_${host}` };
         } catch (pingError) {
-          console.log(chalk.red(`❌ Host ${urlObj.hostname} unreachable`));
-          return { success: false, error: `Host unreachable: ${urlObj.hostname}` };
+          console.log(chalk.red(`❌ Host ${host} unreachable`));
+          return { success: false, error: `Host unreachable: ${host}` };
         }
       }
+      
+      return { success: false, error: 'Could not determine URL from error' };
     } catch (healError) {
       console.log(chalk.red(`❌ Failed to heal connection: ${healError.message}`));
       return { success: false, error: healError.message };
     }
   }
 
-  async healMissingModule(error, context) {
+  // NetworkRecoverySystem runs its own recovery before reporting the failure,
+  // so this strategy only records the outcome it was handed
+  async healNetworkFailure(error, context, options = {}) {
+    if (options.dryRun) {
+      return SelfHealingSystem.createPlan('network_recovery_handled_by_monitor', {
+        notes: ['Recovery is performed by NetworkRecoverySystem before the failure is reported']
+      });
+    }
+    
+    return context.recoveryResult || { success: false, error: 'No network recovery was attempted' };
+  }
+
+  // The package a require specifier names, "lodash" for "lodash/fp"; null for
+  // relative paths, builtins and anything npm would not accept as a name
+  static packageName(specifier) {
+    const parts = specifier.split('/');
+    const name = parts.slice(0, specifier.startsWith('@') ? 2 : 1).join('/');
+    return name.length <= 214 && PACKAGE_NAME.test(name) ? name : null;
+  }
+
+  async healMissingModule(error, context, options = {}) {
     console.log(chalk.blue('🔧 Healing missing module...'));
     
     try {
-      const moduleName = error.message.match(/Cannot find module '([^']+)'/)?.[1];
-      if (moduleName) {
+      const specifier = error.message.match(/Cannot find (?:module|package) '([^']+)'/)?.[1];
+      if (specifier) {
+        const moduleName = SelfHealingSystem.packageName(specifier);
+        if (!moduleName) {
+          return { success: false, error: `Not an npm package name: ${specifier}` };
+        }
+        const installArgv = ['npm', 'install', moduleName];
+        
+        if (options.dryRun) {
+          return SelfHealingSystem.createPlan(`install_module_${moduleName}`, {
+            commands: [installArgv.join(' ')],
+            argv: [installArgv],
+            files: [path.join(process.cwd(), 'package.json'), path.join(process.cwd(), 'node_modules', moduleName)]
+          });
+        }
+        
+        // A declared dependency was only missing from node_modules, so undoing
+        // must not drop it from package.json
+        const packageJsonPath = path.join(process.cwd(), 'package.json');
+        const packageJson = await fs.pathExists(packageJsonPath) ? await fs.readJson(packageJsonPath) : {};
+        const declared = Boolean(packageJson.dependencies?.[moduleName] || packageJson.devDependencies?.[moduleName]);
+        
         console.log(chalk.yellow(`Installing missing module: ${moduleName}`));
-        execSync(`npm install ${moduleName}`, { stdio: 'inherit' });
+        // npm is a .cmd script on Windows, which only runs through a shell;
+        // the name was checked above, so no shell syntax reaches it
+        execFileSync(installArgv[0], installArgv.slice(1), { stdio: 'inherit', shell: process.platform === 'win32' });
         
         console.log(chalk.green(`✅ Installed missing module: ${moduleName}`));
-        return { success: true, action: `installed_module_${moduleName}` };
+        return {
+          success: true,
+          action: `installed_module_${moduleName}`,
+          undo: [declared
+            ? { type: 'delete_file', path: path.join(process.cwd(), 'node_modules', moduleName) }
+            : { type: 'run_command', file: 'npm', args: ['uninstall', moduleName], cwd: process.cwd() }]
+        };
       }
+      
+      return { success: false, error: 'Could not determine module name from error' };
     } catch (healError) {
       console.log(chalk.red(`❌ Failed to heal missing module: ${healError.message}`));
       return { success: false, error: healError.message };
     }
   }
 
-  async healDeadProcess(error, context) {
+  async healDeadProcess(error, context, options = {}) {
     console.log(chalk.blue('🔧 Resurrecting dead process...'));
     
     try {
       const processName = context.processName || 'main';
       const command = context.command || 'npm start';
       
+      if (options.dryRun) {
+        return SelfHealingSystem.createPlan(`resurrect_process_${processName}`, {
+          commands: [command]
+        });
+      }
+      
       console.log(chalk.yellow(`Restarting process: ${processName}`));
       
       const child = spawn(command.split(' ')[0], command.split(' ').slice(1), {
@@ -227,77 +596,245 @@ class SelfHealingSystem {
       child.unref();
       
       console.log(chalk.green(`✅ Resurrected process: ${processName} (PID: ${child.pid})`));
-      return { success: true, action: `resurrected_process_${processName}` };
+      return {
+        success: true,
+        action: `resurrected_process_${processName}`,
+        undo: [await this.undoExecutor.killStep(child.pid, processName)]
+      };
     } catch (healError) {
       console.log(chalk.red(`❌ Failed to resurrect process: ${healError.message}`));
       return { success: false, error: healError.message };
     }
   }
 
-  async attemptHealing(error, context = {}) {
+  // One step of the remediation ladder per detection; the steps already taken
+  // come from this error's record
+  async healProcessMemoryLeak(error, context, options = {}) {
+    const target = context.process;
+    if (!target?.pid) {
+      return { success: false, error: 'No process in the leak context' };
+    }
+    
+    const [record] = await this.store.query({ fingerprint: this.fingerprintError(error) });
+    const next = this.leakRemediation.nextStep(record, target);
+    const label = this.leakRemediation.label(target);
+    
+    if (!next.step) {
+      return { success: false, error: 'No remediation steps configured' };
+    }
+    
+    if (!next.ready) {
+      const retryAt = new Date(next.retryAt).toISOString();
+      console.log(chalk.gray(`⏳ ${label}: ${next.step} waits for its cooldown until ${retryAt}`));
+      return { success: false, skipped: true, action: 'memory_leak_cooldown', nextStep: next.step, retryAt };
+    }
+    
+    if (options.dryRun) {
+      const { action, plan } = this.leakRemediation.describe(next.step, target);
+      return { ...SelfHealingSystem.createPlan(action, plan), step: next.step };
+    }
+    
+    console.log(chalk.blue(`🔧 Memory leak in ${label}, remediation step: ${next.step}`));
+    return this.leakRemediation.run(next.step, target, context);
+  }
+
+  // Pass { dryRun: true } to get the strategy's plan without executing it or
+  // touching the error history
+  // Heals in progress are tracked so a shutdown can wait for them
+  async attemptHealing(error, context = {}, options = {}) {
+    const healing = this.runHealing(error, context, options);
+    this.inFlight.add(healing);
+    
+    try {
+      return await healing;
+    } finally {
+      this.inFlight.delete(healing);
+    }
+  }
+
+  // Resolves once every heal in progress has settled or timeoutMs has passed;
+  // returns how many were still running
+  async drain(timeoutMs = 30000) {
+    if (this.inFlight.size === 0) return 0;
+    
+    let timer;
+    await Promise.race([
+      Promise.allSettled([...this.inFlight]),
+      new Promise(resolve => { timer = setTimeout(resolve, timeoutMs); })
+    ]);
+    clearTimeout(timer);
+    
+    return this.inFlight.size;
+  }
+
+  async runHealing(error, context, options) {
     const errorType = error.code || 'UNKNOWN';
-    const strategy = this.healingStrategies.get(errorType);
+    const stats = this.learner.computeStats(await this.loadErrorHistory());
+    const match = this.findStrategy(error, stats);
+    const strategy = match?.strategy;
     
     if (strategy) {
-      console.log(chalk.blue(`🔍 Attempting to heal ${errorType}...`));
-      const result = await strategy(error, context);
+      console.log(chalk.blue(`🔍 ${options.dryRun ? 'Planning healing for' : 'Attempting to heal'} ${errorType} with ${strategy.name}...`));
       
-      const errorId = await this.logError(error, context);
-      const errors = await this.loadErrorHistory();
-      const errorEntry = errors.find(e => e.id === errorId);
+      let result;
+      try {
+        result = await strategy.heal(error, context, options) || { success: false, error: 'Strategy returned no result' };
+      } catch (healError) {
+        console.log(chalk.red(`❌ Strategy ${strategy.name} threw: ${healError.message}`));
+        result = { success: false, error: healError.message };
+      }
       
-      if (errorEntry) {
-        errorEntry.resolution_attempts.push({
-          timestamp: new Date().toISOString(),
-          strategy: errorType,
-          result
-        });
-        
-        if (result.success) {
-          errorEntry.resolved = true;
-        }
-        
-        await this.saveErrorHistory(errors);
+      if (options.dryRun) {
+        return { strategy: strategy.name, match: { score: match.score, reasons: match.reasons }, ...result };
+      }
+      
+      // The strategy chose not to act yet, e.g. during a cooldown, so only the
+      // occurrence is recorded and it does not count for or against it
+      if (result.skipped) {
+        await this.logError(error, context, null, stats);
+        return result;
       }
       
+      const errorId = await this.recordResolution(error, context, {
+        strategy: strategy.name,
+        source: strategy.source,
+        match: {
+          score: match.score,
+          reasons: match.reasons
+        },
+        result
+      }, stats);
+      
+      this.bus.publish('heal.attempted', {
+        errorId,
+        errorType,
+        message: error.message,
+        strategy: strategy.name,
+        source: strategy.source,
+        success: Boolean(result.success),
+        action: result.action || null
+      });
+      
       return result;
     } else {
       console.log(chalk.yellow(`⚠️  No healing strategy for ${errorType}`));
-      await this.logError(error, context);
+      if (options.dryRun) {
+        return { success: false, dryRun: true, error: `No strategy for ${errorType}` };
+      }
+      const errorId = await this.logError(error, context, null, stats);
+      this.bus.publish('heal.attempted', { errorId, errorType, message: error.message, strategy: null, success: false });
       return { success: false, error: `No strategy for ${errorType}` };
     }
   }
 
+  // Logs the error and the attempt made to resolve it; returns the error id
+  async recordResolution(error, context, attempt, stats = null) {
+    return this.logError(error, context, attempt, stats);
+  }
+
+  // Reverts the most recent attempt on this error that recorded undo steps
+  async undoHealing(errorId, options = {}) {
+    const errorEntry = await this.store.get(String(errorId));
+    
+    if (!errorEntry) {
+      return { success: false, error: `No error with id ${errorId}` };
+    }
+    
+    const attempt = [...errorEntry.resolution_attempts]
+      .reverse()
+      .find(a => a.result?.undo?.length > 0 && !a.undone_at);
+    
+    if (!attempt) {
+      return { success: false, error: `Nothing to undo for error ${errorId}` };
+    }
+    
+    const steps = await this.undoExecutor.execute(attempt.result.undo, options);
+    const success = steps.every(step => step.success);
+    
+    if (options.dryRun) {
+      return { success, dryRun: true, strategy: attempt.strategy, steps };
+    }
+    
+    // Undo steps can take a while, so the record is re-read under the lock
+    // rather than held across them. A failed undo is kept in undo_result but
+    // leaves the attempt in place, so it can be undone again.
+    await this.store.update(errorEntry.id, entry => {
+      const stored = entry.resolution_attempts.find(a => a.timestamp === attempt.timestamp && a.strategy === attempt.strategy);
+      if (stored) {
+        if (success) stored.undone_at = new Date().toISOString();
+        stored.undo_result = { success, steps };
+      }
+      entry.resolved = entry.resolution_attempts.some(a => a.result?.success && !a.undone_at);
+    });
+    
+    return { success, strategy: attempt.strategy, steps };
+  }
+
+  // Rebuild an Error from a stored history entry so it can be re-dispatched
+  restoreError(entry) {
+    const error = new Error(entry.message);
+    if (entry.error_type && entry.error_type !== 'UNKNOWN') {
+      error.code = entry.error_type;
+    }
+    if (entry.stack) {
+      error.stack = entry.stack;
+    }
+    return error;
+  }
+
+  async planUnresolvedErrors() {
+    const errors = await this.queryErrors({ resolved: false });
+    const plans = [];
+    
+    for (const entry of errors) {
+      const result = await this.attemptHealing(this.restoreError(entry), entry.context || {}, { dryRun: true });
+      plans.push({
+        errorId: entry.id,
+        errorType: entry.error_type,
+        message: entry.message,
+        ...result
+      });
+    }
+    
+    return plans;
+  }
+
+  async collectDiagnostics() {
+    const memInfo = await si.mem();
+    const cpuInfo = await si.cpu();
+    const fsInfo = await si.fsSize();
+    const errors = await this.loadErrorHistory();
+    const recentErrors = await this.queryErrors({ since: new Date(Date.now() - 24 * 60 * 60 * 1000) });
+    
+    return {
+      memory: memInfo,
+      cpu: cpuInfo,
+      filesystem: fsInfo,
+      errors: {
+        recent: recentErrors.length,
+        total: errors.length
+      }
+    };
+  }
+
+  printDiagnostics(diagnostics) {
+    const { memory, cpu, filesystem, errors } = diagnostics;
+    
+    console.log(chalk.green('📊 System Status:'));
+    console.log(`  Memory: ${((memory.used / memory.total) * 100).toFixed(1)}% used`);
+    console.log(`  CPU: ${cpu.manufacturer} ${cpu.brand}`);
+    console.log(`  Disk: ${filesystem[0] ? ((filesystem[0].used / filesystem[0].size) * 100).toFixed(1) : 'N/A'}% used`);
+    console.log(`  Recent Errors: ${errors.recent} in last 24h`);
+    console.log(`  Total Errors: ${errors.total} logged`);
+  }
+
   async runDiagnostics() {
     console.log(chalk.blue('🔍 Running system diagnostics...'));
     
     try {
-      const memInfo = await si.mem();
-      const cpuInfo = await si.cpu();
-      const fsInfo = await si.fsSize();
-      
-      console.log(chalk.green('📊 System Status:'));
-      console.log(`  Memory: ${((memInfo.used / memInfo.total) * 100).toFixed(1)}% used`);
-      console.log(`  CPU: ${cpuInfo.manufacturer} ${cpuInfo.brand}`);
-      console.log(`  Disk: ${fsInfo[0] ? ((fsInfo[0].used / fsInfo[0].size) * 100).toFixed(1) : 'N/A'}% used`);
-      
-      const errors = await this.loadErrorHistory();
-      const recentErrors = errors.filter(e => 
-        new Date(e.timestamp) > new Date(Date.now() - 24 * 60 * 60 * 1000)
-      );
-      
-      console.log(`  Recent Errors: ${recentErrors.length} in last 24h`);
-      console.log(`  Total Errors: ${errors.length} logged`);
-      
-      return {
-        memory: memInfo,
-        cpu: cpuInfo,
-        filesystem: fsInfo,
-        errors: {
-          recent: recentErrors.length,
-          total: errors.length
-        }
-      };
+      const diagnostics = await this.collectDiagnostics();
+      this.printDiagnostics(diagnostics);
+      return diagnostics;
     } catch (error) {
       console.log(chalk.red(`❌ Diagnostics failed: ${error.message}`));
       return null;
@@ -306,7 +843,7 @@ class SelfHealingSystem {
 }
 
 async function main() {
-  const healer = new SelfHealingSystem();
+  const healer = new SelfHealingSystem(new ConfigLoader().load().heal);
   
   console.log(chalk.cyan('🌟 Cosmic Fountain Self-Healing System'));
   console.log(chalk.cyan('====================================='));
@@ -321,4 +858,6 @@ if (require.main === module) {
   main().catch(console.error);
 }
 
+SelfHealingSystem.HOSTNAME = HOSTNAME;
+
 module.exports = SelfHealingSystem;
\ No newline at end of file
@@ -0,0 +1,106 @@
+class HealingLearner {
+  constructor(options = {}) {
+    this.config = {
+      halfLifeDays: 14, // an attempt's weight halves every two weeks
+      floor: 0.2, // strategies below this success rate are disabled
+      minAttempts: 5, // weighted attempts needed before a strategy can be disabled
+      priorWeight: 2, // how many attempts the built-in prior is worth
+      ...options
+    };
+  }
+
+  // Fixed scores used before any history exists (0-10)
+  priorScore(error) {
+    if (error.code === 'EADDRINUSE') return 9;
+    if (error.code === 'MODULE_NOT_FOUND') return 8;
+    if (error.code === 'ENOENT') return 7;
+    if (error.code === 'ENOMEM') return 6;
+    if (error.message?.includes('permission denied')) return 8;
+    return 5;
+  }
+
+  // Strips the parts of a message that change between occurrences
+  normalizeMessage(message = '') {
+    return message
+      .replace(/(['"`]).*?\1/g, '<str>')
+      .replace(/(?:[A-Za-z]:)?(?:[\\/][\w.@-]+)+/g, '<path>')
+      .replace(/\b0x[0-9a-f]+\b/gi, '<hex>')
+      .replace(/\d+(\.\d+)?/g, '<n>')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  errorSignature(error) {
+    return `${error.code || error.error_type || 'UNKNOWN'}:${this.normalizeMessage(error.message)}`;
+  }
+
+  weight(timestamp, now) {
+    const ageDays = Math.max(0, now - new Date(timestamp).getTime()) / (24 * 60 * 60 * 1000);
+    return Math.pow(0.5, ageDays / this.config.halfLifeDays);
+  }
+
+  computeStats(errors, now = Date.now()) {
+    const byStrategy = new Map();
+    const bySignature = new Map();
+    
+    const add = (map, key, weight, success) => {
+      const entry = map.get(key) || { successes: 0, total: 0, attempts: 0 };
+      entry.successes += success ? weight : 0;
+      entry.total += weight;
+      entry.attempts++;
+      map.set(key, entry);
+    };
+    
+    for (const entry of errors) {
+      const signature = this.errorSignature({ error_type: entry.error_type, message: entry.message });
+      
+      for (const attempt of entry.resolution_attempts || []) {
+        if (!attempt.strategy || !attempt.result || attempt.result.dryRun) continue;
+        
+        // A heal that had to be reverted counts against the strategy
+        const success = Boolean(attempt.result.success) && !attempt.undone_at;
+        const weight = this.weight(attempt.timestamp, now);
+        
+        add(byStrategy, attempt.strategy, weight, success);
+        add(bySignature, `${attempt.strategy}|${signature}`, weight, success);
+      }
+    }
+    
+    return { byStrategy, bySignature };
+  }
+
+  // Success rate pulled towards the prior, so sparse or stale history counts for little
+  blendedRate(stats, prior) {
+    const { priorWeight } = this.config;
+    return (prior * priorWeight + (stats?.successes || 0)) / (priorWeight + (stats?.total || 0));
+  }
+
+  confidence(error, strategyName, stats) {
+    const prior = this.priorScore(error) / 10;
+    if (!strategyName || !stats) {
+      return this.priorScore(error);
+    }
+    
+    const signatureStats = stats.bySignature.get(`${strategyName}|${this.errorSignature(error)}`);
+    const strategyStats = stats.byStrategy.get(strategyName);
+    const rate = this.blendedRate(signatureStats || strategyStats, prior);
+    
+    return Math.round(rate * 100) / 10;
+  }
+
+  strategyStatus(strategyName, stats) {
+    const strategyStats = stats.byStrategy.get(strategyName);
+    const successRate = this.blendedRate(strategyStats, 0.5);
+    const disabled = Boolean(strategyStats) &&
+      strategyStats.total >= this.config.minAttempts &&
+      successRate < this.config.floor;
+    
+    return {
+      attempts: strategyStats?.attempts || 0,
+      successRate: Math.round(successRate * 1000) / 1000,
+      disabled
+    };
+  }
+}
+
+module.exports = HealingLearner;
@@ -0,0 +1,119 @@
+// Turns diagnostic results into findings and findings into a process exit
+// code. Each failing check class sets its own bit, so one run can report
+// several classes at once (6 = dependencies + network).
+const SEVERITIES = ['info', 'low', 'moderate', 'high', 'critical'];
+
+const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1, // the command itself failed
+  DEPENDENCIES: 2,
+  NETWORK: 4,
+  MEMORY: 8
+};
+
+const CHECK_BITS = {
+  dependencies: EXIT_CODES.DEPENDENCIES,
+  network: EXIT_CODES.NETWORK,
+  memory: EXIT_CODES.MEMORY
+};
+
+class HealthGate {
+  constructor(options = {}) {
+    this.memoryUsagePercent = options.memoryUsagePercent || 85;
+    this.criticalMemoryPercent = options.criticalMemoryPercent || 95;
+    this.memoryGrowthRate = options.memoryGrowthRate || 10; // MB per minute
+  }
+
+  static parseSeverity(value) {
+    if (!SEVERITIES.includes(value)) {
+      throw new Error(`Unknown severity "${value}", expected one of: ${SEVERITIES.join(', ')}`);
+    }
+    return value;
+  }
+
+  dependencyFindings(analysis) {
+    if (!analysis) return [];
+    
+    const findings = [];
+    const add = (severity, item) => findings.push({ check: 'dependencies', severity, type: item.type, message: item.message });
+    
+    if (analysis.error) {
+      add('high', { type: 'ANALYSIS_FAILED', message: `Dependency analysis failed: ${analysis.error}` });
+    }
+    for (const vuln of analysis.vulnerabilities || []) {
+      add(SEVERITIES.includes(vuln.severity) ? vuln.severity : 'moderate', vuln);
+    }
+    for (const issue of analysis.issues || []) {
+      add(issue.type === 'MISSING_DEPENDENCY' ? 'high' : 'moderate', issue);
+    }
+    for (const conflict of analysis.conflicts || []) {
+      add('moderate', conflict);
+    }
+    for (const outdated of analysis.outdated || []) {
+      add('low', outdated);
+    }
+    
+    return findings;
+  }
+
+  // Takes ping results; losing every endpoint at once is treated as critical
+  networkFindings(results) {
+    if (!results || results.length === 0) return [];
+    
+    const failed = results.filter(result => !result.success);
+    const severity = failed.length === results.length ? 'critical' : 'high';
+    
+    return failed.map(result => ({
+      check: 'network',
+      severity,
+      type: 'ENDPOINT_UNREACHABLE',
+      message: `${result.endpoint} unreachable: ${(result.error || 'no response').split('\n')[0]}`
+    }));
+  }
+
+  memoryFindings(report) {
+    if (!report) return [];
+    
+    const findings = [];
+    const { usagePercent, growthRate, trend } = report.memory;
+    
+    if (usagePercent >= this.memoryUsagePercent) {
+      findings.push({
+        check: 'memory',
+        severity: usagePercent >= this.criticalMemoryPercent ? 'critical' : 'high',
+        type: 'MEMORY_PRESSURE',
+        message: `Memory usage at ${usagePercent.toFixed(1)}% (threshold ${this.memoryUsagePercent}%)`
+      });
+    }
+    // A spike or a noisy window is not growth, however steep the fitted line
+    if (trend === 'steady_growth' && growthRate > this.memoryGrowthRate) {
+      findings.push({
+        check: 'memory',
+        severity: 'moderate',
+        type: 'MEMORY_GROWTH',
+        message: `Memory growing at ${growthRate.toFixed(2)}MB/min (threshold ${this.memoryGrowthRate}MB/min)`
+      });
+    }
+    
+    return findings;
+  }
+
+  // checks: { dependencies: analysis, network: [pingResult], memory: report }; any may be omitted
+  evaluate(checks, failOn) {
+    const findings = [
+      ...this.dependencyFindings(checks.dependencies),
+      ...this.networkFindings(checks.network),
+      ...this.memoryFindings(checks.memory)
+    ];
+    const threshold = SEVERITIES.indexOf(failOn);
+    const violations = findings.filter(finding => SEVERITIES.indexOf(finding.severity) >= threshold);
+    const exitCode = violations.reduce((code, finding) => code | CHECK_BITS[finding.check], EXIT_CODES.OK);
+    
+    return { failOn, findings, violations, exitCode, passed: exitCode === EXIT_CODES.OK };
+  }
+}
+
+HealthGate.SEVERITIES = SEVERITIES;
+HealthGate.EXIT_CODES = EXIT_CODES;
+
+module.exports = HealthGate;
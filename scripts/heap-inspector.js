@@ -0,0 +1,417 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { fork } = require('child_process');
+const chalk = require('chalk');
+const ProcessInspector = require('./process-info');
+
+// Node only writes a snapshot on a signal when started with this flag; sent
+// to a process without it, SIGUSR2 would terminate it instead
+const SIGNAL_FLAG = '--heapsnapshot-signal';
+const DIAGNOSTIC_DIR_FLAG = '--diagnostic-dir';
+
+// Node types that group under their own name, as in the DevTools summary view
+const NAMED_TYPES = new Set(['object', 'native']);
+
+// Parsing a snapshot takes several times its size in memory, so the diff runs
+// in a child process with a heap of this many times maxSnapshotMB, away from
+// the monitor that is watching memory in the first place
+const PARSE_HEAP_FACTOR = 8;
+
+// Finds out what grows inside a Node process that RSS says is leaking: two
+// heap snapshots taken apart, diffed by constructor, with the most common
+// retainer path of the objects that are new in the second one.
+class HeapInspector {
+  constructor(options = {}) {
+    this.snapshotDir = path.resolve(options.dir || path.join(__dirname, '../logs/heap-snapshots'));
+    this.intervalMs = options.intervalMs ?? 30000; // between the two snapshots
+    this.timeoutMs = options.timeoutMs || 120000; // for one snapshot to be written
+    this.topN = options.topN || 10;
+    this.maxSnapshotBytes = (options.maxSnapshotMB || 256) * 1024 * 1024;
+    this.keepSnapshots = Boolean(options.keepSnapshots);
+    this.inspector = options.inspector || new ProcessInspector();
+    this.pollInterval = options.pollInterval || 500;
+  }
+
+  // Node's own options: everything between the executable and the script,
+  // plus NODE_OPTIONS. Flags after the script belong to the application.
+  readNodeFlags(args, nodeOptions = '') {
+    const flags = {};
+    const read = (list) => {
+      for (let i = 0; i < list.length && list[i].startsWith('-'); i++) {
+        const [name, inline] = list[i].split(/=(.*)/s);
+        if (name === SIGNAL_FLAG || name === DIAGNOSTIC_DIR_FLAG) {
+          flags[name] = inline !== undefined ? inline : list[++i];
+        }
+      }
+    };
+    
+    read(nodeOptions.split(/\s+/).filter(Boolean));
+    read(args.slice(1));
+    return flags;
+  }
+
+  // The snapshot signal and where the files land, or null when the process
+  // isn't a Node process of ours started with --heapsnapshot-signal
+  async snapshotTarget(pid) {
+    if (process.platform !== 'linux') return null;
+    
+    try {
+      const stat = await fs.stat(`/proc/${pid}`);
+      if (stat.uid !== process.getuid()) return null;
+      
+      const executable = path.basename(await fs.readlink(`/proc/${pid}/exe`));
+      if (!/^node(js)?(\d+)?$/.test(executable)) return null;
+      
+      const args = (await fs.readFile(`/proc/${pid}/cmdline`, 'utf8')).split('\0').filter(Boolean);
+      const nodeOptions = (await fs.readFile(`/proc/${pid}/environ`, 'utf8'))
+        .split('\0')
+        .find(entry => entry.startsWith('NODE_OPTIONS='))?.slice('NODE_OPTIONS='.length) || '';
+      const flags = this.readNodeFlags(args, nodeOptions);
+      
+      const signal = flags[SIGNAL_FLAG];
+      if (!/^SIG[A-Z0-9]+$/.test(signal || '')) return null;
+      
+      const cwd = await fs.readlink(`/proc/${pid}/cwd`);
+      const diagnosticDir = flags[DIAGNOSTIC_DIR_FLAG];
+      
+      return { signal, dir: diagnosticDir ? path.resolve(cwd, diagnosticDir) : cwd };
+    } catch (error) {
+      // Gone, or not readable
+      return null;
+    }
+  }
+
+  async listSnapshots(dir, pid) {
+    try {
+      return (await fs.readdir(dir)).filter(name => name.startsWith('Heap.') && name.endsWith('.heapsnapshot') && name.includes(`.${pid}.`));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // Signals the process and waits until its new snapshot file stops growing,
+  // then moves it under snapshotDir
+  async takeSnapshot(pid, target) {
+    const before = new Set(await this.listSnapshots(target.dir, pid));
+    process.kill(pid, target.signal);
+    
+    const deadline = Date.now() + this.timeoutMs;
+    let lastSize = -1;
+    
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+      if (!this.inspector.isAlive(pid)) {
+        throw new Error(`PID ${pid} exited while writing a heap snapshot`);
+      }
+      
+      const name = (await this.listSnapshots(target.dir, pid)).find(file => !before.has(file));
+      if (!name) continue;
+      
+      const file = path.join(target.dir, name);
+      const { size } = await fs.stat(file);
+      if (size > 0 && size === lastSize) {
+        await fs.ensureDir(this.snapshotDir);
+        const moved = path.join(this.snapshotDir, name);
+        await fs.move(file, moved, { overwrite: true });
+        return moved;
+      }
+      lastSize = size;
+    }
+    
+    throw new Error(`No heap snapshot from PID ${pid} within ${this.timeoutMs}ms`);
+  }
+
+  async readSnapshot(file) {
+    const { size } = await fs.stat(file);
+    if (size > this.maxSnapshotBytes) {
+      throw new Error(`${path.basename(file)} is ${Math.round(size / 1024 / 1024)}MB, over the ${this.maxSnapshotBytes / 1024 / 1024}MB limit`);
+    }
+    
+    return this.parseSnapshot(await fs.readJson(file));
+  }
+
+  // Field offsets from the snapshot's own meta block, so format changes between
+  // V8 versions that only add fields keep working
+  parseSnapshot(data) {
+    const { meta } = data.snapshot;
+    const nodeFields = meta.node_fields;
+    const edgeFields = meta.edge_fields;
+    
+    return {
+      nodes: data.nodes,
+      edges: data.edges,
+      strings: data.strings,
+      nodeFieldCount: nodeFields.length,
+      edgeFieldCount: edgeFields.length,
+      nodeType: nodeFields.indexOf('type'),
+      nodeName: nodeFields.indexOf('name'),
+      nodeId: nodeFields.indexOf('id'),
+      nodeSize: nodeFields.indexOf('self_size'),
+      nodeEdgeCount: nodeFields.indexOf('edge_count'),
+      edgeType: edgeFields.indexOf('type'),
+      edgeName: edgeFields.indexOf('name_or_index'),
+      edgeTo: edgeFields.indexOf('to_node'),
+      nodeTypes: meta.node_types[nodeFields.indexOf('type')],
+      edgeTypes: meta.edge_types[edgeFields.indexOf('type')]
+    };
+  }
+
+  // `node` is an offset into snapshot.nodes
+  className(snapshot, node) {
+    const type = snapshot.nodeTypes[snapshot.nodes[node + snapshot.nodeType]];
+    return NAMED_TYPES.has(type) ? snapshot.strings[snapshot.nodes[node + snapshot.nodeName]] || '(anonymous)' : `(${type})`;
+  }
+
+  // Instance count and retained-by-itself size per constructor, plus the ids
+  // of every object, which V8 keeps stable between snapshots of one process
+  summarize(snapshot) {
+    const classes = new Map();
+    const ids = new Set();
+    let totalSize = 0;
+    
+    for (let node = 0; node < snapshot.nodes.length; node += snapshot.nodeFieldCount) {
+      const name = this.className(snapshot, node);
+      const size = snapshot.nodes[node + snapshot.nodeSize];
+      const entry = classes.get(name) || { count: 0, size: 0 };
+      entry.count++;
+      entry.size += size;
+      classes.set(name, entry);
+      ids.add(snapshot.nodes[node + snapshot.nodeId]);
+      totalSize += size;
+    }
+    
+    return { classes, ids, totalSize };
+  }
+
+  diff(before, after) {
+    const names = new Set([...before.classes.keys(), ...after.classes.keys()]);
+    const empty = { count: 0, size: 0 };
+    
+    return [...names]
+      .map(name => {
+        const old = before.classes.get(name) || empty;
+        const current = after.classes.get(name) || empty;
+        return {
+          constructor: name,
+          countBefore: old.count,
+          countAfter: current.count,
+          countDelta: current.count - old.count,
+          sizeBefore: old.size,
+          sizeAfter: current.size,
+          sizeDelta: current.size - old.size
+        };
+      })
+      .filter(entry => entry.sizeDelta > 0)
+      .sort((a, b) => b.sizeDelta - a.sizeDelta)
+      .slice(0, this.topN);
+  }
+
+  // For each node, the edges pointing at it (CSR layout: retainers of node i
+  // are at start[i]..start[i + 1])
+  buildRetainers(snapshot) {
+    const nodeCount = snapshot.nodes.length / snapshot.nodeFieldCount;
+    const edgeCount = snapshot.edges.length / snapshot.edgeFieldCount;
+    const start = new Int32Array(nodeCount + 1);
+    const fromNode = new Int32Array(edgeCount);
+    const viaEdge = new Int32Array(edgeCount);
+    
+    for (let edge = 0; edge < snapshot.edges.length; edge += snapshot.edgeFieldCount) {
+      start[snapshot.edges[edge + snapshot.edgeTo] / snapshot.nodeFieldCount + 1]++;
+    }
+    for (let i = 0; i < nodeCount; i++) {
+      start[i + 1] += start[i];
+    }
+    
+    const fill = start.slice(0, nodeCount);
+    let edge = 0;
+    for (let node = 0; node < snapshot.nodes.length; node += snapshot.nodeFieldCount) {
+      const edgesOfNode = snapshot.nodes[node + snapshot.nodeEdgeCount];
+      for (let i = 0; i < edgesOfNode; i++, edge += snapshot.edgeFieldCount) {
+        const target = snapshot.edges[edge + snapshot.edgeTo] / snapshot.nodeFieldCount;
+        fromNode[fill[target]] = node;
+        viaEdge[fill[target]] = edge;
+        fill[target]++;
+      }
+    }
+    
+    return { start, fromNode, viaEdge };
+  }
+
+  edgeLabel(snapshot, edge) {
+    const type = snapshot.edgeTypes[snapshot.edges[edge + snapshot.edgeType]];
+    const name = snapshot.edges[edge + snapshot.edgeName];
+    
+    // Indexes differ from object to object; leaving them out lets paths group
+    if (type === 'element' || type === 'hidden') return '[]';
+    return `.${snapshot.strings[name]}`;
+  }
+
+  // Walks from one object towards the GC roots, taking the first strong
+  // retainer at each step: ["Array[]", "LeakyCache.items", "(closure).cache"]
+  retainerPath(snapshot, retainers, node, maxDepth = 8) {
+    const steps = [];
+    const seen = new Set([node]);
+    let current = node;
+    
+    while (steps.length < maxDepth) {
+      const index = current / snapshot.nodeFieldCount;
+      let next = null;
+      
+      for (let i = retainers.start[index]; i < retainers.start[index + 1]; i++) {
+        const edge = retainers.viaEdge[i];
+        const from = retainers.fromNode[i];
+        if (snapshot.edgeTypes[snapshot.edges[edge + snapshot.edgeType]] === 'weak' || seen.has(from)) continue;
+        next = { from, edge };
+        break;
+      }
+      
+      if (!next) break;
+      if (snapshot.nodeTypes[snapshot.nodes[next.from + snapshot.nodeType]] === 'synthetic') break;
+      
+      steps.push(`${this.className(snapshot, next.from)}${this.edgeLabel(snapshot, next.edge)}`);
+      seen.add(next.from);
+      current = next.from;
+    }
+    
+    return steps;
+  }
+
+  // The path shared by most of a sample of objects of this constructor that
+  // are new since the first snapshot
+  commonRetainerPath(snapshot, retainers, name, oldIds, sampleSize = 25) {
+    const paths = new Map();
+    let sampled = 0;
+    
+    for (let node = 0; node < snapshot.nodes.length && sampled < sampleSize; node += snapshot.nodeFieldCount) {
+      if (oldIds.has(snapshot.nodes[node + snapshot.nodeId]) || this.className(snapshot, node) !== name) continue;
+      
+      const steps = this.retainerPath(snapshot, retainers, node);
+      const key = steps.join(' ← ');
+      paths.set(key, (paths.get(key) || 0) + 1);
+      sampled++;
+    }
+    
+    const [best] = [...paths].sort((a, b) => b[1] - a[1]);
+    return best ? { path: best[0] ? `${name} ← ${best[0]}` : name, share: best[1] / sampled } : null;
+  }
+
+  // What grew from the first snapshot file to the second: { totalSize, topGrowing }
+  async diffSnapshots(firstFile, secondFile) {
+    // Only the summary of the first snapshot is kept while the second is parsed
+    const before = this.summarize(await this.readSnapshot(firstFile));
+    const snapshot = await this.readSnapshot(secondFile);
+    const after = this.summarize(snapshot);
+    
+    const topGrowing = this.diff(before, after);
+    if (topGrowing.length > 0) {
+      const retainers = this.buildRetainers(snapshot);
+      for (const entry of topGrowing) {
+        entry.retainers = this.commonRetainerPath(snapshot, retainers, entry.constructor, before.ids);
+      }
+    }
+    
+    return {
+      totalSize: { before: before.totalSize, after: after.totalSize, delta: after.totalSize - before.totalSize },
+      topGrowing
+    };
+  }
+
+  // diffSnapshots in a child process (this file's main) with a bounded heap
+  diffInChild(firstFile, secondFile) {
+    const heapMB = Math.ceil(this.maxSnapshotBytes / 1024 / 1024) * PARSE_HEAP_FACTOR;
+    const options = { topN: this.topN, maxSnapshotMB: this.maxSnapshotBytes / 1024 / 1024 };
+    const child = fork(__filename, [firstFile, secondFile, JSON.stringify(options)], {
+      execArgv: [`--max-old-space-size=${heapMB}`],
+      stdio: ['ignore', 'ignore', 'pipe', 'ipc']
+    });
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-2000); });
+    
+    return new Promise((resolve, reject) => {
+      let result = null;
+      const timer = setTimeout(() => child.kill('SIGKILL'), this.timeoutMs);
+      child.on('message', message => { result = message; });
+      child.on('error', reject);
+      child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        if (result?.error) return reject(new Error(result.error));
+        if (result) return resolve(result);
+        reject(new Error(`Snapshot diff ${signal ? `was killed (${signal})` : `exited with ${code}`}${stderr.includes('heap out of memory') ? `: over its ${heapMB}MB heap` : ''}`));
+      });
+    });
+  }
+
+  // Two snapshots intervalMs apart and what grew between them. Resolves to
+  // { success: false, error } when the process can't be inspected.
+  async inspect(pid) {
+    const target = await this.snapshotTarget(pid);
+    if (!target) {
+      return { success: false, pid, error: `PID ${pid} is not a Node process of this user started with --heapsnapshot-signal` };
+    }
+    
+    const files = [];
+    try {
+      console.log(chalk.blue(`📸 Taking heap snapshots of PID ${pid} (${target.signal}, ${this.intervalMs / 1000}s apart)...`));
+      files.push(await this.takeSnapshot(pid, target));
+      const firstAt = new Date().toISOString();
+      await new Promise(resolve => setTimeout(resolve, this.intervalMs));
+      files.push(await this.takeSnapshot(pid, target));
+      const secondAt = new Date().toISOString();
+      
+      const { totalSize, topGrowing } = await this.diffInChild(files[0], files[1]);
+      
+      return {
+        success: true,
+        pid,
+        takenAt: [firstAt, secondAt],
+        totalSize,
+        topGrowing,
+        snapshots: this.keepSnapshots ? files : null
+      };
+    
+    } catch (error) {
+      return { success: false, pid, error: error.message };
+    } finally {
+      if (!this.keepSnapshots) {
+        await Promise.all(files.map(file => fs.remove(file)));
+      }
+    }
+  }
+
+  printDiff(result) {
+    if (!result.success) {
+      console.log(chalk.red(`❌ Heap inspection failed: ${result.error}`));
+      return;
+    }
+    
+    const mb = bytes => `${(bytes / 1024 / 1024).toFixed(2)}MB`;
+    console.log(chalk.cyan(`🧬 Heap growth of PID ${result.pid}`));
+    console.log(chalk.cyan('========================='));
+    console.log(`Heap: ${mb(result.totalSize.before)} → ${mb(result.totalSize.after)} (${result.totalSize.delta >= 0 ? '+' : ''}${mb(result.totalSize.delta)})`);
+    
+    if (result.topGrowing.length === 0) {
+      console.log(chalk.green('Nothing grew between the snapshots'));
+    }
+    
+    for (const entry of result.topGrowing) {
+      console.log(chalk.yellow(`  +${mb(entry.sizeDelta)}  ${entry.constructor} (${entry.countBefore} → ${entry.countAfter})`));
+      if (entry.retainers) {
+        console.log(chalk.gray(`      ${entry.retainers.path} (${Math.round(entry.retainers.share * 100)}% of sampled new objects)`));
+      }
+    }
+    
+    if (result.snapshots) {
+      console.log(chalk.gray(`Snapshots kept for DevTools: ${result.snapshots.join(', ')}`));
+    }
+  }
+}
+
+module.exports = HeapInspector;
+
+// Run by diffInChild: node heap-inspector.js <first> <second> <options JSON>
+if (require.main === module) {
+  const [firstFile, secondFile, options] = process.argv.slice(2);
+  new HeapInspector(JSON.parse(options)).diffSnapshots(firstFile, secondFile)
+    .catch(error => ({ error: error.message }))
+    .then(result => process.send(result, () => process.disconnect()));
+}
@@ -0,0 +1,267 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const chalk = require('chalk');
+const ProcessInspector = require('./process-info');
+const HeapInspector = require('./heap-inspector');
+
+const MINUTE_MS = 60 * 1000;
+
+// Rungs in the order they are climbed
+const STEPS = ['notify', 'diagnostics', 'restart', 'kill'];
+
+// Remediation ladder for PROCESS_MEMORY_LEAK. Every detection takes the step
+// after the last one once that step's cooldown has passed, and the last step
+// repeats. Steps taken are read back from the error's resolution attempts, so
+// the ladder survives a restart of the monitor; it starts over once the leak
+// has not been seen for resetAfterMs. Processes of the same name share one
+// error record, so each attempt names its target and every watch entry, or
+// unwatched PID, climbs a ladder of its own. Restart and kill are only used on
+// watch-list entries, and restart only when the entry has a start command.
+class LeakRemediation {
+  constructor(options = {}) {
+    this.steps = options.steps || STEPS;
+    this.cooldowns = {
+      notify: 10 * MINUTE_MS,
+      diagnostics: 10 * MINUTE_MS,
+      restart: 15 * MINUTE_MS,
+      kill: 30 * MINUTE_MS,
+      ...options.cooldowns
+    };
+    this.resetAfterMs = options.resetAfterMs || 60 * MINUTE_MS;
+    this.graceMs = options.graceMs || 10000;
+    this.diagnosticsDir = path.resolve(options.diagnosticsDir || path.join(__dirname, '../logs/diagnostics'));
+    this.bus = options.bus || null;
+    this.inspector = options.inspector || new ProcessInspector();
+    this.heapInspector = options.heapInspector || new HeapInspector({ dir: this.diagnosticsDir, keepSnapshots: true });
+    this.active = new Set(); // targets with a step running
+  }
+
+  // target: context.process from the monitor, { name, pid, watch, pids, start, ... }.
+  // Watched entries keep their ladder across restarts; anything else is one PID.
+  label(target) {
+    return target.watch || `${target.name}_${target.pid}`;
+  }
+
+  ladder(target) {
+    return this.steps.filter(step => {
+      if (step === 'restart') return Boolean(target.watch && target.start?.command);
+      if (step === 'kill') return Boolean(target.watch);
+      return true;
+    });
+  }
+
+  // record: the stored error, or undefined the first time. Returns
+  // { step, ready, retryAt } where retryAt is when a step in cooldown may run.
+  nextStep(record, target, now = Date.now()) {
+    const ladder = this.ladder(target);
+    const key = this.label(target);
+    const taken = (record?.resolution_attempts || []).filter(attempt => attempt.result?.step && attempt.result.target === key);
+    const last = taken[taken.length - 1];
+    const lastSeen = record ? new Date(record.last_seen || record.timestamp).getTime() : 0;
+    
+    if (!last || now - lastSeen >= this.resetAfterMs) {
+      return { step: ladder[0], ready: true, retryAt: null };
+    }
+    
+    const index = ladder.indexOf(last.result.step);
+    const step = index === -1 ? ladder[0] : ladder[Math.min(index + 1, ladder.length - 1)];
+    const retryAt = new Date(last.timestamp).getTime() + (this.cooldowns[last.result.step] ?? 0);
+    
+    return { step, ready: now >= retryAt, retryAt };
+  }
+
+  // Plan for a dry run: { action, plan }
+  describe(step, target) {
+    const pids = target.pids || [target.pid];
+    const label = this.label(target);
+    
+    switch (step) {
+      case 'notify':
+        return { action: `notify_memory_leak_${label}`, plan: { notes: ['Publish heal.remediation to the notification sinks'] } };
+      case 'diagnostics':
+        return {
+          action: `capture_diagnostics_${label}`,
+          plan: { pids: [target.pid], files: [this.diagnosticsDir], notes: ['Process details, /proc status and a heap snapshot when the process allows one'] }
+        };
+      case 'restart':
+        return {
+          action: `restart_${label}`,
+          plan: { pids, commands: [target.start.command], notes: [`SIGTERM, then start again once every process exited within ${this.graceMs}ms`] }
+        };
+      case 'kill':
+        return { action: `kill_${label}`, plan: { pids, notes: ['SIGKILL'] } };
+      default:
+        return { action: `unknown_step_${step}`, plan: {} };
+    }
+  }
+
+  async run(step, target, context = {}) {
+    const key = this.label(target);
+    if (this.active.has(key)) {
+      return { success: false, skipped: true, action: 'memory_leak_remediation_in_progress', nextStep: step };
+    }
+    
+    this.active.add(key);
+    try {
+      const actions = {
+        notify: () => this.notify(target),
+        diagnostics: () => this.captureDiagnostics(target, context),
+        restart: () => this.restart(target),
+        kill: () => this.kill(target)
+      };
+      const result = actions[step]
+        ? await actions[step]()
+        : { success: false, error: `Unknown remediation step ${step}` };
+      
+      this.publish(step, target, result);
+      return { ...result, step, target: key };
+    } catch (error) {
+      this.publish(step, target, { success: false, error: error.message });
+      return { success: false, step, target: key, error: error.message };
+    } finally {
+      this.active.delete(key);
+    }
+  }
+
+  publish(step, target, result) {
+    if (!this.bus) return;
+    
+    this.bus.publish('heal.remediation', {
+      step,
+      name: this.label(target),
+      pid: target.pid,
+      success: Boolean(result.success),
+      memory: target.memory,
+      growthRate: target.growthRate,
+      detail: result.success ? result.detail : result.error
+    });
+  }
+
+  async notify(target) {
+    console.log(chalk.yellow(`📣 Reporting memory leak in ${this.label(target)}`));
+    return {
+      success: true,
+      action: `notified_memory_leak_${this.label(target)}`,
+      detail: `${target.memory}MB, growing ${target.growthRate}MB/min`
+    };
+  }
+
+  // /proc/<pid>/status lines about memory, Linux only
+  async readMemoryStatus(pid) {
+    if (process.platform !== 'linux') return null;
+    
+    try {
+      const status = await fs.readFile(`/proc/${pid}/status`, 'utf8');
+      return Object.fromEntries(status.split('\n')
+        .filter(line => /^(Vm|Rss)\w+:/.test(line))
+        .map(line => line.split(':').map(part => part.trim())));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async captureDiagnostics(target, context) {
+    const label = this.label(target);
+    console.log(chalk.blue(`🩺 Capturing diagnostics for ${label} (PID: ${target.pid})`));
+    
+    const diagnostics = {
+      capturedAt: new Date().toISOString(),
+      process: await this.inspector.getProcessInfo(target.pid),
+      memoryStatus: await this.readMemoryStatus(target.pid),
+      leak: target,
+      heapGrowth: context.heapGrowth || null,
+      heapSnapshot: null
+    };
+    
+    // Only Node processes started with --heapsnapshot-signal; anything else
+    // would be terminated by the signal
+    const snapshotTarget = await this.heapInspector.snapshotTarget(target.pid);
+    if (snapshotTarget) {
+      try {
+        diagnostics.heapSnapshot = await this.heapInspector.takeSnapshot(target.pid, snapshotTarget);
+      } catch (error) {
+        diagnostics.heapSnapshotError = error.message;
+      }
+    }
+    
+    const file = path.join(this.diagnosticsDir, `${label.replace(/[^\w.-]/g, '_')}-${Date.now()}.json`);
+    await fs.ensureDir(this.diagnosticsDir);
+    await fs.writeJson(file, diagnostics, { spaces: 2 });
+    
+    console.log(chalk.green(`✅ Diagnostics written to ${file}`));
+    return { success: true, action: `captured_diagnostics_${label}`, file, heapSnapshot: diagnostics.heapSnapshot, detail: file };
+  }
+
+  // Processes of other users, and this one, are never signalled
+  async signalable(pid) {
+    if (pid === process.pid || pid === process.ppid) return false;
+    
+    const info = await this.inspector.getProcessInfo(pid);
+    return !info.user || info.user === os.userInfo().username;
+  }
+
+  // Sends signal to every PID of the target; returns { pid, exited, error } per PID
+  async signalAll(target, signal, waitMs) {
+    const results = [];
+    
+    for (const pid of target.pids || [target.pid]) {
+      if (!await this.signalable(pid)) {
+        results.push({ pid, exited: false, error: 'not owned by this user' });
+        continue;
+      }
+      
+      try {
+        process.kill(pid, signal);
+        results.push({ pid, exited: await this.inspector.waitForExit(pid, waitMs) });
+      } catch (error) {
+        results.push(error.code === 'ESRCH' ? { pid, exited: true } : { pid, exited: false, error: error.message });
+      }
+    }
+    
+    return results;
+  }
+
+  // SIGTERM, and the start command once everything exited. A process that
+  // outlives the grace period is left for the kill step.
+  async restart(target) {
+    const label = this.label(target);
+    console.log(chalk.yellow(`🔄 Restarting ${label}: ${target.start.command}`));
+    
+    const stopped = await this.signalAll(target, 'SIGTERM', this.graceMs);
+    const running = stopped.filter(result => !result.exited);
+    if (running.length > 0) {
+      console.log(chalk.red(`❌ ${label} did not stop: PID ${running.map(result => result.pid).join(', ')}`));
+      return { success: false, error: `PID ${running.map(result => result.pid).join(', ')} still running after SIGTERM`, stopped };
+    }
+    
+    const child = spawn(target.start.command, {
+      cwd: target.start.cwd || process.cwd(),
+      shell: true,
+      detached: true,
+      stdio: 'ignore'
+    });
+    child.unref();
+    
+    console.log(chalk.green(`✅ Restarted ${label} (PID: ${child.pid})`));
+    // child.pid may be the shell; the watch-list finds the new processes on the next check
+    return { success: true, action: `restarted_${label}`, stopped, pid: child.pid, detail: `Started again with "${target.start.command}"` };
+  }
+
+  async kill(target) {
+    const label = this.label(target);
+    console.log(chalk.red(`💀 Killing ${label}`));
+    
+    const killed = await this.signalAll(target, 'SIGKILL', 1000);
+    const success = killed.every(result => result.exited);
+    
+    return success
+      ? { success, action: `killed_${label}`, killed, detail: `Killed PID ${killed.map(result => result.pid).join(', ')}` }
+      : { success, error: `Could not kill ${killed.filter(result => !result.exited).map(result => result.pid).join(', ')}`, killed };
+  }
+}
+
+LeakRemediation.STEPS = STEPS;
+
+module.exports = LeakRemediation;
@@ -0,0 +1,180 @@
+const fs = require('fs-extra');
+const path = require('path');
+const FileLock = require('./file-lock');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Tiers from finest to coarsest. A sample lives in one tier at a time: once
+// it is older than the tier keeps, it is averaged into the next tier's
+// buckets, and the last tier drops what is older than it keeps.
+const TIERS = [
+  { name: 'raw', file: 'raw.jsonl', bucketMs: 0, keep: 'rawMs' },
+  { name: 'minute', file: 'minute.jsonl', bucketMs: MINUTE_MS, keep: 'minuteMs' },
+  { name: 'hour', file: 'hour.jsonl', bucketMs: HOUR_MS, keep: 'hourMs' }
+];
+
+// Memory samples on disk so history survives the monitor and can be read by
+// `memory --report` in another process. Each line is
+// { timestamp, series, count, values }: series is "system",
+// "process:<name>_<pid>" or "watch:<watch entry>", values holds the numbers that are averaged, and
+// count is how many samples an averaged line stands for.
+class MemoryHistoryStore {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(__dirname, '../logs/memory-history');
+    this.retention = {
+      rawMs: options.rawMs || HOUR_MS,
+      minuteMs: options.minuteMs || 24 * HOUR_MS,
+      hourMs: options.hourMs || 30 * 24 * HOUR_MS
+    };
+    this.lock = new FileLock(path.join(this.dir, '.lock'), options.lock);
+  }
+
+  static processSeries(key) {
+    return `process:${key}`;
+  }
+
+  static watchSeries(name) {
+    return `watch:${name}`;
+  }
+
+  tierPath(tier) {
+    return path.join(this.dir, tier.file);
+  }
+
+  // Lines cut short by a crashed writer are skipped
+  async readTier(tier) {
+    const content = await fs.readFile(this.tierPath(tier), 'utf8').catch(() => '');
+    const entries = [];
+    
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // partial line
+      }
+    }
+    
+    return entries;
+  }
+
+  async writeTier(tier, entries) {
+    const temp = `${this.tierPath(tier)}.${process.pid}.tmp`;
+    await fs.writeFile(temp, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+    await fs.rename(temp, this.tierPath(tier));
+  }
+
+  async locked(fn) {
+    return this.lock.withLock(async () => {
+      await fs.ensureDir(this.dir);
+      return fn();
+    });
+  }
+
+  // samples: [{ series, timestamp, values }]
+  async append(samples) {
+    if (samples.length === 0) return;
+    
+    const lines = samples.map(({ series, timestamp, values }) => JSON.stringify({ timestamp, series, count: 1, values }) + '\n');
+    await this.locked(() => fs.appendFile(this.tierPath(TIERS[0]), lines.join('')));
+  }
+
+  // One averaged line per series and bucket, weighted by count
+  downsample(entries, bucketMs) {
+    const buckets = new Map();
+    
+    for (const entry of entries) {
+      const key = `${entry.series}@${Math.floor(entry.timestamp / bucketMs)}`;
+      if (!buckets.has(key)) {
+        buckets.set(key, { series: entry.series, count: 0, timestamp: 0, sums: {} });
+      }
+      
+      const bucket = buckets.get(key);
+      bucket.count += entry.count;
+      bucket.timestamp += entry.timestamp * entry.count;
+      for (const [name, value] of Object.entries(entry.values)) {
+        if (typeof value === 'number') {
+          bucket.sums[name] = (bucket.sums[name] || 0) + value * entry.count;
+        }
+      }
+    }
+    
+    return [...buckets.values()].map(bucket => ({
+      timestamp: Math.round(bucket.timestamp / bucket.count),
+      series: bucket.series,
+      count: bucket.count,
+      values: Object.fromEntries(Object.entries(bucket.sums).map(([name, sum]) => [name, sum / bucket.count]))
+    }));
+  }
+
+  // Moves what each tier no longer keeps into the next one. Cutoffs are
+  // rounded down to the next tier's bucket size so only complete buckets are
+  // averaged and a later rollup never writes a second line for the same one.
+  async rollup(now = Date.now()) {
+    return this.locked(async () => {
+      const moved = {};
+      let carried = [];
+      
+      for (const [i, tier] of TIERS.entries()) {
+        const next = TIERS[i + 1];
+        const incoming = carried;
+        const entries = [...await this.readTier(tier), ...incoming];
+        const keepMs = this.retention[tier.keep];
+        const cutoff = next ? Math.floor((now - keepMs) / next.bucketMs) * next.bucketMs : now - keepMs;
+        
+        const kept = entries.filter(entry => entry.timestamp >= cutoff);
+        const expired = entries.filter(entry => entry.timestamp < cutoff);
+        carried = next ? this.downsample(expired, next.bucketMs) : [];
+        moved[tier.name] = expired.length;
+        
+        if (expired.length > 0 || incoming.length > 0) {
+          await this.writeTier(tier, kept.sort((a, b) => a.timestamp - b.timestamp));
+        }
+      }
+      
+      return moved;
+    });
+  }
+
+  // filter: { since, until, series }. Returns { series -> samples } oldest
+  // first, each sample { timestamp, count, ...values }, across all tiers.
+  async query(filter = {}) {
+    const since = filter.since ? new Date(filter.since).getTime() : -Infinity;
+    const until = filter.until ? new Date(filter.until).getTime() : Infinity;
+    const wanted = filter.series ? [].concat(filter.series) : null;
+    
+    const entries = await this.locked(async () => (await Promise.all(TIERS.map(tier => this.readTier(tier)))).flat());
+    const series = {};
+    
+    for (const entry of entries) {
+      if (entry.timestamp < since || entry.timestamp > until) continue;
+      if (wanted && !wanted.includes(entry.series)) continue;
+      
+      (series[entry.series] = series[entry.series] || []).push({ timestamp: entry.timestamp, count: entry.count, ...entry.values });
+    }
+    
+    Object.values(series).forEach(samples => samples.sort((a, b) => a.timestamp - b.timestamp));
+    return series;
+  }
+}
+
+// An ISO date/time, or a duration before now such as 30m, 6h or 7d
+const parseTime = (value) => {
+  const units = { s: 1000, m: MINUTE_MS, h: HOUR_MS, d: 24 * HOUR_MS };
+  const relative = /^(\d+)([smhd])$/.exec(value);
+  if (relative) {
+    return new Date(Date.now() - Number(relative[1]) * units[relative[2]]);
+  }
+  
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw new Error(`"${value}" is not a date or a duration like 30m, 6h or 7d`);
+  }
+  return date;
+};
+
+MemoryHistoryStore.TIERS = TIERS;
+MemoryHistoryStore.parseTime = parseTime;
+
+module.exports = MemoryHistoryStore;
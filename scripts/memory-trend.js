@@ -0,0 +1,135 @@
+// Robust MAD is scaled by this to estimate a standard deviation
+const MAD_SCALE = 1.4826;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Decides whether a series of memory samples is leaking. A least-squares fit
+// over the window gives the growth rate and R²; the post-GC minima of a
+// sawtooth give a second fit, since a leak raises the floor even when the
+// peaks make the whole series noisy. A last sample far above what the rest of
+// the window predicts is a spike, which is reported but is not growth.
+class MemoryTrendAnalyzer {
+  constructor(options = {}) {
+    this.windowSize = options.windowSize || 20;
+    this.minSamples = options.minSamples || 5;
+    this.minR2 = options.minR2 ?? 0.8;
+    this.spikeSigma = options.spikeSigma || 3;
+    this.spikeMinMB = options.spikeMinMB ?? 20;
+  }
+
+  // Points are { x, y }; slope is y per x. null when x never changes.
+  static regression(points) {
+    const n = points.length;
+    if (n < 2) return null;
+    
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    
+    for (const p of points) {
+      sxx += (p.x - meanX) ** 2;
+      sxy += (p.x - meanX) * (p.y - meanY);
+      syy += (p.y - meanY) ** 2;
+    }
+    
+    if (sxx === 0) return null;
+    
+    const slope = sxy / sxx;
+    // A perfectly flat series is fully explained by a flat line
+    const r2 = syy === 0 ? 1 : (sxy * sxy) / (sxx * syy);
+    
+    return { slope, intercept: meanY - slope * meanX, r2 };
+  }
+
+  // Samples are { timestamp (ms), value (MB) }; x becomes minutes since the first
+  toPoints(samples) {
+    const start = samples[0].timestamp;
+    return samples.map(sample => ({ x: (sample.timestamp - start) / 60000, y: sample.value }));
+  }
+
+  // Local minima, i.e. where memory stood right after a collection. The first
+  // and last samples count when they are lower than their only neighbour.
+  troughs(points) {
+    return points.filter((point, i) => {
+      const previous = points[i - 1];
+      const next = points[i + 1];
+      return (!previous || point.y < previous.y) && (!next || point.y <= next.y) && (previous || next);
+    });
+  }
+
+  // How far the newest sample sits above what the rest of the window predicts
+  spike(points) {
+    const history = points.slice(0, -1);
+    const latest = points[points.length - 1];
+    const fit = MemoryTrendAnalyzer.regression(history);
+    const expected = fit ? fit.intercept + fit.slope * latest.x : median(history.map(p => p.y));
+    const residuals = history.map(p => p.y - (fit ? fit.intercept + fit.slope * p.x : expected));
+    const sigma = MAD_SCALE * median(residuals.map(r => Math.abs(r - median(residuals))));
+    const excess = latest.y - expected;
+    
+    return {
+      expected,
+      excess,
+      detected: excess > this.spikeMinMB && excess > this.spikeSigma * sigma
+    };
+  }
+
+  // classification: insufficient_data | steady_growth | spike | stable.
+  // growthThreshold is in MB per minute.
+  analyze(samples, growthThreshold) {
+    const window = samples.slice(-this.windowSize);
+    const result = {
+      classification: 'insufficient_data',
+      samples: window.length,
+      slope: null,
+      r2: null,
+      baseline: null,
+      spike: null
+    };
+    
+    if (window.length < this.minSamples) return result;
+    
+    const points = this.toPoints(window);
+    const fit = MemoryTrendAnalyzer.regression(points);
+    // Every sample at the same instant says nothing about a rate
+    if (!fit) return result;
+    
+    result.slope = fit.slope;
+    result.r2 = fit.r2;
+    
+    const troughs = this.troughs(points);
+    const baseline = troughs.length >= 3 ? MemoryTrendAnalyzer.regression(troughs) : null;
+    if (baseline) {
+      result.baseline = { slope: baseline.slope, r2: baseline.r2, troughs: troughs.length };
+    }
+    
+    const spike = this.spike(points);
+    result.spike = { expected: spike.expected, excess: spike.excess };
+    
+    const grows = line => line && line.slope > growthThreshold && line.r2 >= this.minR2;
+    // A spike at the end inflates the fit over the whole window, so growth has
+    // to hold without it too
+    const withoutLatest = MemoryTrendAnalyzer.regression(points.slice(0, -1));
+    const steady = (grows(fit) && (!spike.detected || grows(withoutLatest))) || grows(baseline);
+    
+    if (steady) {
+      result.classification = 'steady_growth';
+      // The floor is the better estimate of what is actually being kept
+      if (!grows(fit)) result.slope = baseline.slope;
+    } else if (spike.detected) {
+      result.classification = 'spike';
+    } else {
+      result.classification = 'stable';
+    }
+    
+    return result;
+  }
+}
+
+module.exports = MemoryTrendAnalyzer;
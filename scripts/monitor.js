@@ -6,47 +6,70 @@ const chalk = require('chalk');
 const si = require('systeminformation');
 const cron = require('node-cron');
 const SelfHealingSystem = require('./heal');
+const RetentionManager = require('./retention');
+const HeapInspector = require('./heap-inspector');
+const MemoryTrendAnalyzer = require('./memory-trend');
+const MemoryHistoryStore = require('./memory-store');
+const ProcessWatchList = require('./process-watch');
+const ConfigLoader = require('./config');
 
 class MemoryLeakDetector {
-  constructor() {
-    this.healer = new SelfHealingSystem();
+  // shared: { healer, bus } handed down by CosmicFountain so every subsystem uses the same ones
+  constructor(config = {}, shared = {}) {
+    this.config = ConfigLoader.withDefaults(config);
+    this.healer = shared.healer || new SelfHealingSystem(this.config.heal);
+    this.bus = shared.bus || this.healer.bus;
+    this.retention = new RetentionManager({ ...this.config.retention, store: this.healer.store });
     this.memoryHistory = [];
     this.processHistory = new Map();
-    this.thresholds = {
-      memoryGrowthRate: 10, // MB per minute
-      memoryUsagePercent: 85, // Percentage of total memory
-      processMemoryMB: 1000, // MB per process
-      consecutiveAlerts: 3
-    };
+    this.watchList = new ProcessWatchList(this.config.monitor.watch);
+    this.watchHistory = new Map(); // watch entry name -> samples, across restarts of its processes
+    this.thresholds = { ...this.config.monitor.thresholds };
     this.alertCounts = new Map();
+    this.trendAnalyzer = new MemoryTrendAnalyzer(this.config.monitor.trend);
+    this.heapInspector = new HeapInspector(this.config.monitor.heapSnapshots);
+    this.heapInspections = new Map(); // PID -> when its heap was last inspected
+    this.historyStore = new MemoryHistoryStore(this.config.monitor.history);
+    this.tasks = [];
   }
 
   async startMonitoring() {
     console.log(chalk.blue('🔍 Starting memory leak detection...'));
     
-    // Monitor system memory every 30 seconds
-    cron.schedule('*/30 * * * * *', async () => {
+    const { schedules } = this.config.monitor;
+    await this.restoreHistory();
+    
+    // Monitor system memory (every 30 seconds by default)
+    this.tasks.push(cron.schedule(schedules.systemMemory, async () => {
       await this.checkSystemMemory();
-    });
+    }));
 
-    // Monitor process memory every minute
-    cron.schedule('0 * * * * *', async () => {
+    // Monitor process memory (every minute)
+    this.tasks.push(cron.schedule(schedules.processMemory, async () => {
       await this.checkProcessMemory();
-    });
+    }));
 
-    // Run garbage collection every 5 minutes
-    cron.schedule('0 */5 * * * *', async () => {
+    // Run garbage collection (every 5 minutes)
+    this.tasks.push(cron.schedule(schedules.maintenance, async () => {
       await this.performMaintenance();
-    });
+    }));
 
     // Weekly cleanup
-    cron.schedule('0 0 * * 0', async () => {
+    this.tasks.push(cron.schedule(schedules.weeklyCleanup, async () => {
       await this.weeklyCleanup();
-    });
+    }));
 
+    // Retention policies for everything under logs/
+    this.tasks.push(this.retention.startSchedule());
+    
     console.log(chalk.green('✅ Memory monitoring started'));
   }
 
+  stopMonitoring() {
+    this.tasks.forEach(task => task.stop());
+    this.tasks = [];
+  }
+
   async checkSystemMemory() {
     try {
       const memInfo = await si.mem();
@@ -66,6 +89,12 @@ class MemoryLeakDetector {
       if (this.memoryHistory.length > 100) {
         this.memoryHistory.shift();
       }
+      
+      await this.recordHistory([{
+        series: 'system',
+        timestamp: memorySnapshot.timestamp,
+        values: { used: memInfo.used, total: memInfo.total, free: memInfo.free, usagePercent }
+      }]);
 
       // Check for memory issues
       if (usagePercent > this.thresholds.memoryUsagePercent) {
@@ -77,15 +106,16 @@ class MemoryLeakDetector {
       }
 
       // Check for memory growth trend
-      if (this.memoryHistory.length >= 10) {
-        const growthRate = this.calculateMemoryGrowthRate();
-        if (growthRate > this.thresholds.memoryGrowthRate) {
-          await this.handleMemoryAlert('MEMORY_LEAK_DETECTED', {
-            growthRate,
-            threshold: this.thresholds.memoryGrowthRate,
-            history: this.memoryHistory.slice(-10)
-          });
-        }
+      const trend = this.analyzeSystemTrend();
+      if (trend.classification === 'steady_growth') {
+        await this.handleMemoryAlert('MEMORY_LEAK_DETECTED', {
+          growthRate: trend.slope,
+          r2: trend.r2,
+          threshold: this.thresholds.memoryGrowthRate,
+          history: this.memoryHistory.slice(-10)
+        });
+      } else if (trend.classification === 'spike') {
+        console.log(chalk.gray(`   Memory spike of +${trend.spike.excess.toFixed(0)}MB, not counted as growth`));
       }
 
     } catch (error) {
@@ -96,9 +126,19 @@ class MemoryLeakDetector {
   async checkProcessMemory() {
     try {
       const processes = await si.processes();
+      const samples = [];
+      const watched = await this.watchList.match(processes.list);
+      const watchedPids = new Set([...watched.values()].flat().map(proc => proc.pid));
+      
+      for (const [name, procs] of watched) {
+        await this.checkWatchedProcess(this.watchList.entry(name), procs, samples);
+      }
       
       for (const proc of processes.list) {
-        if (proc.mem > this.thresholds.processMemoryMB) {
+        if (watchedPids.has(proc.pid)) continue;
+        
+        const memory = ProcessWatchList.processMemoryMB(proc);
+        if (memory > this.thresholds.processMemoryMB) {
           const processKey = `${proc.name}_${proc.pid}`;
           
           if (!this.processHistory.has(processKey)) {
@@ -106,10 +146,16 @@ class MemoryLeakDetector {
           }
           
           const history = this.processHistory.get(processKey);
-          history.push({
+          const sample = {
             timestamp: Date.now(),
-            memory: proc.mem,
+            memory,
             cpu: proc.cpu
+          };
+          history.push(sample);
+          samples.push({
+            series: MemoryHistoryStore.processSeries(processKey),
+            timestamp: sample.timestamp,
+            values: { memory, cpu: proc.cpu }
           });
           
           // Keep only last 50 snapshots per process
@@ -118,36 +164,149 @@ class MemoryLeakDetector {
           }
           
           // Check for process memory leak
-          if (history.length >= 5) {
-            const memoryTrend = this.calculateProcessMemoryTrend(history);
-            if (memoryTrend > 50) { // Growing by 50MB consistently
-              await this.handleProcessMemoryLeak(proc, memoryTrend);
-            }
+          const trend = this.calculateProcessMemoryTrend(history);
+          if (trend.classification === 'steady_growth') {
+            await this.handleProcessMemoryLeak({ name: proc.name, pid: proc.pid, memory }, trend);
           }
         }
       }
+      
+      await this.recordHistory(samples);
     } catch (error) {
       console.log(chalk.red(`❌ Process memory check failed: ${error.message}`));
     }
   }
 
-  calculateMemoryGrowthRate() {
-    const recent = this.memoryHistory.slice(-10);
-    const oldest = recent[0];
-    const newest = recent[recent.length - 1];
+  // A watch entry is sampled as the total of every process it matches, so
+  // jest workers count as one and a restarted dev server continues the same
+  // history. Nothing is recorded while none of its processes run.
+  async checkWatchedProcess(entry, procs, samples) {
+    if (procs.length === 0) return;
+    
+    if (!this.watchHistory.has(entry.name)) {
+      this.watchHistory.set(entry.name, []);
+    }
     
-    const timeDiff = (newest.timestamp - oldest.timestamp) / 1000 / 60; // minutes
-    const memoryDiff = (newest.used - oldest.used) / 1024 / 1024; // MB
+    const history = this.watchHistory.get(entry.name);
+    const sample = {
+      timestamp: Date.now(),
+      memory: procs.reduce((sum, proc) => sum + ProcessWatchList.processMemoryMB(proc), 0),
+      cpu: procs.reduce((sum, proc) => sum + proc.cpu, 0),
+      processes: procs.length
+    };
+    history.push(sample);
+    samples.push({
+      series: MemoryHistoryStore.watchSeries(entry.name),
+      timestamp: sample.timestamp,
+      values: { memory: sample.memory, cpu: sample.cpu, processes: sample.processes }
+    });
+    
+    if (history.length > 50) {
+      history.shift();
+    }
+    
+    const thresholds = this.watchList.thresholds(entry, this.thresholds);
+    if (sample.memory < thresholds.processMemoryMB) return;
+    
+    const trend = this.calculateProcessMemoryTrend(history, thresholds.processGrowthRate);
+    if (trend.classification === 'steady_growth') {
+      // The largest process is the one a heal would act on
+      const largest = procs.reduce((a, b) => ProcessWatchList.processMemoryMB(b) > ProcessWatchList.processMemoryMB(a) ? b : a);
+      await this.handleProcessMemoryLeak({
+        name: largest.name,
+        pid: largest.pid,
+        memory: sample.memory,
+        watch: entry.name,
+        pids: procs.map(proc => proc.pid),
+        start: entry.start
+      }, trend);
+    }
+  }
+
+  // Writes samples to the on-disk history; a failed write only costs history
+  async recordHistory(samples) {
+    if (!this.config.monitor.history.enabled) return;
+    
+    try {
+      await this.historyStore.append(samples);
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Could not record memory history: ${error.message}`));
+    }
+  }
+
+  // Picks up where a previous monitor left off, from the samples it wrote
+  // within the raw retention
+  async restoreHistory() {
+    const { history } = this.config.monitor;
+    if (!history.enabled) return;
     
-    return memoryDiff / timeDiff; // MB per minute
+    try {
+      await this.historyStore.rollup();
+      const { system, processes, watched } = await this.loadHistory({ since: Date.now() - history.rawMs });
+      
+      this.memoryHistory = system.slice(-100);
+      for (const [key, samples] of Object.entries(processes)) {
+        this.processHistory.set(key, samples.slice(-50));
+      }
+      for (const [name, samples] of Object.entries(watched)) {
+        this.watchHistory.set(name, samples.slice(-50));
+      }
+      
+      const restored = Object.keys(processes).length + Object.keys(watched).length;
+      if (system.length > 0 || restored > 0) {
+        console.log(chalk.gray(`   Restored ${this.memoryHistory.length} memory sample(s) and ${restored} process(es) from ${history.dir}`));
+      }
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Could not restore memory history: ${error.message}`));
+    }
   }
 
-  calculateProcessMemoryTrend(history) {
-    const recent = history.slice(-5);
-    const oldest = recent[0];
-    const newest = recent[recent.length - 1];
+  // { system: snapshots, processes: { "<name>_<pid>": samples },
+  // watched: { "<watch entry>": samples } } within range { since, until },
+  // from the store, or from this process's own history when the store is off
+  async loadHistory(range = {}) {
+    if (!this.config.monitor.history.enabled) {
+      const since = range.since ? new Date(range.since).getTime() : -Infinity;
+      const until = range.until ? new Date(range.until).getTime() : Infinity;
+      const inRange = samples => samples.filter(sample => sample.timestamp >= since && sample.timestamp <= until);
+      const mapInRange = histories => Object.fromEntries([...histories]
+        .map(([key, samples]) => [key, inRange(samples)])
+        .filter(([, samples]) => samples.length > 0));
+      
+      return {
+        system: inRange(this.memoryHistory),
+        processes: mapInRange(this.processHistory),
+        watched: mapInRange(this.watchHistory)
+      };
+    }
     
-    return newest.memory - oldest.memory; // MB difference
+    const series = await this.historyStore.query(range);
+    const withPrefix = (prefix) => Object.fromEntries(Object.entries(series)
+      .filter(([name]) => name.startsWith(prefix))
+      .map(([name, samples]) => [name.slice(prefix.length), samples]));
+    
+    return {
+      system: series.system || [],
+      processes: withPrefix(MemoryHistoryStore.processSeries('')),
+      watched: withPrefix(MemoryHistoryStore.watchSeries(''))
+    };
+  }
+
+  // System memory in MB, through the trend analyzer
+  analyzeSystemTrend(history = this.memoryHistory) {
+    const samples = history.map(snapshot => ({ timestamp: snapshot.timestamp, value: snapshot.used / 1024 / 1024 }));
+    return this.trendAnalyzer.analyze(samples, this.thresholds.memoryGrowthRate);
+  }
+
+  // MB per minute from the regression over the trend window; 0 until there
+  // are enough samples spread over time
+  calculateMemoryGrowthRate() {
+    return this.analyzeSystemTrend().slope ?? 0;
+  }
+
+  calculateProcessMemoryTrend(history, growthThreshold = this.thresholds.processGrowthRate) {
+    const samples = history.map(entry => ({ timestamp: entry.timestamp, value: entry.memory }));
+    return this.trendAnalyzer.analyze(samples, growthThreshold);
   }
 
   async handleMemoryAlert(alertType, data) {
@@ -162,6 +321,13 @@ class MemoryLeakDetector {
     console.log(chalk.yellow(`⚠️  Memory Alert: ${alertType}`));
     console.log(chalk.yellow(`   Count: ${this.alertCounts.get(alertType)}`));
     
+    this.bus.publish('memory.alert', {
+      alertType,
+      count: this.alertCounts.get(alertType),
+      threshold: data.threshold,
+      value: data.current ?? data.growthRate
+    });
+    
     if (this.alertCounts.get(alertType) >= this.thresholds.consecutiveAlerts) {
       console.log(chalk.red('🚨 Critical memory issue detected, attempting healing...'));
       
@@ -179,23 +345,63 @@ class MemoryLeakDetector {
     }
   }
 
+  // process: { name, pid, memory (MB) }, plus watch, pids and start for a watch-list entry
   async handleProcessMemoryLeak(process, trend) {
-    console.log(chalk.yellow(`⚠️  Process Memory Leak: ${process.name} (PID: ${process.pid})`));
-    console.log(chalk.yellow(`   Memory: ${process.mem}MB, Trend: +${trend}MB`));
+    const label = process.watch ? `${process.watch} (${process.name}, PID: ${process.pid})` : `${process.name} (PID: ${process.pid})`;
+    console.log(chalk.yellow(`⚠️  Process Memory Leak: ${label}`));
+    console.log(chalk.yellow(`   Memory: ${process.memory.toFixed(0)}MB, Growth: +${trend.slope.toFixed(1)}MB/min (R² ${trend.r2.toFixed(2)})`));
     
-    const error = new Error(`Process memory leak: ${process.name}`);
+    const growthRate = Number(trend.slope.toFixed(2));
+    const memory = Math.round(process.memory);
+    const watch = process.watch ? { watch: process.watch, pids: process.pids } : {};
+    this.bus.publish('memory.alert', {
+      alertType: 'PROCESS_MEMORY_LEAK',
+      count: 1,
+      process: { name: process.name, pid: process.pid, memory, growthRate, ...watch }
+    });
+    
+    const heapGrowth = await this.inspectHeap(process.pid);
+    
+    const error = new Error(`Process memory leak: ${process.watch || process.name}`);
     error.code = 'PROCESS_MEMORY_LEAK';
     
     await this.healer.attemptHealing(error, {
       process: {
         name: process.name,
         pid: process.pid,
-        memory: process.mem,
-        trend
-      }
+        memory,
+        growthRate,
+        r2: trend.r2,
+        ...watch,
+        ...(process.start ? { start: process.start } : {})
+      },
+      ...(heapGrowth ? { heapGrowth } : {})
     });
   }
 
+  // What grew inside the process, for Node processes that allow heap
+  // snapshots; null otherwise, or while the PID is in its cooldown
+  async inspectHeap(pid) {
+    const settings = this.config.monitor.heapSnapshots;
+    const last = this.heapInspections.get(pid);
+    
+    if (!settings.enabled || (last && Date.now() - last < settings.cooldownMs)) {
+      return null;
+    }
+    if (!await this.heapInspector.snapshotTarget(pid)) {
+      return null;
+    }
+    
+    this.heapInspections.set(pid, Date.now());
+    const result = await this.heapInspector.inspect(pid);
+    this.heapInspector.printDiff(result);
+    
+    if (!result.success) return null;
+    
+    const { takenAt, totalSize, topGrowing, snapshots } = result;
+    return { takenAt, totalSize, topGrowing, snapshots };
+  }
+
   async performMaintenance() {
     console.log(chalk.blue('🧹 Performing maintenance...'));
     
@@ -205,15 +411,25 @@ class MemoryLeakDetector {
       console.log(chalk.green('✅ Forced garbage collection'));
     }
     
+    if (this.config.monitor.history.enabled) {
+      try {
+        await this.historyStore.rollup();
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️  Memory history rollup failed: ${error.message}`));
+      }
+    }
+    
     // Clean up old process history
     const cutoffTime = Date.now() - (24 * 60 * 60 * 1000); // 24 hours ago
     
-    for (const [key, history] of this.processHistory) {
-      const filtered = history.filter(h => h.timestamp > cutoffTime);
-      if (filtered.length === 0) {
-        this.processHistory.delete(key);
-      } else {
-        this.processHistory.set(key, filtered);
+    for (const histories of [this.processHistory, this.watchHistory]) {
+      for (const [key, history] of histories) {
+        const filtered = history.filter(h => h.timestamp > cutoffTime);
+        if (filtered.length === 0) {
+          histories.delete(key);
+        } else {
+          histories.set(key, filtered);
+        }
       }
     }
     
@@ -230,23 +446,12 @@ class MemoryLeakDetector {
     console.log(chalk.blue('📅 Weekly cleanup started...'));
     
     try {
-      // Clean up error history
-      const errors = await this.healer.loadErrorHistory();
-      const cutoffDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-      
-      const filteredErrors = errors.filter(error => {
-        const errorDate = new Date(error.timestamp);
-        return errorDate > cutoffDate || error.confidence_score >= 7;
-      });
-      
-      await this.healer.saveErrorHistory(filteredErrors);
-      
-      console.log(chalk.green(`✅ Cleaned up ${errors.length - filteredErrors.length} old errors`));
-      
       // Clear memory history
       this.memoryHistory = [];
       this.processHistory.clear();
+      this.watchHistory.clear();
       this.alertCounts.clear();
+      this.heapInspections.clear();
       
       console.log(chalk.green('✅ Weekly cleanup completed'));
       
@@ -255,39 +460,139 @@ class MemoryLeakDetector {
     }
   }
 
-  async generateReport() {
-    console.log(chalk.cyan('📊 Memory Monitoring Report'));
-    console.log(chalk.cyan('=========================='));
+  // range: { since, until } over the recorded history; open ends mean
+  // everything still retained
+  async getReport(range = {}) {
+    const memInfo = await si.mem();
+    const history = await this.loadHistory(range);
+    const trend = this.analyzeSystemTrend(history.system);
+    const memoryErrors = await this.healer.queryErrors({ type: 'ENOMEM', since: range.since, until: range.until });
     
-    try {
-      const memInfo = await si.mem();
-      const currentUsage = (memInfo.used / memInfo.total) * 100;
-      
-      console.log(chalk.green('Current Status:'));
-      console.log(`  Memory Usage: ${currentUsage.toFixed(1)}%`);
-      console.log(`  Free Memory: ${(memInfo.free / 1024 / 1024 / 1024).toFixed(2)}GB`);
-      console.log(`  Total Memory: ${(memInfo.total / 1024 / 1024 / 1024).toFixed(2)}GB`);
+    // Downsampled points stand for `count` samples each
+    const weight = sample => sample.count || 1;
+    const samples = history.system.reduce((sum, sample) => sum + weight(sample), 0);
+    const usage = history.system.map(sample => sample.usagePercent);
+    const toIso = time => (time === undefined || time === null) ? null : new Date(time).toISOString();
+    
+    const processes = Object.entries(history.processes).map(([key, points]) => {
+      const separator = key.lastIndexOf('_');
+      return {
+        name: key.slice(0, separator),
+        pid: Number(key.slice(separator + 1)),
+        samples: points.reduce((sum, point) => sum + weight(point), 0),
+        latestMB: points[points.length - 1].memory,
+        peakMB: Math.max(...points.map(point => point.memory))
+      };
+    }).sort((a, b) => b.peakMB - a.peakMB);
+    
+    // Every configured entry, plus entries that were removed but still have history
+    const watchNames = [...new Set([...this.watchList.entries.map(entry => entry.name), ...Object.keys(history.watched)])];
+    const watched = watchNames.map(name => {
+      const points = history.watched[name] || [];
+      const entry = this.watchList.entry(name);
+      const thresholds = entry ? this.watchList.thresholds(entry, this.thresholds) : this.thresholds;
+      const watchTrend = this.calculateProcessMemoryTrend(points, thresholds.processGrowthRate);
+      const latest = points[points.length - 1];
       
-      if (this.memoryHistory.length > 0) {
-        const growthRate = this.calculateMemoryGrowthRate();
-        console.log(`  Growth Rate: ${growthRate.toFixed(2)}MB/min`);
+      return {
+        name,
+        samples: points.reduce((sum, point) => sum + weight(point), 0),
+        processes: latest ? Math.round(latest.processes) : 0,
+        latestMB: latest ? latest.memory : null,
+        peakMB: points.length > 0 ? Math.max(...points.map(point => point.memory)) : null,
+        growthRate: watchTrend.slope,
+        trend: watchTrend.classification
+      };
+    });
+    
+    return {
+      memory: {
+        usagePercent: (memInfo.used / memInfo.total) * 100,
+        free: memInfo.free,
+        total: memInfo.total,
+        growthRate: trend.slope,
+        trend: trend.classification,
+        r2: trend.r2
+      },
+      history: {
+        since: toIso(range.since),
+        until: toIso(range.until),
+        first: toIso(history.system[0]?.timestamp),
+        last: toIso(history.system[history.system.length - 1]?.timestamp),
+        samples,
+        usagePercent: usage.length === 0 ? null : {
+          min: Math.min(...usage),
+          average: history.system.reduce((sum, sample) => sum + sample.usagePercent * weight(sample), 0) / samples,
+          max: Math.max(...usage)
+        }
+      },
+      alerts: Object.fromEntries(this.alertCounts),
+      trackedProcesses: processes.length,
+      processes: processes.slice(0, 10),
+      watched,
+      errors: {
+        total: memoryErrors.length,
+        resolved: memoryErrors.filter(e => e.resolved).length
       }
-      
-      console.log(chalk.blue('Alert Counts:'));
-      for (const [alertType, count] of this.alertCounts) {
-        console.log(`  ${alertType}: ${count}`);
+    };
+  }
+
+  printReport(report) {
+    console.log(chalk.cyan('📊 Memory Monitoring Report'));
+    console.log(chalk.cyan('=========================='));
+    
+    console.log(chalk.green('Current Status:'));
+    console.log(`  Memory Usage: ${report.memory.usagePercent.toFixed(1)}%`);
+    console.log(`  Free Memory: ${(report.memory.free / 1024 / 1024 / 1024).toFixed(2)}GB`);
+    console.log(`  Total Memory: ${(report.memory.total / 1024 / 1024 / 1024).toFixed(2)}GB`);
+    
+    if (report.memory.growthRate !== null) {
+      console.log(`  Growth Rate: ${report.memory.growthRate.toFixed(2)}MB/min (R² ${report.memory.r2.toFixed(2)})`);
+    }
+    console.log(`  Trend: ${report.memory.trend.replace('_', ' ')}`);
+    
+    const { history } = report;
+    console.log(chalk.blue('History:'));
+    console.log(`  Range: ${history.since || history.first || 'start'} → ${history.until || history.last || 'now'}`);
+    console.log(`  Samples: ${history.samples}`);
+    if (history.usagePercent) {
+      const { min, average, max } = history.usagePercent;
+      console.log(`  Usage: ${min.toFixed(1)}% min, ${average.toFixed(1)}% average, ${max.toFixed(1)}% max`);
+    }
+    
+    console.log(chalk.blue('Alert Counts:'));
+    for (const [alertType, count] of Object.entries(report.alerts)) {
+      console.log(`  ${alertType}: ${count}`);
+    }
+    
+    console.log(chalk.blue('Process Monitoring:'));
+    console.log(`  Tracked Processes: ${report.trackedProcesses}`);
+    for (const proc of report.processes) {
+      console.log(`  ${proc.name} (PID: ${proc.pid}): ${proc.latestMB.toFixed(0)}MB, peak ${proc.peakMB.toFixed(0)}MB`);
+    }
+    
+    if (report.watched.length > 0) {
+      console.log(chalk.blue('Watched Processes:'));
+      for (const watch of report.watched) {
+        if (watch.samples === 0) {
+          console.log(`  ${watch.name}: no samples`);
+          continue;
+        }
+        const growth = watch.growthRate !== null ? `, ${watch.growthRate.toFixed(1)}MB/min` : '';
+        console.log(`  ${watch.name}: ${watch.latestMB.toFixed(0)}MB in ${watch.processes} process(es), peak ${watch.peakMB.toFixed(0)}MB, ${watch.trend.replace('_', ' ')}${growth}`);
       }
-      
-      console.log(chalk.blue('Process Monitoring:'));
-      console.log(`  Tracked Processes: ${this.processHistory.size}`);
-      
-      const errors = await this.healer.loadErrorHistory();
-      const memoryErrors = errors.filter(e => e.error_type === 'ENOMEM');
-      
-      console.log(chalk.blue('Memory Errors:'));
-      console.log(`  Total: ${memoryErrors.length}`);
-      console.log(`  Resolved: ${memoryErrors.filter(e => e.resolved).length}`);
-      
+    }
+    
+    console.log(chalk.blue('Memory Errors:'));
+    console.log(`  Total: ${report.errors.total}`);
+    console.log(`  Resolved: ${report.errors.resolved}`);
+  }
+
+  async generateReport(range = {}) {
+    try {
+      const report = await this.getReport(range);
+      this.printReport(report);
+      return report;
     } catch (error) {
       console.log(chalk.red(`❌ Report generation failed: ${error.message}`));
     }
@@ -295,7 +600,7 @@ class MemoryLeakDetector {
 }
 
 async function main() {
-  const detector = new MemoryLeakDetector();
+  const detector = new MemoryLeakDetector(new ConfigLoader().load());
   
   console.log(chalk.cyan('🌟 Cosmic Fountain Memory Monitor'));
   console.log(chalk.cyan('=================================='));
@@ -303,7 +608,16 @@ async function main() {
   const args = process.argv.slice(2);
   
   if (args.includes('--report')) {
-    await detector.generateReport();
+    const option = name => args.includes(name) ? MemoryHistoryStore.parseTime(args[args.indexOf(name) + 1]) : undefined;
+    let range;
+    try {
+      range = { since: option('--since'), until: option('--until') };
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+      process.exitCode = 1;
+      return;
+    }
+    await detector.generateReport(range);
   } else {
     await detector.startMonitoring();
     
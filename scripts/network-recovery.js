@@ -2,28 +2,23 @@
 
 const fs = require('fs-extra');
 const path = require('path');
-const { execSync, spawn } = require('child_process');
+const { execSync, execFile, execFileSync, spawn } = require('child_process');
+const { promisify } = require('util');
 const chalk = require('chalk');
 const cron = require('node-cron');
 const SelfHealingSystem = require('./heal');
+const ConfigLoader = require('./config');
 
 class NetworkRecoverySystem {
-  constructor() {
-    this.healer = new SelfHealingSystem();
+  constructor(config = {}, shared = {}) {
+    const settings = ConfigLoader.withDefaults(config);
+    this.healer = shared.healer || new SelfHealingSystem(settings.heal);
+    this.bus = shared.bus || this.healer.bus;
     this.networkHistory = [];
     this.endpoints = new Map();
     this.retryAttempts = new Map();
-    this.config = {
-      pingInterval: 30000, // 30 seconds
-      maxRetries: 3,
-      retryDelay: 5000, // 5 seconds
-      timeoutMs: 10000, // 10 seconds
-      criticalEndpoints: [
-        'google.com',
-        'github.com',
-        'npmjs.com'
-      ]
-    };
+    this.config = settings.network;
+    this.tasks = [];
     this.recoveryStrategies = new Map();
     this.initializeStrategies();
   }
@@ -40,29 +35,36 @@ class NetworkRecoverySystem {
   async startNetworkMonitoring() {
     console.log(chalk.blue('🌐 Starting network recovery monitoring...'));
     
-    // Monitor critical endpoints every 30 seconds
-    cron.schedule('*/30 * * * * *', async () => {
+    const { schedules } = this.config;
+    
+    // Monitor critical endpoints (every 30 seconds by default)
+    this.tasks.push(cron.schedule(schedules.endpoints, async () => {
       await this.monitorCriticalEndpoints();
-    });
+    }));
     
-    // Check network adapter status every 2 minutes
-    cron.schedule('0 */2 * * * *', async () => {
+    // Check network adapter status (every 2 minutes)
+    this.tasks.push(cron.schedule(schedules.adapters, async () => {
       await this.checkNetworkAdapters();
-    });
+    }));
     
-    // DNS health check every 5 minutes
-    cron.schedule('0 */5 * * * *', async () => {
+    // DNS health check (every 5 minutes)
+    this.tasks.push(cron.schedule(schedules.dns, async () => {
       await this.checkDNSHealth();
-    });
+    }));
     
-    // Network performance analysis every 10 minutes
-    cron.schedule('0 */10 * * * *', async () => {
+    // Network performance analysis (every 10 minutes)
+    this.tasks.push(cron.schedule(schedules.performance, async () => {
       await this.analyzeNetworkPerformance();
-    });
+    }));
     
     console.log(chalk.green('✅ Network monitoring started'));
   }
 
+  stopNetworkMonitoring() {
+    this.tasks.forEach(task => task.stop());
+    this.tasks = [];
+  }
+
   async monitorCriticalEndpoints() {
     for (const endpoint of this.config.criticalEndpoints) {
       try {
@@ -78,19 +80,51 @@ class NetworkRecoverySystem {
     }
   }
 
+  // One-off reachability check without recovery attempts, for reports and CI
+  async checkCriticalEndpoints() {
+    const results = [];
+    
+    for (const endpoint of this.config.criticalEndpoints) {
+      const result = await this.pingEndpoint(endpoint);
+      await this.recordEndpointStatus(endpoint, result);
+      results.push(result);
+    }
+    
+    return results;
+  }
+
+  // Only host names and IP addresses. Commands get the endpoint as an argument
+  // of its own, never through a shell, and it may not start with "-" so ping
+  // cannot take it for an option.
+  isValidEndpoint(endpoint) {
+    return typeof endpoint === 'string' && SelfHealingSystem.HOSTNAME.test(endpoint);
+  }
+
+  // ping arguments for one echo request
+  pingArgs(endpoint, timeoutMs) {
+    return process.platform === 'win32'
+      ? ['-n', '1', '-w', String(timeoutMs), endpoint]
+      : ['-c', '1', '-W', String(Math.ceil(timeoutMs / 1000)), endpoint];
+  }
+
   async pingEndpoint(endpoint) {
     const startTime = Date.now();
     
+    if (!this.isValidEndpoint(endpoint)) {
+      return {
+        success: false,
+        endpoint,
+        responseTime: 0,
+        timestamp: new Date().toISOString(),
+        error: `Invalid endpoint: ${endpoint}`,
+        code: 'EINVAL'
+      };
+    }
+    
     try {
-      const isWindows = process.platform === 'win32';
-      const pingCmd = isWindows 
-        ? `ping -n 1 -w ${this.config.timeoutMs} ${endpoint}`
-        : `ping -c 1 -W ${Math.ceil(this.config.timeoutMs / 1000)} ${endpoint}`;
-      
-      const result = execSync(pingCmd, { 
+      const { stdout: result } = await promisify(execFile)('ping', this.pingArgs(endpoint, this.config.timeoutMs), {
         encoding: 'utf8',
-        timeout: this.config.timeoutMs,
-        stdio: 'pipe'
+        timeout: this.config.timeoutMs
       });
       
       const responseTime = Date.now() - startTime;
@@ -114,7 +148,8 @@ class NetworkRecoverySystem {
         responseTime: Date.now() - startTime,
         timestamp: new Date().toISOString(),
         error: error.message,
-        code: error.code || 'UNKNOWN'
+        // execFile reports a ping that failed by its exit status
+        code: typeof error.code === 'string' ? error.code : error.killed ? 'ETIMEDOUT' : 'UNKNOWN'
       };
     }
   }
@@ -124,6 +159,7 @@ class NetworkRecoverySystem {
       this.endpoints.set(endpoint, {
         history: [],
         consecutiveFailures: 0,
+        downSince: null,
         lastSuccess: null,
         lastFailure: null
       });
@@ -137,12 +173,25 @@ class NetworkRecoverySystem {
       endpointData.history.shift();
     }
     
+    // Only transitions are published, not every failed ping
     if (result.success) {
+      if (endpointData.consecutiveFailures > 0) {
+        this.bus.publish('network.endpoint.recovered', { endpoint, downSince: endpointData.downSince });
+      }
       endpointData.consecutiveFailures = 0;
+      endpointData.downSince = null;
       endpointData.lastSuccess = result.timestamp;
     } else {
       endpointData.consecutiveFailures++;
       endpointData.lastFailure = result.timestamp;
+      if (endpointData.consecutiveFailures === 1) {
+        endpointData.downSince = result.timestamp;
+        this.bus.publish('network.endpoint.down', {
+          endpoint,
+          consecutiveFailures: endpointData.consecutiveFailures,
+          error: (result.error || 'no response').split('\n')[0]
+        });
+      }
     }
   }
 
@@ -155,6 +204,11 @@ class NetworkRecoverySystem {
       console.log(chalk.red(`🚨 Critical network failure: ${endpoint}`));
       
       const errorType = this.classifyNetworkError(result);
+      this.bus.publish('network.endpoint.critical', {
+        endpoint,
+        consecutiveFailures: endpointData.consecutiveFailures,
+        errorType
+      });
       await this.attemptNetworkRecovery(endpoint, errorType, result);
     }
   }
@@ -229,12 +283,7 @@ class NetworkRecoverySystem {
       
       for (const dns of dnsServers) {
         try {
-          const isWindows = process.platform === 'win32';
-          const nslookupCmd = isWindows 
-            ? `nslookup ${endpoint} ${dns}`
-            : `nslookup ${endpoint} ${dns}`;
-          
-          const result = execSync(nslookupCmd, { 
+          const result = execFileSync('nslookup', [endpoint, dns], { 
             encoding: 'utf8',
             timeout: 5000,
             stdio: 'pipe'
@@ -273,11 +322,7 @@ class NetworkRecoverySystem {
     
     try {
       // Increase timeout and retry
-      const longPingCmd = process.platform === 'win32'
-        ? `ping -n 1 -w ${this.config.timeoutMs * 2} ${endpoint}`
-        : `ping -c 1 -W ${Math.ceil(this.config.timeoutMs * 2 / 1000)} ${endpoint}`;
-      
-      const result = execSync(longPingCmd, { 
+      const result = execFileSync('ping', this.pingArgs(endpoint, this.config.timeoutMs * 2), { 
         encoding: 'utf8',
         timeout: this.config.timeoutMs * 2,
         stdio: 'pipe'
@@ -289,11 +334,11 @@ class NetworkRecoverySystem {
     } catch (error) {
       // Try traceroute to identify where the connection fails
       try {
-        const traceCmd = process.platform === 'win32'
-          ? `tracert -h 10 ${endpoint}`
-          : `traceroute -m 10 ${endpoint}`;
+        const [traceCmd, ...traceArgs] = process.platform === 'win32'
+          ? ['tracert', '-h', '10', endpoint]
+          : ['traceroute', '-m', '10', endpoint];
         
-        const traceResult = execSync(traceCmd, { 
+        const traceResult = execFileSync(traceCmd, traceArgs, { 
           encoding: 'utf8',
           timeout: 30000,
           stdio: 'pipe'
@@ -594,45 +639,69 @@ class NetworkRecoverySystem {
     }
   }
 
-  async generateReport() {
-    console.log(chalk.cyan('📊 Network Recovery Report'));
-    console.log(chalk.cyan('==========================='));
-    
-    console.log(chalk.green('Monitored Endpoints:'));
-    for (const [endpoint, data] of this.endpoints) {
+  async getReport() {
+    const endpoints = [...this.endpoints].map(([endpoint, data]) => {
       const recentHistory = data.history.slice(-10);
       const successRate = recentHistory.length > 0 
         ? (recentHistory.filter(h => h.success).length / recentHistory.length) * 100
         : 0;
       
-      console.log(`  ${endpoint}: ${successRate.toFixed(1)}% success rate`);
-      console.log(`    Consecutive failures: ${data.consecutiveFailures}`);
-      console.log(`    Last success: ${data.lastSuccess || 'Never'}`);
-      console.log(`    Last failure: ${data.lastFailure || 'Never'}`);
-    }
+      return {
+        endpoint,
+        successRate,
+        consecutiveFailures: data.consecutiveFailures,
+        lastSuccess: data.lastSuccess,
+        lastFailure: data.lastFailure
+      };
+    });
     
-    console.log(chalk.blue('Network Performance:'));
-    if (this.networkHistory.length > 0) {
-      const latest = this.networkHistory[this.networkHistory.length - 1];
-      for (const [endpoint, stats] of Object.entries(latest.endpoints)) {
-        console.log(`  ${endpoint}:`);
-        console.log(`    Success Rate: ${stats.successRate.toFixed(1)}%`);
-        console.log(`    Avg Response: ${stats.avgResponseTime.toFixed(1)}ms`);
-        console.log(`    Response Range: ${stats.minResponseTime.toFixed(1)}ms - ${stats.maxResponseTime.toFixed(1)}ms`);
+    const latest = this.networkHistory[this.networkHistory.length - 1];
+    const networkErrors = await this.healer.queryErrors({ type: 'NETWORK_FAILURE' });
+    
+    return {
+      endpoints,
+      performance: latest ? latest.endpoints : {},
+      errors: {
+        total: networkErrors.length,
+        resolved: networkErrors.filter(e => e.resolved).length
       }
+    };
+  }
+
+  printReport(report) {
+    console.log(chalk.cyan('📊 Network Recovery Report'));
+    console.log(chalk.cyan('==========================='));
+    
+    console.log(chalk.green('Monitored Endpoints:'));
+    for (const endpoint of report.endpoints) {
+      console.log(`  ${endpoint.endpoint}: ${endpoint.successRate.toFixed(1)}% success rate`);
+      console.log(`    Consecutive failures: ${endpoint.consecutiveFailures}`);
+      console.log(`    Last success: ${endpoint.lastSuccess || 'Never'}`);
+      console.log(`    Last failure: ${endpoint.lastFailure || 'Never'}`);
     }
     
-    const errors = await this.healer.loadErrorHistory();
-    const networkErrors = errors.filter(e => e.error_type === 'NETWORK_FAILURE');
+    console.log(chalk.blue('Network Performance:'));
+    for (const [endpoint, stats] of Object.entries(report.performance)) {
+      console.log(`  ${endpoint}:`);
+      console.log(`    Success Rate: ${stats.successRate.toFixed(1)}%`);
+      console.log(`    Avg Response: ${stats.avgResponseTime.toFixed(1)}ms`);
+      console.log(`    Response Range: ${stats.minResponseTime.toFixed(1)}ms - ${stats.maxResponseTime.toFixed(1)}ms`);
+    }
     
     console.log(chalk.blue('Network Errors:'));
-    console.log(`  Total: ${networkErrors.length}`);
-    console.log(`  Resolved: ${networkErrors.filter(e => e.resolved).length}`);
+    console.log(`  Total: ${report.errors.total}`);
+    console.log(`  Resolved: ${report.errors.resolved}`);
+  }
+
+  async generateReport() {
+    const report = await this.getReport();
+    this.printReport(report);
+    return report;
   }
 }
 
 async function main() {
-  const recovery = new NetworkRecoverySystem();
+  const recovery = new NetworkRecoverySystem(new ConfigLoader().load());
   
   console.log(chalk.cyan('🌟 Cosmic Fountain Network Recovery'));
   console.log(chalk.cyan('==================================='));
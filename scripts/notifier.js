@@ -0,0 +1,436 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { spawn, execFile } = require('child_process');
+const chalk = require('chalk');
+const HealthGate = require('./health-gate');
+
+const SEVERITIES = HealthGate.SEVERITIES;
+const rank = severity => SEVERITIES.indexOf(severity);
+
+// How each bus event reads as a notification. Events without an entry
+// (git.commit.analyzed, recoveries of things nobody was told about) stay quiet.
+const EVENT_NOTIFICATIONS = {
+  'memory.alert': event => ({
+    severity: 'high',
+    key: event.process ? `${event.alertType}:${event.process.watch || event.process.name}` : event.alertType,
+    title: event.process
+      ? `Memory leak suspected in ${event.process.watch || event.process.name} (PID ${event.process.pid})`
+      : `Memory alert: ${event.alertType}`,
+    message: event.process
+      ? `${event.process.memory}MB, growing ${event.process.growthRate}MB/min`
+      : `${event.value ?? '?'} against a threshold of ${event.threshold ?? '?'} (${event.count} in a row)`
+  }),
+  'network.endpoint.down': event => ({
+    severity: 'moderate',
+    key: event.endpoint,
+    title: `${event.endpoint} is unreachable`,
+    message: event.error
+  }),
+  'network.endpoint.critical': event => ({
+    severity: 'high',
+    key: event.endpoint,
+    title: `Critical network failure: ${event.endpoint}`,
+    message: `${event.consecutiveFailures} consecutive failures (${event.errorType}), attempting recovery`
+  }),
+  'network.endpoint.recovered': event => ({
+    severity: 'info',
+    key: event.endpoint,
+    title: `${event.endpoint} is reachable again`,
+    message: `Down since ${event.downSince}`
+  }),
+  'deps.vulnerability': event => ({
+    severity: SEVERITIES.includes(event.severity) ? event.severity : 'moderate',
+    key: event.package,
+    title: `Vulnerable dependency: ${event.package}`,
+    message: event.title || `${event.severity} severity advisory`
+  }),
+  'heal.attempted': event => event.success ? null : ({
+    severity: 'moderate',
+    key: event.errorType,
+    title: `Could not heal ${event.errorType}`,
+    message: event.strategy ? `${event.strategy} failed: ${event.message}` : `No strategy matched: ${event.message}`
+  }),
+  // A step of the PROCESS_MEMORY_LEAK ladder; notify exists to send this
+  'heal.remediation': event => ({
+    severity: event.step === 'kill' ? 'critical' : event.step === 'diagnostics' ? 'moderate' : 'high',
+    key: `${event.name}:${event.step}`,
+    title: event.step === 'notify'
+      ? `Memory leak in ${event.name} (PID ${event.pid})`
+      : `${event.name}: ${event.step} ${event.success ? 'done' : 'failed'}`,
+    message: event.detail || `${event.step} for PID ${event.pid}`
+  }),
+  'process.critical-error': event => ({
+    severity: 'high',
+    key: event.fingerprint || event.message,
+    title: `Critical error (${event.origin})`,
+    message: event.message
+  }),
+  'process.crash-loop': event => ({
+    severity: 'critical',
+    key: event.fingerprint,
+    title: `Cosmic Fountain exited: crash loop breaker tripped (${event.reason})`,
+    message: `${event.message}; report in ${event.reportPath}`
+  })
+};
+
+// POSTs the notification as JSON. Any 2xx counts as delivered.
+class WebhookSink {
+  constructor(options) {
+    this.url = new URL(options.url);
+    this.headers = options.headers || {};
+    this.timeoutMs = options.timeoutMs || 10000;
+  }
+
+  describe() {
+    return `webhook ${this.url.origin}${this.url.pathname}`;
+  }
+
+  send(notification) {
+    const body = JSON.stringify(notification);
+    const client = this.url.protocol === 'https:' ? https : http;
+    
+    return new Promise((resolve, reject) => {
+      const request = client.request(this.url, {
+        method: 'POST',
+        timeout: this.timeoutMs,
+        headers: {
+          'content-type': 'application/json',
+          'content-length': Buffer.byteLength(body),
+          'user-agent': 'cosmic-fountain',
+          ...this.headers
+        }
+      }, (response) => {
+        response.resume();
+        response.on('end', () => {
+          if (response.statusCode >= 200 && response.statusCode < 300) {
+            resolve({ status: response.statusCode });
+          } else {
+            reject(new Error(`${this.url.host} answered ${response.statusCode}`));
+          }
+        });
+      });
+      
+      request.on('timeout', () => request.destroy(new Error(`${this.url.host} did not answer within ${this.timeoutMs}ms`)));
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+}
+
+// Runs a shell command with the notification as JSON on stdin and the main
+// fields in NOTIFICATION_* variables
+class CommandSink {
+  constructor(options) {
+    this.command = options.command;
+    this.timeoutMs = options.timeoutMs || 10000;
+  }
+
+  describe() {
+    return `command ${this.command}`;
+  }
+
+  send(notification) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.command, {
+        shell: true,
+        stdio: ['pipe', 'ignore', 'pipe'],
+        env: {
+          ...process.env,
+          NOTIFICATION_EVENT: notification.event,
+          NOTIFICATION_SEVERITY: notification.severity,
+          NOTIFICATION_TITLE: notification.title,
+          NOTIFICATION_MESSAGE: notification.message
+        }
+      });
+      
+      let stderr = '';
+      const timer = setTimeout(() => child.kill('SIGKILL'), this.timeoutMs);
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.stdin.on('error', () => {}); // commands that never read stdin
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        if (code === 0) return resolve({ exitCode: 0 });
+        reject(new Error(signal ? `killed after ${this.timeoutMs}ms` : `exited with ${code}: ${stderr.trim().split('\n')[0]}`));
+      });
+      child.stdin.end(JSON.stringify(notification));
+    });
+  }
+}
+
+// Desktop popups through notify-send (libnotify)
+class DesktopSink {
+  constructor(options) {
+    this.timeoutMs = options.timeoutMs || 10000;
+  }
+
+  describe() {
+    return 'desktop notify-send';
+  }
+
+  urgency(severity) {
+    if (severity === 'critical') return 'critical';
+    return rank(severity) >= rank('moderate') ? 'normal' : 'low';
+  }
+
+  send(notification) {
+    const args = ['-u', this.urgency(notification.severity), '-a', 'Cosmic Fountain', notification.title, notification.message];
+    
+    return new Promise((resolve, reject) => {
+      execFile('notify-send', args, { timeout: this.timeoutMs }, (error) => {
+        if (!error) return resolve({});
+        reject(error.code === 'ENOENT' ? new Error('notify-send is not installed') : error);
+      });
+    });
+  }
+}
+
+// One JSON file per notification, for tools that watch a directory
+class FileSink {
+  constructor(options) {
+    this.dir = path.resolve(options.dir);
+  }
+
+  describe() {
+    return `file ${this.dir}`;
+  }
+
+  async send(notification) {
+    await fs.ensureDir(this.dir);
+    const name = `${notification.timestamp.replace(/[:.]/g, '-')}-${notification.id}.json`;
+    const file = path.join(this.dir, name);
+    
+    // Written aside and renamed so watchers never read half a file
+    await fs.writeJson(`${file}.tmp`, notification, { spaces: 2 });
+    await fs.move(`${file}.tmp`, file);
+    return { file };
+  }
+}
+
+const SINKS = new Map([
+  ['webhook', WebhookSink],
+  ['command', CommandSink],
+  ['desktop', DesktopSink],
+  ['file', FileSink]
+]);
+
+const toMinutes = time => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Turns bus events into notifications and hands them to the configured sinks.
+// Each sink takes severities from its minSeverity up, optionally only for some
+// events; a notification with the same key is sent once per dedupe window and
+// quiet hours hold back everything below their minSeverity.
+class Notifier {
+  constructor(options = {}) {
+    this.dedupeWindowMs = options.dedupeWindowMs ?? 15 * 60 * 1000;
+    this.quietHours = options.quietHours || null;
+    this.sinks = (options.sinks || []).map((definition, index) => ({
+      name: definition.name || `${definition.type}-${index + 1}`,
+      minSeverity: definition.minSeverity || 'moderate',
+      events: definition.events || null,
+      sink: Notifier.createSink(definition)
+    }));
+    this.recent = new Map(); // dedupe key -> { sentAt, suppressed }
+    this.pending = new Set();
+    this.unsubscribe = null;
+  }
+
+  static createSink(definition) {
+    const Sink = SINKS.get(definition.type);
+    if (!Sink) {
+      throw new Error(`Unknown notification sink "${definition.type}", expected one of: ${[...SINKS.keys()].join(', ')}`);
+    }
+    return new Sink(definition);
+  }
+
+  // Extension point for sinks beyond the built-in ones: a class whose
+  // instances have send(notification) returning a promise
+  static registerSink(type, Sink) {
+    SINKS.set(type, Sink);
+  }
+
+  attach(bus) {
+    this.detach();
+    this.unsubscribe = bus.subscribe('*', event => this.notifyEvent(event));
+    return this;
+  }
+
+  detach() {
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
+    return this;
+  }
+
+  fromEvent(event) {
+    const describe = EVENT_NOTIFICATIONS[event.type];
+    const details = describe && describe(event);
+    if (!details) return null;
+    
+    return this.build({ ...details, event: event.type, data: event });
+  }
+
+  build({ severity, key = null, title, message = '', event = 'manual', data = null }) {
+    return {
+      id: crypto.randomBytes(4).toString('hex'),
+      event,
+      severity,
+      key: `${event}:${key ?? title}`,
+      title,
+      message,
+      host: os.hostname(),
+      timestamp: new Date().toISOString(),
+      repeats: 0,
+      data
+    };
+  }
+
+  notifyEvent(event) {
+    const notification = this.fromEvent(event);
+    return notification ? this.notify(notification) : null;
+  }
+
+  isQuiet(date = new Date()) {
+    if (!this.quietHours) return false;
+    
+    const now = date.getHours() * 60 + date.getMinutes();
+    const start = toMinutes(this.quietHours.start);
+    const end = toMinutes(this.quietHours.end);
+    
+    // 22:00-07:00 wraps around midnight
+    return start <= end ? now >= start && now < end : now >= start || now < end;
+  }
+
+  // Why a notification is held back, or null when it goes out
+  suppression(notification, now) {
+    if (this.isQuiet(new Date(now)) && rank(notification.severity) < rank(this.quietHours.minSeverity || 'critical')) {
+      return 'quiet-hours';
+    }
+    
+    const previous = this.recent.get(notification.key);
+    if (previous && now - previous.sentAt < this.dedupeWindowMs) {
+      previous.suppressed++;
+      return 'duplicate';
+    }
+    
+    return null;
+  }
+
+  routesTo(route, notification, options = {}) {
+    if (rank(notification.severity) < rank(route.minSeverity)) return false;
+    if (!route.events || options.force) return true;
+    
+    return route.events.some(pattern => pattern === notification.event ||
+      (pattern.endsWith('.*') && notification.event.startsWith(pattern.slice(0, -1))));
+  }
+
+  // Resolves with what happened; sink failures are logged, never thrown
+  notify(notification, options = {}) {
+    const work = this.deliver(notification, options);
+    this.pending.add(work);
+    work.finally(() => this.pending.delete(work));
+    return work;
+  }
+
+  async deliver(notification, options = {}) {
+    const now = Date.now();
+    const suppressed = options.force ? null : this.suppression(notification, now);
+    if (suppressed) {
+      return { notification, suppressed, deliveries: [] };
+    }
+    
+    const previous = this.recent.get(notification.key);
+    notification.repeats = previous ? previous.suppressed : 0;
+    this.recent.set(notification.key, { sentAt: now, suppressed: 0 });
+    this.pruneRecent(now);
+    
+    const routes = this.sinks.filter(route => this.routesTo(route, notification, options));
+    const deliveries = await Promise.all(routes.map(async (route) => {
+      try {
+        await route.sink.send(notification);
+        return { sink: route.name, success: true };
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️  Notification via ${route.name} failed: ${error.message}`));
+        return { sink: route.name, success: false, error: error.message };
+      }
+    }));
+    
+    return { notification, suppressed: null, deliveries };
+  }
+
+  pruneRecent(now) {
+    for (const [key, entry] of this.recent) {
+      if (now - entry.sentAt >= this.dedupeWindowMs) this.recent.delete(key);
+    }
+  }
+
+  // Waits for deliveries in progress, e.g. before the process exits
+  async drain(timeoutMs = 10000) {
+    if (this.pending.size === 0) return 0;
+    
+    let timer;
+    const timeout = new Promise(resolve => { timer = setTimeout(resolve, timeoutMs); });
+    await Promise.race([Promise.allSettled([...this.pending]), timeout]);
+    clearTimeout(timer);
+    
+    return this.pending.size;
+  }
+
+  // Sends one notification of the given severity to every sink that takes it,
+  // ignoring quiet hours, deduplication and event filters
+  async sendTest(severity = 'high') {
+    const notification = this.build({
+      severity,
+      event: 'notification.test',
+      title: 'Cosmic Fountain test notification',
+      message: `Sent from ${os.hostname()} to check the notification sinks`
+    });
+    const result = await this.notify(notification, { force: true });
+    
+    return {
+      severity,
+      sinks: this.sinks.map(route => {
+        const delivery = result.deliveries.find(entry => entry.sink === route.name);
+        return {
+          name: route.name,
+          type: route.sink.describe(),
+          minSeverity: route.minSeverity,
+          ...(delivery ? { success: delivery.success, error: delivery.error } : { skipped: true })
+        };
+      })
+    };
+  }
+
+  printTestResult(result) {
+    console.log(chalk.cyan(`🔔 Test notification (${result.severity})`));
+    
+    if (result.sinks.length === 0) {
+      console.log(chalk.gray('No sinks configured under notifications.sinks'));
+      return;
+    }
+    
+    for (const sink of result.sinks) {
+      if (sink.skipped) {
+        console.log(chalk.gray(`  ⏭️  ${sink.name} (${sink.type}): below its minSeverity ${sink.minSeverity}`));
+      } else if (sink.success) {
+        console.log(chalk.green(`  ✅ ${sink.name} (${sink.type})`));
+      } else {
+        console.log(chalk.red(`  ❌ ${sink.name} (${sink.type}): ${sink.error}`));
+      }
+    }
+  }
+}
+
+Notifier.SINKS = SINKS;
+Notifier.EVENT_NOTIFICATIONS = EVENT_NOTIFICATIONS;
+
+module.exports = Notifier;
@@ -0,0 +1,130 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+
+class HealingPluginLoader {
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.pluginDir = options.pluginDir || path.join(this.cwd, 'cosmic-fountain.plugins');
+    this.packages = options.packages || this.readConfiguredPackages();
+  }
+
+  // Plugin packages are listed under "cosmicFountain.plugins" in the project's package.json
+  readConfiguredPackages() {
+    try {
+      const packageJsonPath = path.join(this.cwd, 'package.json');
+      if (!fs.pathExistsSync(packageJsonPath)) {
+        return [];
+      }
+      
+      const packageJson = fs.readJsonSync(packageJsonPath);
+      return packageJson.cosmicFountain?.plugins || [];
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Could not read plugin configuration: ${error.message}`));
+      return [];
+    }
+  }
+
+  loadAll() {
+    return [
+      ...this.loadFromDirectory(),
+      ...this.loadFromPackages()
+    ];
+  }
+
+  loadFromDirectory() {
+    const plugins = [];
+    
+    if (!fs.pathExistsSync(this.pluginDir)) {
+      return plugins;
+    }
+    
+    const entries = fs.readdirSync(this.pluginDir)
+      .filter(entry => entry.endsWith('.js') || fs.statSync(path.join(this.pluginDir, entry)).isDirectory())
+      .sort();
+    
+    for (const entry of entries) {
+      const modulePath = path.join(this.pluginDir, entry);
+      plugins.push(...this.loadModule(modulePath, `file:${path.relative(this.cwd, modulePath)}`));
+    }
+    
+    return plugins;
+  }
+
+  loadFromPackages() {
+    const plugins = [];
+    
+    for (const packageName of this.packages) {
+      try {
+        const modulePath = require.resolve(packageName, { paths: [this.cwd] });
+        plugins.push(...this.loadModule(modulePath, `npm:${packageName}`));
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️  Could not resolve healing plugin ${packageName}: ${error.message.split('\n')[0]}`));
+      }
+    }
+    
+    return plugins;
+  }
+
+  loadModule(modulePath, source) {
+    try {
+      const exported = require(modulePath);
+      const definitions = Array.isArray(exported) ? exported : [exported];
+      
+      return definitions
+        .map(definition => this.validatePlugin(definition, source))
+        .filter(Boolean);
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Could not load healing plugin ${source}: ${error.message}`));
+      return [];
+    }
+  }
+
+  // Also used for strategies a host registers through the agent API
+  static findProblems(definition) {
+    const problems = [];
+    
+    if (!definition || typeof definition !== 'object') {
+      problems.push('plugin must export an object');
+    } else {
+      if (!definition.name || typeof definition.name !== 'string') {
+        problems.push('"name" must be a non-empty string');
+      }
+      if (typeof definition.heal !== 'function') {
+        problems.push('"heal(error, context)" must be a function');
+      }
+      const matchers = ['codes', 'errnos', 'errorClasses', 'messages', 'modules'];
+      if (!matchers.some(key => definition[key]?.length)) {
+        problems.push(`declare at least one entry in ${matchers.map(key => `"${key}"`).join(', ')}`);
+      }
+      if (definition.priority !== undefined && typeof definition.priority !== 'number') {
+        problems.push('"priority" must be a number');
+      }
+    }
+    
+    return problems;
+  }
+
+  validatePlugin(definition, source) {
+    const problems = HealingPluginLoader.findProblems(definition);
+    
+    if (problems.length > 0) {
+      console.log(chalk.yellow(`⚠️  Skipping healing plugin ${source}: ${problems.join(', ')}`));
+      return null;
+    }
+    
+    return {
+      name: definition.name,
+      codes: definition.codes,
+      errnos: definition.errnos,
+      errorClasses: definition.errorClasses,
+      messages: definition.messages,
+      modules: definition.modules,
+      priority: definition.priority || 0,
+      heal: definition.heal.bind(definition),
+      source
+    };
+  }
+}
+
+module.exports = HealingPluginLoader;
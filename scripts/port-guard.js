@@ -0,0 +1,133 @@
+const os = require('os');
+const net = require('net');
+const ProcessInspector = require('./process-info');
+
+class PortConflictGuard {
+  constructor(options = {}) {
+    this.inspector = options.inspector || new ProcessInspector();
+    this.config = {
+      // Processes we may stop to free a port; an empty list allows anything not denied
+      allow: ['node', 'nodemon', 'npm', 'npx', 'yarn', 'pnpm', 'bun', 'deno', 'vite', 'webpack', 'next-server'],
+      // Never stopped, even when also allowed
+      deny: [
+        'postgres', 'postmaster', 'mysqld', 'mariadbd', 'mongod', 'redis-server',
+        'dockerd', 'containerd', 'com.docker.backend', 'docker-proxy',
+        'nginx', 'httpd', 'sshd', 'systemd', 'launchd'
+      ],
+      graceMs: 5000,
+      sameUserOnly: true,
+      alternativePortRange: 20,
+      ...options
+    };
+  }
+
+  // Node reports "address already in use :::8888", older tools "port 8888"
+  parsePort(error, context = {}) {
+    const candidates = [
+      error.port,
+      context.port,
+      error.message?.match(/port (\d+)/i)?.[1],
+      error.message?.match(/:(\d+)\s*$/)?.[1]
+    ];
+    
+    const port = candidates.map(Number).find(value => Number.isInteger(value) && value > 0 && value < 65536);
+    return port || null;
+  }
+
+  matchesList(list, owner) {
+    const names = [owner.name, owner.cmdline?.split(/\s+/)[0]?.split('/').pop()]
+      .filter(Boolean)
+      .map(name => name.toLowerCase());
+    
+    return list.find(entry => {
+      const pattern = entry instanceof RegExp ? entry : new RegExp(`^${entry.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+      return names.some(name => pattern.test(name));
+    });
+  }
+
+  evaluateOwner(owner) {
+    const currentUser = os.userInfo().username;
+    
+    if (owner.pid === process.pid || owner.pid === process.ppid) {
+      return { verdict: 'spare', reason: 'owner is Cosmic Fountain itself' };
+    }
+    
+    const denied = this.matchesList(this.config.deny, owner);
+    if (denied) {
+      return { verdict: 'spare', reason: `matches deny list entry ${denied}` };
+    }
+    
+    if (this.config.sameUserOnly && owner.user && owner.user !== currentUser) {
+      return { verdict: 'spare', reason: `owned by ${owner.user}, not ${currentUser}` };
+    }
+    
+    if (this.config.allow.length > 0) {
+      const allowed = this.matchesList(this.config.allow, owner);
+      if (!allowed) {
+        return { verdict: 'spare', reason: `${owner.name || 'unknown process'} is not on the allow list` };
+      }
+      return { verdict: 'terminate', reason: `matches allow list entry ${allowed}` };
+    }
+    
+    return { verdict: 'terminate', reason: 'allow list is empty and process is not denied' };
+  }
+
+  async inspect(port) {
+    const pids = this.inspector.findPortOwners(port);
+    const owners = [];
+    
+    for (const pid of pids) {
+      const info = await this.inspector.getProcessInfo(pid);
+      owners.push({ ...info, ...this.evaluateOwner(info) });
+    }
+    
+    return owners;
+  }
+
+  async findFreePort(port) {
+    for (let candidate = port + 1; candidate <= Math.min(port + this.config.alternativePortRange, 65535); candidate++) {
+      const free = await new Promise(resolve => {
+        const server = net.createServer();
+        server.once('error', () => resolve(false));
+        server.listen(candidate, () => server.close(() => resolve(true)));
+      });
+      
+      if (free) return candidate;
+    }
+    
+    return null;
+  }
+
+  // Builds the decision record; only terminates owners when every one of them may be stopped
+  async decide(port) {
+    const owners = await this.inspect(port);
+    const spared = owners.filter(owner => owner.verdict === 'spare');
+    
+    const decision = {
+      port,
+      timestamp: new Date().toISOString(),
+      owners,
+      outcome: owners.length === 0 ? 'no_owner_found' : spared.length > 0 ? 'spare' : 'terminate',
+      alternativePort: null
+    };
+    
+    if (decision.outcome !== 'terminate') {
+      decision.alternativePort = await this.findFreePort(port);
+    }
+    
+    return decision;
+  }
+
+  async execute(decision) {
+    decision.terminations = [];
+    
+    for (const owner of decision.owners) {
+      decision.terminations.push(await this.inspector.terminate(owner.pid, this.config.graceMs));
+    }
+    
+    decision.outcome = decision.terminations.every(t => t.exited) ? 'terminated' : 'termination_failed';
+    return decision;
+  }
+}
+
+module.exports = PortConflictGuard;
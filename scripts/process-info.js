@@ -0,0 +1,167 @@
+const fs = require('fs-extra');
+const { execSync } = require('child_process');
+
+class ProcessInspector {
+  constructor(options = {}) {
+    this.pollInterval = options.pollInterval || 200;
+  }
+
+  run(cmd) {
+    try {
+      return execSync(cmd, { encoding: 'utf8', stdio: 'pipe' }).trim();
+    } catch (error) {
+      return '';
+    }
+  }
+
+  isAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM means the process exists but belongs to someone else
+      return error.code === 'EPERM';
+    }
+  }
+
+  async getProcessInfo(pid) {
+    const info = { pid: Number(pid), name: null, cmdline: null, user: null, cwd: null };
+    
+    if (process.platform === 'win32') {
+      const output = this.run(`wmic process where ProcessId=${pid} get Name,CommandLine /format:list`);
+      info.name = output.match(/^Name=(.*)$/m)?.[1]?.trim() || null;
+      info.cmdline = output.match(/^CommandLine=(.*)$/m)?.[1]?.trim() || null;
+      return info;
+    }
+    
+    info.name = this.run(`ps -o comm= -p ${pid}`) || null;
+    info.user = this.run(`ps -o user= -p ${pid}`) || null;
+    info.cmdline = this.run(`ps -o args= -p ${pid}`) || null;
+    
+    if (info.name) {
+      info.name = info.name.split('/').pop();
+    }
+    
+    info.cwd = await this.getCwd(pid);
+    info.argv = await this.getArgv(pid);
+    info.startTime = await this.getStartTime(pid);
+    
+    return info;
+  }
+
+  // Exact arguments, so a command line can be run again without a shell;
+  // null where only the joined `ps` line is available
+  async getArgv(pid) {
+    if (process.platform !== 'linux') return null;
+    
+    try {
+      const raw = await fs.readFile(`/proc/${pid}/cmdline`, 'utf8');
+      const argv = raw.split('\0').filter((arg, i, all) => arg !== '' || i < all.length - 1);
+      return argv.length > 0 ? argv : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // When the process started, as an opaque string. Together with the PID it
+  // identifies a process, since PIDs are reused.
+  async getStartTime(pid) {
+    if (process.platform === 'win32') return null;
+    
+    if (process.platform === 'linux') {
+      try {
+        // Field 22, counted after the parenthesised name which may hold spaces
+        const stat = await fs.readFile(`/proc/${pid}/stat`, 'utf8');
+        return stat.slice(stat.lastIndexOf(')') + 2).split(' ')[19] || null;
+      } catch (error) {
+        return null;
+      }
+    }
+    
+    return this.run(`ps -o lstart= -p ${pid}`) || null;
+  }
+
+  // What a kill_process undo step or the daemon's PID file records, and
+  // compares before signalling
+  async identify(pid) {
+    const info = await this.getProcessInfo(pid);
+    return { pid: Number(pid), name: info.name, cmdline: info.cmdline, startTime: info.startTime };
+  }
+
+  // Whether two identify() results are the same process. The start time
+  // settles it. A process may rename itself (npm sets its title), so name and
+  // command line only count where no start time is known.
+  sameProcess(recorded, current) {
+    if (!recorded.startTime && !recorded.cmdline) return false;
+    return recorded.startTime
+      ? current.startTime === recorded.startTime
+      : current.cmdline === recorded.cmdline && current.name === recorded.name;
+  }
+
+  async getCwd(pid) {
+    if (process.platform === 'win32') return null;
+    
+    if (process.platform === 'linux') {
+      try {
+        return await fs.readlink(`/proc/${pid}/cwd`);
+      } catch (error) {
+        // Not readable for processes owned by other users
+        return null;
+      }
+    }
+    
+    return this.run(`lsof -a -p ${pid} -d cwd -Fn`).split('\n').find(line => line.startsWith('n'))?.slice(1) || null;
+  }
+
+  findPortOwners(port) {
+    if (process.platform === 'win32') {
+      const output = this.run(`netstat -ano | findstr :${port}`);
+      return [...new Set(output.split('\n')
+        .filter(line => /LISTENING/i.test(line))
+        .map(line => Number(line.trim().split(/\s+/).pop()))
+        .filter(pid => pid > 0))];
+    }
+    
+    return [...new Set(this.run(`lsof -ti:${port} -sTCP:LISTEN`)
+      .split('\n')
+      .map(Number)
+      .filter(pid => pid > 0))];
+  }
+
+  async waitForExit(pid, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    
+    while (Date.now() < deadline) {
+      if (!this.isAlive(pid)) return true;
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+    }
+    
+    return !this.isAlive(pid);
+  }
+
+  // SIGTERM first, SIGKILL only if the process outlives the grace period
+  async terminate(pid, graceMs = 5000) {
+    const signals = [];
+    
+    try {
+      process.kill(pid, 'SIGTERM');
+      signals.push('SIGTERM');
+      
+      if (await this.waitForExit(pid, graceMs)) {
+        return { pid, exited: true, signals };
+      }
+      
+      process.kill(pid, 'SIGKILL');
+      signals.push('SIGKILL');
+      
+      return { pid, exited: await this.waitForExit(pid, 1000), signals };
+    } catch (error) {
+      if (error.code === 'ESRCH') {
+        return { pid, exited: true, signals };
+      }
+      return { pid, exited: false, signals, error: error.message };
+    }
+  }
+}
+
+module.exports = ProcessInspector;
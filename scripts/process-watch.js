@@ -0,0 +1,74 @@
+const path = require('path');
+const ProcessInspector = require('./process-info');
+
+// si.processes() reports mem as a percentage; memRss is in KB
+const processMemoryMB = proc => (proc.memRss || 0) / 1024;
+
+// Named development processes from monitor.watch. Each entry is
+// { name, match: { name, cmdline, cwd }, thresholds }: every given match
+// field has to hold, cmdline is a regular expression and cwd matches the
+// directory or anything below it. A process belongs to the first entry it
+// matches, so history is kept per entry name rather than per PID and
+// continues when the process is restarted.
+class ProcessWatchList {
+  constructor(entries = [], options = {}) {
+    this.entries = entries.map(({ match = {}, ...entry }) => ({
+      ...entry,
+      match: {
+        name: match.name || null,
+        cmdline: match.cmdline ? new RegExp(match.cmdline) : null,
+        cwd: match.cwd ? path.resolve(match.cwd) : null
+      }
+    }));
+    this.inspector = options.inspector || new ProcessInspector();
+  }
+
+  // Entry thresholds over the global ones. processMemoryMB defaults to 0 so
+  // a watched process is judged at any size.
+  thresholds(entry, defaults) {
+    return { ...defaults, processMemoryMB: 0, ...entry.thresholds };
+  }
+
+  async matches(entry, proc, cwds) {
+    const { name, cmdline, cwd } = entry.match;
+    
+    if (name && proc.name !== name) return false;
+    if (cmdline && !cmdline.test([proc.command, proc.params].filter(Boolean).join(' '))) return false;
+    if (!cwd) return true;
+    
+    // Only looked up once the cheaper checks pass, and once per PID
+    if (!cwds.has(proc.pid)) {
+      cwds.set(proc.pid, await this.inspector.getCwd(proc.pid));
+    }
+    const processCwd = cwds.get(proc.pid);
+    return Boolean(processCwd) && (processCwd === cwd || processCwd.startsWith(cwd + path.sep));
+  }
+
+  // Map of entry name -> processes from a si.processes() list. Every entry
+  // is present, with an empty list when nothing is running for it.
+  async match(processes) {
+    const matched = new Map(this.entries.map(entry => [entry.name, []]));
+    const cwds = new Map();
+    
+    for (const proc of processes) {
+      if (proc.pid === process.pid) continue;
+      
+      for (const entry of this.entries) {
+        if (await this.matches(entry, proc, cwds)) {
+          matched.get(entry.name).push(proc);
+          break;
+        }
+      }
+    }
+    
+    return matched;
+  }
+
+  entry(name) {
+    return this.entries.find(entry => entry.name === name);
+  }
+}
+
+ProcessWatchList.processMemoryMB = processMemoryMB;
+
+module.exports = ProcessWatchList;
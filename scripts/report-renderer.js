@@ -0,0 +1,57 @@
+// Bumped when a field is removed or changes meaning; new fields don't bump it
+const SCHEMA_VERSION = 1;
+
+// Reports hand their data here. In text mode the caller's printer runs as
+// before; with --json stdout carries exactly one versioned document and
+// everything else that gets logged is sent to stderr.
+class ReportRenderer {
+  constructor(options = {}) {
+    this.json = Boolean(options.json);
+    this.output = options.output || process.stdout;
+    this.rendered = false;
+  }
+
+  captureConsole() {
+    if (!this.json) return;
+    console.log = (...args) => console.error(...args);
+    console.info = (...args) => console.error(...args);
+  }
+
+  document(schema, data, error = null) {
+    return {
+      schema: `cosmic-fountain/${schema}`,
+      schemaVersion: SCHEMA_VERSION,
+      generatedAt: new Date().toISOString(),
+      ...(error ? { error: { message: error.message, code: error.code || null } } : {}),
+      data
+    };
+  }
+
+  write(document) {
+    // Only the first document counts, so nested reports can't emit a second one
+    if (this.rendered) return;
+    this.rendered = true;
+    this.output.write(JSON.stringify(document, null, 2) + '\n');
+  }
+
+  render(schema, data, printText = null) {
+    if (this.json) {
+      this.write(this.document(schema, data));
+    } else if (printText) {
+      printText(data);
+    }
+    return data;
+  }
+
+  // Text mode callers have already printed the failure themselves
+  renderError(schema, error) {
+    if (this.json) {
+      this.write(this.document(schema, null, error));
+    }
+    return { success: false, error: error.message };
+  }
+}
+
+ReportRenderer.SCHEMA_VERSION = SCHEMA_VERSION;
+
+module.exports = ReportRenderer;
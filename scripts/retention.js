@@ -0,0 +1,377 @@
+#!/usr/bin/env node
+
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const cron = require('node-cron');
+const ErrorStore = require('./error-store');
+const FileLock = require('./file-lock');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One policy per file under logs/. Limits: maxAgeDays, maxCount, maxBytes.
+// Records a policy drops are folded into daily aggregates (count, per-value
+// counts of aggregateBy, totals of the sum fields) in logs/aggregates/.
+// Shapes: a plain array, an array under `path`, or a map whose values hold
+// their records under `map` (limits then apply per key).
+const DEFAULT_ARTIFACTS = {
+  errors: {
+    store: true,
+    maxAgeDays: 30,
+    keepConfidence: 7, // errors at or above this confidence are kept regardless of age
+    aggregateBy: 'error_type',
+    sum: ['occurrences']
+  },
+  'commit-intelligence': {
+    file: 'commit-intelligence.json',
+    maxCount: 200,
+    sum: ['learnings', 'preventions', 'optimizations', 'healingActions']
+  },
+  'git-enhancements': {
+    file: 'git-enhancements.json',
+    maxCount: 100,
+    aggregateBy: 'type',
+    sum: ['actions', 'prevented', 'fixed']
+  },
+  'commit-patterns': {
+    file: 'commit-patterns.json',
+    path: 'commits',
+    maxCount: 100
+  },
+  'prevention-patterns': {
+    file: 'prevention-patterns.json',
+    map: 'examples',
+    maxCount: 50,
+    maxAgeDays: 180
+  },
+  'healing-rules': {
+    file: 'healing-rules.json',
+    map: 'examples',
+    maxCount: 50,
+    maxAgeDays: 180
+  },
+  'documentation-todos': {
+    file: 'documentation-todos.json',
+    maxAgeDays: 30,
+    sum: ['todos']
+  }
+};
+
+class RetentionManager {
+  constructor(options = {}) {
+    this.logsDir = options.logsDir || path.join(process.cwd(), 'logs');
+    this.aggregatesDir = options.aggregatesDir || path.join(this.logsDir, 'aggregates');
+    this.store = options.store || new ErrorStore();
+    this.schedule = options.schedule || '0 30 3 * * *'; // daily at 03:30
+    this.artifacts = { ...DEFAULT_ARTIFACTS };
+    
+    for (const [name, policy] of Object.entries(options.artifacts || {})) {
+      this.artifacts[name] = { ...this.artifacts[name], ...policy };
+    }
+  }
+
+  startSchedule() {
+    return cron.schedule(this.schedule, async () => {
+      this.printSummary(await this.run());
+    });
+  }
+
+  recordTime(record) {
+    const time = new Date(record.last_seen || record.timestamp).getTime();
+    return isNaN(time) ? null : time;
+  }
+
+  // Oldest first by last_seen, the order applyPolicy expects; undated records first
+  oldestFirst(records) {
+    return [...records].sort((a, b) => (this.recordTime(a) ?? 0) - (this.recordTime(b) ?? 0));
+  }
+
+  // Returns [kept, dropped]; records are assumed to be oldest first
+  applyPolicy(records, policy, now = Date.now()) {
+    let kept = [...records];
+    const dropped = [];
+    const drop = (predicate) => {
+      const remaining = [];
+      kept.forEach((record, i) => (predicate(record, i) ? dropped : remaining).push(record));
+      kept = remaining;
+    };
+    
+    if (policy.maxAgeDays) {
+      const cutoff = now - policy.maxAgeDays * DAY_MS;
+      drop(record => {
+        const time = this.recordTime(record);
+        if (policy.keepConfidence && record.confidence_score >= policy.keepConfidence) return false;
+        return time !== null && time < cutoff;
+      });
+    }
+    
+    if (policy.maxCount && kept.length > policy.maxCount) {
+      const excess = kept.length - policy.maxCount;
+      drop((record, i) => i < excess);
+    }
+    
+    if (policy.maxBytes) {
+      let size = Buffer.byteLength(JSON.stringify(kept));
+      while (kept.length > 0 && size > policy.maxBytes) {
+        const [oldest] = kept.splice(0, 1);
+        dropped.push(oldest);
+        size -= Buffer.byteLength(JSON.stringify(oldest)) + 1;
+      }
+    }
+    
+    return [kept, dropped];
+  }
+
+  aggregate(days, records, policy, key = null) {
+    for (const record of records) {
+      const time = this.recordTime(record);
+      const day = time === null ? 'undated' : new Date(time).toISOString().slice(0, 10);
+      const entry = days[day] || { count: 0 };
+      
+      entry.count++;
+      
+      const group = key !== null ? key : policy.aggregateBy && record[policy.aggregateBy];
+      if (group !== undefined && group !== null && group !== false) {
+        entry.by = entry.by || {};
+        entry.by[group] = (entry.by[group] || 0) + 1;
+      }
+      
+      for (const field of policy.sum || []) {
+        const value = record[field];
+        const amount = Array.isArray(value) ? value.length : typeof value === 'number' ? value : 0;
+        entry.totals = entry.totals || {};
+        entry.totals[field] = (entry.totals[field] || 0) + amount;
+      }
+      
+      days[day] = entry;
+    }
+  }
+
+  async saveAggregates(name, days) {
+    if (Object.keys(days).length === 0) return;
+    
+    const file = path.join(this.aggregatesDir, `${name}.json`);
+    const existing = await fs.readJson(file).catch(() => ({ artifact: name, days: {} }));
+    
+    for (const [day, entry] of Object.entries(days)) {
+      const current = existing.days[day] || { count: 0 };
+      current.count += entry.count;
+      for (const field of ['by', 'totals']) {
+        for (const [key, value] of Object.entries(entry[field] || {})) {
+          current[field] = current[field] || {};
+          current[field][key] = (current[field][key] || 0) + value;
+        }
+      }
+      existing.days[day] = current;
+    }
+    
+    existing.updated = new Date().toISOString();
+    await fs.ensureDir(this.aggregatesDir);
+    await fs.writeJson(file, existing, { spaces: 2 });
+  }
+
+  async fileSize(file) {
+    try {
+      return (await fs.stat(file)).size;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  // The git hooks append to these files too, so the read-modify-write of one
+  // of them, here or in a hook, happens under the file's lock
+  async withFileLock(file, fn) {
+    return new FileLock(`${file}.lock`).withLock(fn);
+  }
+
+  async applyToFile(name, policy, options) {
+    const file = path.join(this.logsDir, policy.file);
+    if (!await fs.pathExists(file)) {
+      return { artifact: name, file, missing: true, dropped: 0, bytesBefore: 0, bytesAfter: 0 };
+    }
+    
+    return this.withFileLock(file, () => this.trimFile(name, file, policy, options));
+  }
+
+  async trimFile(name, file, policy, options) {
+    const bytesBefore = await this.fileSize(file);
+    const data = await fs.readJson(file);
+    const days = {};
+    let dropped = 0;
+    
+    const trim = (records, key = null) => {
+      const [kept, removed] = this.applyPolicy(Array.isArray(records) ? records : [], policy);
+      this.aggregate(days, removed, policy, key);
+      dropped += removed.length;
+      return kept;
+    };
+    
+    if (policy.map) {
+      for (const [key, value] of Object.entries(data)) {
+        if (value && Array.isArray(value[policy.map])) {
+          value[policy.map] = trim(value[policy.map], key);
+        }
+      }
+    } else if (policy.path) {
+      data[policy.path] = trim(data[policy.path]);
+    } else {
+      data.splice(0, data.length, ...trim(data));
+    }
+    
+    if (options.dryRun || dropped === 0) {
+      return { artifact: name, file, dropped, bytesBefore, bytesAfter: bytesBefore, dryRun: options.dryRun };
+    }
+    
+    await this.saveAggregates(name, days);
+    
+    // Written aside and renamed so a reader never sees a half-written file
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.writeJson(temp, data, { spaces: 2 });
+    await fs.rename(temp, file);
+    
+    return { artifact: name, file, dropped, bytesBefore, bytesAfter: await this.fileSize(file) };
+  }
+
+  async applyToStore(name, policy, options) {
+    const expired = records => this.applyPolicy(this.oldestFirst(records), policy)[1];
+    
+    if (options.dryRun) {
+      return { artifact: name, file: this.store.dir, dropped: expired(await this.store.all()).length, dryRun: true };
+    }
+    
+    // Chosen under the store lock, so an error that recurs meanwhile keeps its
+    // fresh occurrence
+    const removed = await this.store.remove(expired);
+    if (removed.length > 0) {
+      const days = {};
+      this.aggregate(days, removed, policy);
+      await this.saveAggregates(name, days);
+    }
+    
+    // Compaction drops superseded versions, so it reclaims space even when nothing expired
+    const compacted = await this.store.compact();
+    return {
+      artifact: name,
+      file: this.store.dir,
+      dropped: removed.length,
+      bytesBefore: compacted.bytesBefore,
+      bytesAfter: compacted.bytesAfter
+    };
+  }
+
+  // Applies one artifact's policy; used by the modules that write the files
+  async apply(name, options = {}) {
+    const policy = this.artifacts[name];
+    if (!policy) {
+      throw new Error(`No retention policy for ${name}`);
+    }
+    
+    try {
+      return policy.store
+        ? await this.applyToStore(name, policy, options)
+        : await this.applyToFile(name, policy, options);
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Retention failed for ${name}: ${error.message}`));
+      return { artifact: name, dropped: 0, bytesBefore: 0, bytesAfter: 0, error: error.message };
+    }
+  }
+
+  async run(options = {}) {
+    console.log(chalk.blue(`🧹 Applying retention policies${options.dryRun ? ' (plan only)' : ''}...`));
+    
+    const results = [];
+    for (const name of Object.keys(this.artifacts)) {
+      results.push(await this.apply(name, options));
+    }
+    
+    const bytesReclaimed = results.reduce((sum, result) => sum + Math.max(0, (result.bytesBefore || 0) - (result.bytesAfter || 0)), 0);
+    const dropped = results.reduce((sum, result) => sum + result.dropped, 0);
+    
+    return { results, dropped, bytesReclaimed, dryRun: Boolean(options.dryRun) };
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  printSummary(summary) {
+    for (const result of summary.results) {
+      if (result.missing) continue;
+      if (result.error) {
+        console.log(chalk.red(`  ${result.artifact}: ${result.error}`));
+        continue;
+      }
+      
+      const verb = summary.dryRun ? 'would compact' : 'compacted';
+      const size = summary.dryRun ? '' : ` (${this.formatBytes(result.bytesBefore)} → ${this.formatBytes(result.bytesAfter)})`;
+      console.log(`  ${result.artifact}: ${verb} ${result.dropped} record(s)${size}`);
+    }
+    
+    if (summary.dryRun) {
+      console.log(chalk.blue(`📋 ${summary.dropped} record(s) would be folded into daily aggregates`));
+    } else {
+      console.log(chalk.green(`✅ Compacted ${summary.dropped} record(s), reclaimed ${this.formatBytes(summary.bytesReclaimed)}`));
+    }
+  }
+
+  async getReport() {
+    const artifacts = [];
+    
+    for (const [name, policy] of Object.entries(this.artifacts)) {
+      const target = policy.store ? this.store.dir : path.join(this.logsDir, policy.file);
+      let bytes = await this.fileSize(target);
+      if (policy.store && await fs.pathExists(target)) {
+        const files = await fs.readdir(target);
+        bytes = (await Promise.all(files.map(file => this.fileSize(path.join(target, file))))).reduce((a, b) => a + b, 0);
+      }
+      
+      artifacts.push({ artifact: name, path: target, bytes, policy });
+    }
+    
+    return { artifacts, aggregatesDir: this.aggregatesDir, schedule: this.schedule };
+  }
+
+  printReport(report) {
+    console.log(chalk.cyan('🗂️  Log Retention'));
+    console.log(chalk.cyan('================'));
+    
+    for (const { artifact, bytes, policy } of report.artifacts) {
+      const limits = [
+        policy.maxAgeDays && `${policy.maxAgeDays}d`,
+        policy.maxCount && `${policy.maxCount} records`,
+        policy.maxBytes && this.formatBytes(policy.maxBytes)
+      ].filter(Boolean).join(', ');
+      
+      console.log(`  ${artifact}: ${this.formatBytes(bytes)} (keep ${limits || 'everything'})`);
+    }
+  }
+
+  async generateReport() {
+    const report = await this.getReport();
+    this.printReport(report);
+    return report;
+  }
+}
+
+async function main() {
+  // Required here because the config module reads DEFAULT_ARTIFACTS from this one
+  const ConfigLoader = require('./config');
+  const retention = new RetentionManager(new ConfigLoader().load().retention);
+
+  if (process.argv.includes('--compact')) {
+    retention.printSummary(await retention.run({ dryRun: process.argv.includes('--plan') }));
+  } else {
+    await retention.generateReport();
+  }
+}
+
+RetentionManager.DEFAULT_ARTIFACTS = DEFAULT_ARTIFACTS;
+
+module.exports = RetentionManager;
+
+// After the export: main() loads the config module, which requires this one
+if (require.main === module) {
+  main().catch(console.error);
+}
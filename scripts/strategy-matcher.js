@@ -0,0 +1,116 @@
+const path = require('path');
+
+class StrategyMatcher {
+  constructor(weights = {}) {
+    // Relative strength of each kind of evidence; a strategy's score is the
+    // sum of the criteria it matched, plus its declared priority
+    this.weights = {
+      code: 50,
+      errno: 40,
+      message: 30,
+      errorClass: 20,
+      module: 15,
+      ...weights
+    };
+  }
+
+  describeError(error) {
+    return {
+      code: error?.code || null,
+      errno: typeof error?.errno === 'number' ? error.errno : null,
+      errorClass: error?.constructor?.name || null,
+      message: error?.message || String(error),
+      modules: this.stackModules(error)
+    };
+  }
+
+  // Top application frames from the stack, as "package" for node_modules
+  // frames and as a cwd-relative path otherwise
+  stackModules(error, limit = 5) {
+    const stack = typeof error?.stack === 'string' ? error.stack : '';
+    const modules = [];
+    
+    for (const line of stack.split('\n').slice(1)) {
+      const file = line.match(/\(?((?:[A-Za-z]:)?[^\s()]+?):\d+:\d+\)?\s*$/)?.[1];
+      if (!file || file.startsWith('node:') || file.startsWith('internal/')) continue;
+      
+      const packageName = file.match(/node_modules[\\/]((?:@[^\\/]+[\\/])?[^\\/]+)/)?.[1];
+      const moduleName = packageName
+        ? packageName.replace(/\\/g, '/')
+        : path.relative(process.cwd(), file.replace(/^file:\/\//, ''));
+      
+      if (!modules.includes(moduleName)) modules.push(moduleName);
+      if (modules.length >= limit) break;
+    }
+    
+    return modules;
+  }
+
+  evaluate(strategy, described) {
+    const reasons = [];
+    let score = 0;
+    
+    if (described.code && strategy.codes.includes(described.code)) {
+      score += this.weights.code;
+      reasons.push(`code ${described.code} is declared`);
+    }
+    
+    if (described.errno !== null && strategy.errnos.some(errno => Math.abs(errno) === Math.abs(described.errno))) {
+      score += this.weights.errno;
+      reasons.push(`errno ${described.errno} is declared`);
+    }
+    
+    const message = strategy.messages.find(pattern => pattern.test(described.message));
+    if (message) {
+      score += this.weights.message;
+      reasons.push(`message matches ${message}`);
+    }
+    
+    if (described.errorClass && strategy.errorClasses.includes(described.errorClass)) {
+      score += this.weights.errorClass;
+      reasons.push(`error class ${described.errorClass} is declared`);
+    }
+    
+    const module = strategy.modules.find(pattern => described.modules.some(name => pattern.test(name)));
+    if (module) {
+      score += this.weights.module;
+      reasons.push(`stack frame module matches ${module}`);
+    }
+    
+    return { score, reasons };
+  }
+
+  rank(error, strategies) {
+    const described = this.describeError(error);
+    
+    return strategies
+      .map(strategy => {
+        const { score, reasons } = this.evaluate(strategy, described);
+        return {
+          strategy,
+          score: score > 0 ? score + strategy.priority : 0,
+          reasons
+        };
+      })
+      .filter(candidate => candidate.score > 0)
+      .sort((a, b) => b.score - a.score || b.strategy.priority - a.strategy.priority);
+  }
+
+  explain(error, strategies) {
+    const candidates = this.rank(error, strategies);
+    
+    return {
+      error: this.describeError(error),
+      chosen: candidates[0]?.strategy.name || null,
+      candidates: candidates.map(({ strategy, score, reasons }) => ({
+        name: strategy.name,
+        source: strategy.source,
+        priority: strategy.priority,
+        score,
+        reasons
+      }))
+    };
+  }
+}
+
+module.exports = StrategyMatcher;
@@ -0,0 +1,136 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { execFileSync, spawn } = require('child_process');
+const chalk = require('chalk');
+const ProcessInspector = require('./process-info');
+
+// Heals return `undo: [step, ...]`, stored with the attempt in error history
+// and reverted last-to-first
+class UndoExecutor {
+  constructor(options = {}) {
+    this.backupDir = options.backupDir || path.join(__dirname, '../logs/backups');
+    this.inspector = options.inspector || new ProcessInspector();
+    this.actions = new Map();
+    this.initializeActions();
+  }
+
+  initializeActions() {
+    this.actions.set('delete_file', this.deleteFile.bind(this));
+    this.actions.set('restore_file', this.restoreFile.bind(this));
+    this.actions.set('run_command', this.runCommand.bind(this));
+    this.actions.set('kill_process', this.killProcess.bind(this));
+    this.actions.set('restart_process', this.restartProcess.bind(this));
+  }
+
+  // Copies a file aside before a heal modifies it; returns a restore_file step
+  async backupFile(filePath) {
+    if (!await fs.pathExists(filePath)) {
+      return { type: 'delete_file', path: filePath };
+    }
+    
+    const backup = path.join(this.backupDir, `${Date.now()}-${path.basename(filePath)}`);
+    await fs.ensureDir(this.backupDir);
+    await fs.copy(filePath, backup);
+    
+    return { type: 'restore_file', path: filePath, backup };
+  }
+
+  // A kill_process step for a process a heal started. Name, command line and
+  // start time are kept so the undo can tell whether the PID was reused.
+  async killStep(pid, name) {
+    const identity = await this.inspector.identify(pid);
+    return { type: 'kill_process', ...identity, name: name || identity.name };
+  }
+
+  describe(step) {
+    switch (step.type) {
+      case 'delete_file': return `delete ${step.path}`;
+      case 'restore_file': return `restore ${step.path} from ${step.backup}`;
+      case 'run_command': return `run "${step.file ? [step.file, ...step.args].join(' ') : step.command}" in ${step.cwd}`;
+      case 'kill_process': return `stop PID ${step.pid}${step.name ? ` (${step.name})` : ''}`;
+      case 'restart_process': return `restart "${step.cmdline}" in ${step.cwd || process.cwd()}`;
+      default: return `unknown step ${step.type}`;
+    }
+  }
+
+  async execute(steps, options = {}) {
+    const results = [];
+    
+    for (const step of [...steps].reverse()) {
+      const description = this.describe(step);
+      const action = this.actions.get(step.type);
+      
+      if (options.dryRun) {
+        results.push({ step, description, success: Boolean(action), dryRun: true });
+        continue;
+      }
+      
+      if (!action) {
+        results.push({ step, description, success: false, error: `Unknown undo step ${step.type}` });
+        continue;
+      }
+      
+      try {
+        console.log(chalk.blue(`↩️  Undo: ${description}`));
+        results.push({ step, description, success: true, ...await action(step) });
+      } catch (error) {
+        console.log(chalk.red(`❌ Undo step failed: ${error.message}`));
+        results.push({ step, description, success: false, error: error.message });
+      }
+    }
+    
+    return results;
+  }
+
+  async deleteFile(step) {
+    await fs.remove(step.path);
+    return {};
+  }
+
+  async restoreFile(step) {
+    await fs.copy(step.backup, step.path, { overwrite: true });
+    return {};
+  }
+
+  // { file, args } run without a shell; older steps stored a command string,
+  // which is split on whitespace rather than handed to a shell
+  async runCommand(step) {
+    const [file, ...args] = step.file ? [step.file, ...(step.args || [])] : step.command.split(/\s+/);
+    execFileSync(file, args, { cwd: step.cwd || process.cwd(), stdio: 'inherit' });
+    return {};
+  }
+
+  async killProcess(step) {
+    if (!step.startTime && !step.cmdline) {
+      throw new Error(`Nothing was recorded about PID ${step.pid} to tell it apart from a reused PID`);
+    }
+    if (!this.inspector.isAlive(step.pid)) {
+      return { pid: step.pid, exited: true, signals: [] };
+    }
+    
+    const current = await this.inspector.identify(step.pid);
+    if (!this.inspector.sameProcess(step, current)) {
+      throw new Error(`PID ${step.pid} is now ${current.cmdline || 'another process'}, not the process the heal started`);
+    }
+    
+    return this.inspector.terminate(step.pid, step.graceMs);
+  }
+
+  // Run from its argv, not through a shell; older steps only have the ps line
+  async restartProcess(step) {
+    const [command, ...args] = step.argv || step.cmdline.split(/\s+/);
+    const child = spawn(command, args, {
+      cwd: step.cwd || process.cwd(),
+      detached: true,
+      stdio: 'ignore'
+    });
+    await new Promise((resolve, reject) => {
+      child.once('spawn', resolve);
+      child.once('error', reject);
+    });
+    child.unref();
+    return { pid: child.pid };
+  }
+}
+
+module.exports = UndoExecutor;
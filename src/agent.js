@@ -0,0 +1,112 @@
+const EventEmitter = require('events');
+const SelfHealingSystem = require('../scripts/heal');
+const HealingPluginLoader = require('../scripts/plugin-loader');
+const ConfigLoader = require('../scripts/config');
+const CrashGuard = require('./crash-guard');
+
+// In-process healing for host applications. Nothing touches the process until
+// attach() is called, and the agent never exits it: when the crash guard's
+// budget for an error runs out it emits "crash-loop" and leaves the decision
+// to the host.
+//
+// Events: healing:start, healing:success, healing:failed, crash-loop
+class HealingAgent extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.config = options.config ? ConfigLoader.withDefaults(options.config) : new ConfigLoader(options.configOptions).load();
+    this.healer = options.healer || new SelfHealingSystem(this.config.heal);
+    // heal.attempted and friends, for hosts that want more than the agent's own events
+    this.bus = this.healer.bus;
+    this.crashGuard = new CrashGuard(this.config.crashGuard);
+    this.handlers = null;
+  }
+
+  get attached() {
+    return this.handlers !== null;
+  }
+
+  // Routes uncaught exceptions and unhandled rejections to report(). While
+  // attached, Node no longer crashes on them; the host decides on "crash-loop".
+  attach() {
+    if (this.handlers) return this;
+    
+    this.handlers = {
+      uncaughtException: (error) => this.report(error, { type: 'uncaughtException' }),
+      unhandledRejection: (reason) => this.report(reason, { type: 'unhandledRejection' })
+    };
+    for (const [event, handler] of Object.entries(this.handlers)) {
+      process.on(event, handler);
+    }
+    
+    return this;
+  }
+
+  detach() {
+    if (!this.handlers) return this;
+    
+    for (const [event, handler] of Object.entries(this.handlers)) {
+      process.off(event, handler);
+    }
+    this.handlers = null;
+    
+    return this;
+  }
+
+  // Same shape as a plugin; throws when the definition is unusable
+  registerStrategy(strategy) {
+    const problems = HealingPluginLoader.findProblems(strategy);
+    if (problems.length > 0) {
+      throw new TypeError(`Invalid healing strategy: ${problems.join(', ')}`);
+    }
+    
+    this.healer.registerStrategy({ ...strategy, heal: strategy.heal.bind(strategy), source: 'host' });
+    return this;
+  }
+
+  // Heals one error. Never throws; the result says what happened.
+  async report(reason, context = {}, options = {}) {
+    const error = reason instanceof Error ? reason : new Error(String(reason));
+    let fingerprint = null;
+    
+    try {
+      fingerprint = this.healer.fingerprintError(error);
+      const admission = this.crashGuard.admit(fingerprint);
+      
+      if (!admission.allowed) {
+        const report = this.crashGuard.buildReport({ error, type: context.type || 'report', fingerprint, reason: 'heal-budget-exhausted' });
+        const result = { success: false, error: `Heal budget for ${fingerprint} exhausted`, fingerprint, skipped: true };
+        this.emit('healing:failed', { error, context, fingerprint, result });
+        this.emit('crash-loop', report);
+        return result;
+      }
+      
+      if (admission.delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, admission.delayMs));
+      }
+      
+      this.emit('healing:start', { error, context, fingerprint, attempt: admission.attempt });
+      const result = { ...await this.healer.attemptHealing(error, context, options), fingerprint };
+      this.emit(result.success ? 'healing:success' : 'healing:failed', { error, context, fingerprint, result });
+      
+      return result;
+    
+    } catch (healingError) {
+      const result = { success: false, error: healingError.message, fingerprint };
+      this.emit('healing:failed', { error, context, fingerprint, result, healError: healingError });
+      return result;
+    }
+  }
+
+  // Which strategy would handle this error and why, without running it
+  async explain(reason) {
+    return this.healer.explainStrategy(reason instanceof Error ? reason : new Error(String(reason)));
+  }
+}
+
+function createAgent(options = {}) {
+  return new HealingAgent(options);
+}
+
+HealingAgent.createAgent = createAgent;
+
+module.exports = HealingAgent;
@@ -0,0 +1,90 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Circuit breaker for the global error handlers. Each error fingerprint may be
+// healed maxHeals times per window, with the wait before each repeat doubling;
+// past that the process should exit and leave a report for the next start.
+class CrashGuard {
+  constructor(options = {}) {
+    this.maxHeals = options.maxHeals || 3;
+    this.windowMs = options.windowMs || 10 * 60 * 1000;
+    this.backoffMs = options.backoffMs ?? 1000;
+    this.maxBackoffMs = options.maxBackoffMs || 60000;
+    this.reportPath = path.resolve(options.reportPath || path.join(__dirname, '../logs/crash-report.json'));
+    this.archiveDir = path.join(path.dirname(this.reportPath), 'crash-reports');
+    this.attempts = new Map();
+  }
+
+  // Records a heal attempt if the budget allows one. Returns { allowed, attempt, delayMs }
+  admit(fingerprint, now = Date.now()) {
+    const recent = (this.attempts.get(fingerprint) || []).filter(time => now - time < this.windowMs);
+    
+    if (recent.length >= this.maxHeals) {
+      this.attempts.set(fingerprint, recent);
+      return { allowed: false, attempt: recent.length + 1, delayMs: 0 };
+    }
+    
+    const delayMs = recent.length === 0 ? 0 : Math.min(this.backoffMs * 2 ** (recent.length - 1), this.maxBackoffMs);
+    this.attempts.set(fingerprint, [...recent, now]);
+    
+    return { allowed: true, attempt: recent.length + 1, delayMs };
+  }
+
+  describeError(error) {
+    return {
+      name: error?.name || null,
+      message: error?.message || String(error),
+      code: error?.code || null,
+      stack: typeof error?.stack === 'string' ? error.stack : null
+    };
+  }
+
+  buildReport({ error, type, fingerprint, reason, healError = null }) {
+    return {
+      version: 1,
+      crashedAt: new Date().toISOString(),
+      reason,
+      type,
+      fingerprint,
+      error: this.describeError(error),
+      healError: healError ? this.describeError(healError) : null,
+      attempts: (this.attempts.get(fingerprint) || []).map(time => new Date(time).toISOString()),
+      budget: { maxHeals: this.maxHeals, windowMs: this.windowMs },
+      process: {
+        pid: process.pid,
+        argv: process.argv.slice(2),
+        uptimeSeconds: Math.round(process.uptime()),
+        memory: process.memoryUsage()
+      }
+    };
+  }
+
+  async writeReport(report) {
+    await fs.ensureDir(path.dirname(this.reportPath));
+    await fs.writeJson(this.reportPath, report, { spaces: 2 });
+    return this.reportPath;
+  }
+
+  // The report waiting from the last crash, if nobody has seen it yet
+  async readReport() {
+    try {
+      return await fs.readJson(this.reportPath);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Returns the pending report and moves it to crash-reports/ so it is shown once
+  async takeReport() {
+    const report = await this.readReport();
+    if (!report) return null;
+    
+    await fs.ensureDir(this.archiveDir);
+    const archived = path.join(this.archiveDir, `${String(report.crashedAt || Date.now()).replace(/[:.]/g, '-')}.json`);
+    await fs.move(this.reportPath, archived, { overwrite: true });
+    
+    return { ...report, archivedTo: archived };
+  }
+}
+
+module.exports = CrashGuard;
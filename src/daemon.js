@@ -0,0 +1,163 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { spawn } = require('child_process');
+const ProcessInspector = require('../scripts/process-info');
+
+// PID file bookkeeping for `start` plus the start/stop/status side of the
+// daemon commands. The PID file starts with the PID on a line of its own, which
+// is all systemd's PIDFile= reads; the second line records the process's start
+// time and command line, so a PID the OS has since reused is never signalled.
+class DaemonController {
+  constructor(options = {}) {
+    this.pidFile = path.resolve(options.pidFile || path.join(__dirname, '../logs/cosmic-fountain.pid'));
+    this.logFile = path.resolve(options.logFile || path.join(__dirname, '../logs/daemon.log'));
+    this.shutdownTimeoutMs = options.shutdownTimeoutMs || 30000;
+    this.inspector = options.inspector || new ProcessInspector();
+  }
+
+  async readPid() {
+    return (await this.readOwner())?.pid ?? null;
+  }
+
+  // { pid, name, cmdline, startTime } of the process the PID file names
+  async readOwner() {
+    let content;
+    try {
+      content = await fs.readFile(this.pidFile, 'utf8');
+    } catch (error) {
+      return null;
+    }
+    
+    const [first, identity] = content.split('\n');
+    const pid = parseInt(first, 10);
+    if (!Number.isInteger(pid) || pid <= 0) return null;
+    
+    try {
+      return { ...JSON.parse(identity), pid };
+    } catch (error) {
+      // Written before identities were recorded, so it cannot be confirmed
+      return { pid };
+    }
+  }
+
+  // Whether the PID file's process is still running, and is still that process
+  async isRunning(owner) {
+    if (!owner || !this.inspector.isAlive(owner.pid)) return false;
+    return this.inspector.sameProcess(owner, await this.inspector.identify(owner.pid));
+  }
+
+  async status() {
+    const owner = await this.readOwner();
+    const running = await this.isRunning(owner);
+    const status = { running, pid: running ? owner.pid : null, pidFile: this.pidFile, stale: owner !== null && !running };
+    
+    if (running) {
+      const startedAt = (await fs.stat(this.pidFile)).mtime;
+      status.startedAt = startedAt.toISOString();
+      status.uptimeSeconds = Math.round((Date.now() - startedAt.getTime()) / 1000);
+    }
+    
+    return status;
+  }
+
+  // Called by the process that runs the monitors; a PID file left by a dead
+  // process is taken over, one held by a live process is an error
+  async claim() {
+    await fs.ensureDir(path.dirname(this.pidFile));
+    
+    const { pid: ownPid, ...identity } = await this.inspector.identify(process.pid);
+    
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        await fs.writeFile(this.pidFile, `${ownPid}\n${JSON.stringify(identity)}\n`, { flag: 'wx' });
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+      
+      const owner = await this.readOwner();
+      if (owner && owner.pid !== process.pid && await this.isRunning(owner)) {
+        const error = new Error(`Cosmic Fountain is already running (PID ${owner.pid}, ${this.pidFile})`);
+        error.code = 'EALREADY';
+        throw error;
+      }
+      await fs.remove(this.pidFile);
+    }
+    
+    throw new Error(`Could not claim PID file ${this.pidFile}`);
+  }
+
+  // Only removes the file while it still names this process
+  async release() {
+    if (await this.readPid() === process.pid) {
+      await fs.remove(this.pidFile);
+    }
+  }
+
+  // Starts `start` in a detached child and waits until it has written its PID file
+  async spawn(entry, args = [], timeoutMs = 15000) {
+    const current = await this.status();
+    if (current.running) {
+      return { success: false, error: `Already running (PID ${current.pid})`, pid: current.pid };
+    }
+    
+    await fs.ensureDir(path.dirname(this.logFile));
+    const out = await fs.open(this.logFile, 'a');
+    const child = spawn(process.execPath, [entry, 'start', ...args], {
+      detached: true,
+      stdio: ['ignore', out, out],
+      cwd: process.cwd(),
+      env: process.env
+    });
+    await fs.close(out);
+    
+    let exitCode = null;
+    child.on('exit', code => { exitCode = code; });
+    child.unref();
+    
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      if (await this.readPid() === child.pid) {
+        return { success: true, action: 'started', pid: child.pid, logFile: this.logFile };
+      }
+      if (exitCode !== null) {
+        return { success: false, error: `Exited with code ${exitCode} during startup, see ${this.logFile}` };
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    
+    return { success: false, error: `No PID file after ${timeoutMs}ms, see ${this.logFile}`, pid: child.pid };
+  }
+
+  // SIGTERM, then wait for the graceful shutdown; force sends SIGKILL once the
+  // wait runs out. A PID file whose PID now belongs to another process counts
+  // as stale, so that process is left alone.
+  async stop(options = {}) {
+    const owner = await this.readOwner();
+    if (!await this.isRunning(owner)) {
+      if (owner) await fs.remove(this.pidFile);
+      return { success: true, action: 'not-running' };
+    }
+    
+    const { pid } = owner;
+    process.kill(pid, 'SIGTERM');
+    
+    const deadline = Date.now() + (options.timeoutMs || this.shutdownTimeoutMs + 5000);
+    while (Date.now() < deadline) {
+      if (!await this.isRunning(owner)) {
+        return { success: true, action: 'stopped', pid };
+      }
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    
+    if (!options.force) {
+      return { success: false, error: `PID ${pid} still running after SIGTERM`, pid };
+    }
+    
+    if (await this.isRunning(owner)) process.kill(pid, 'SIGKILL');
+    await fs.remove(this.pidFile);
+    return { success: true, action: 'killed', pid };
+  }
+}
+
+module.exports = DaemonController;
@@ -2,23 +2,68 @@
 
 const fs = require('fs-extra');
 const path = require('path');
-const { Command } = require('commander');
+const { Command, InvalidArgumentError } = require('commander');
 const chalk = require('chalk');
 const winston = require('winston');
 const SelfHealingSystem = require('../scripts/heal');
 const MemoryLeakDetector = require('../scripts/monitor');
 const DependencyConflictResolver = require('../scripts/dependency-resolver');
 const NetworkRecoverySystem = require('../scripts/network-recovery');
+const RetentionManager = require('../scripts/retention');
+const EventBus = require('../scripts/event-bus');
+const Notifier = require('../scripts/notifier');
+const ReportRenderer = require('../scripts/report-renderer');
+const HealthGate = require('../scripts/health-gate');
+const MemoryHistoryStore = require('../scripts/memory-store');
+const ConfigLoader = require('../scripts/config');
+const ControlPlaneServer = require('./server');
+const MetricsExporter = require('./metrics');
+const DaemonController = require('./daemon');
+const CrashGuard = require('./crash-guard');
+const HealingAgent = require('./agent');
 
 class CosmicFountain {
-  constructor() {
+  constructor(options = {}) {
+    this.renderer = new ReportRenderer({ json: options.json });
+    this.renderer.captureConsole();
+    // Loaded once here and handed to every subsystem; throws ConfigError when invalid
+    this.configLoader = new ConfigLoader();
+    const config = options.config ? ConfigLoader.withDefaults(options.config) : this.configLoader.load();
     this.logger = this.setupLogger();
-    this.healer = new SelfHealingSystem();
-    this.memoryDetector = new MemoryLeakDetector();
-    this.dependencyResolver = new DependencyConflictResolver();
-    this.networkRecovery = new NetworkRecoverySystem();
+    this.bus = new EventBus();
+    // Notifications only go out while `start` runs, not for one-off commands
+    this.notifying = false;
+    this.configure(config);
+    // Reads whichever subsystems configure() built last, so it survives reloads
+    this.metrics = new MetricsExporter(this).attach(this.bus);
+    // The PID file location is fixed for the life of the process, even across reloads
+    this.daemon = new DaemonController(config.daemon);
+    this.crashGuard = new CrashGuard(config.crashGuard);
+    this.crashing = false;
+    this.shuttingDown = false;
+    this.reloading = false;
+  }
+
+  // Builds every subsystem from one config; SIGHUP runs it again with the
+  // reloaded file. The bus outlives reloads so subscriptions stay in place.
+  configure(config) {
+    this.config = config;
+    // One healer and one bus for everything, so subscribers see every subsystem's events
+    this.healer = new SelfHealingSystem({ ...config.heal, bus: this.bus });
+    const shared = { healer: this.healer, bus: this.bus };
+    this.memoryDetector = new MemoryLeakDetector(config, shared);
+    this.dependencyResolver = new DependencyConflictResolver(config, shared);
+    this.networkRecovery = new NetworkRecoverySystem(config, shared);
+    this.retention = new RetentionManager({ ...config.retention, store: this.healer.store });
+    this.healthGate = new HealthGate({
+      memoryUsagePercent: config.monitor.thresholds.memoryUsagePercent,
+      memoryGrowthRate: config.monitor.thresholds.memoryGrowthRate,
+      criticalMemoryPercent: config.ci.criticalMemoryPercent
+    });
     
-    this.setupGlobalErrorHandlers();
+    if (this.notifier) this.notifier.detach();
+    this.notifier = new Notifier(config.notifications);
+    if (this.notifying) this.notifier.attach(this.bus);
   }
 
   setupLogger() {
@@ -38,6 +83,8 @@ class CosmicFountain {
           maxFiles: 5
         }),
         new winston.transports.Console({
+          // Keep stdout for the JSON document in --json mode
+          stderrLevels: this.renderer.json ? Object.keys(winston.config.npm.levels) : [],
           format: winston.format.combine(
             winston.format.colorize(),
             winston.format.simple()
@@ -63,10 +110,46 @@ class CosmicFountain {
     });
   }
 
-  async handleCriticalError(error, type) {
+  // Command-level failures exit with 1 once output has been flushed
+  fail(schema, error) {
+    process.exitCode = HealthGate.EXIT_CODES.FAILURE;
+    return this.renderer.renderError(schema, error);
+  }
+
+  // Without --fail-on the exit code only reflects whether the command ran
+  applyFailOn(checks, failOn) {
+    if (!failOn) return null;
+    
+    const result = this.healthGate.evaluate(checks, failOn);
+    result.violations.forEach(finding => {
+      console.error(chalk.red(`✖ [${finding.severity}] ${finding.check}: ${finding.message}`));
+    });
+    process.exitCode = process.exitCode || result.exitCode;
+    return result;
+  }
+
+  // Every uncaught error goes through the crash guard first, so an error that
+  // keeps coming back, or a heal that itself fails, ends the process instead of looping
+  async handleCriticalError(reason, type) {
+    if (this.crashing) return;
+    const error = reason instanceof Error ? reason : new Error(String(reason));
     console.log(chalk.red(`🚨 Critical Error (${type}): ${error.message}`));
     
+    let fingerprint = null;
     try {
+      fingerprint = this.healer.fingerprintError(error);
+      this.bus.publish('process.critical-error', { origin: type, message: error.message, fingerprint });
+      const admission = this.crashGuard.admit(fingerprint);
+      
+      if (!admission.allowed) {
+        return await this.crashExit({ error, type, fingerprint, reason: 'heal-budget-exhausted' });
+      }
+      
+      if (admission.delayMs > 0) {
+        console.log(chalk.yellow(`⏳ Seen ${admission.attempt - 1} time(s) recently, backing off ${admission.delayMs}ms before healing`));
+        await new Promise(resolve => setTimeout(resolve, admission.delayMs));
+      }
+      
       // Attempt automatic healing
       const result = await this.healer.attemptHealing(error, {
         type,
@@ -86,6 +169,46 @@ class CosmicFountain {
       
     } catch (healingError) {
       console.log(chalk.red(`❌ Healing system failed: ${healingError.message}`));
+      await this.crashExit({ error, type, fingerprint, reason: 'healing-failed', healError: healingError });
+    }
+  }
+
+  // Leaves a crash report for the next start, then exits as cleanly as the state allows
+  async crashExit(details) {
+    if (this.crashing) return;
+    this.crashing = true;
+    
+    try {
+      const report = this.crashGuard.buildReport(details);
+      const reportPath = await this.crashGuard.writeReport(report);
+      
+      console.log(chalk.red(`💥 Crash loop breaker tripped (${details.reason}), exiting`));
+      console.log(chalk.red(`   Report written to ${reportPath}`));
+      this.logger.error('Crash loop breaker tripped', { reason: details.reason, fingerprint: details.fingerprint, reportPath });
+      
+      this.bus.publish('process.crash-loop', {
+        reason: details.reason,
+        fingerprint: details.fingerprint,
+        message: report.error.message,
+        reportPath
+      });
+      this.stopMonitors();
+      await this.notifier.drain(5000);
+      await this.daemon.release();
+      await this.flushLogs();
+    } catch (error) {
+      console.log(chalk.red(`❌ Could not write crash report: ${error.message}`));
+    }
+    
+    process.exit(HealthGate.EXIT_CODES.FAILURE);
+  }
+
+  printCrashReport(report) {
+    console.log(chalk.red(`💥 The last run crashed at ${report.crashedAt} (${report.reason})`));
+    console.log(chalk.red(`   ${report.type}: ${report.error.message}`));
+    console.log(chalk.gray(`   Fingerprint ${report.fingerprint}, ${report.attempts.length} heal attempt(s) in the last ${Math.round(report.budget.windowMs / 60000)} min`));
+    if (report.healError) {
+      console.log(chalk.gray(`   Healing failed with: ${report.healError.message}`));
     }
   }
 
@@ -94,59 +217,251 @@ class CosmicFountain {
     console.log(chalk.cyan('=========================================='));
     
     try {
-      // Start all monitoring systems
-      await this.memoryDetector.startMonitoring();
-      await this.networkRecovery.startNetworkMonitoring();
+      await this.daemon.claim();
+      this.setupSignalHandlers();
+      this.notifying = true;
+      this.notifier.attach(this.bus);
       
-      this.logger.info('All monitoring systems started successfully');
-      console.log(chalk.green('✅ All monitoring systems active'));
+      const crash = await this.crashGuard.takeReport();
+      if (crash) {
+        this.printCrashReport(crash);
+        console.log(chalk.gray(`   Full report: ${crash.archivedTo}`));
+        this.logger.warn('Previous run crashed', { reason: crash.reason, fingerprint: crash.fingerprint, report: crash.archivedTo });
+      }
       
-      // Keep the process running
-      process.stdin.resume();
+      // The cron tasks keep the process running until shutdown() stops them
+      await this.startMonitors();
       
-      // Graceful shutdown
-      process.on('SIGINT', () => {
-        console.log(chalk.blue('\n🛑 Shutting down Cosmic Fountain...'));
-        this.logger.info('Cosmic Fountain shutting down');
-        process.exit(0);
-      });
+      // The listener is bound once; a reload doesn't move it
+      if (this.config.metrics.enabled) {
+        await this.metrics.listen(this.config.metrics.port, this.config.metrics.host);
+      }
+      
+      this.logger.info('All monitoring systems started successfully', { pid: process.pid });
+      console.log(chalk.green('✅ All monitoring systems active'));
+      console.log(chalk.gray(`   PID ${process.pid} in ${this.daemon.pidFile}; SIGTERM/SIGINT stop, SIGHUP reloads the configuration`));
       
     } catch (error) {
       console.log(chalk.red(`❌ Failed to start monitoring: ${error.message}`));
       this.logger.error('Failed to start monitoring', error);
+      this.stopMonitors();
+      await this.metrics.close();
+      await this.daemon.release();
+      return this.fail('start', error);
     }
   }
 
-  async runSystemDiagnostics() {
-    console.log(chalk.cyan('🔍 Running System Diagnostics'));
-    console.log(chalk.cyan('=============================='));
+  async startMonitors() {
+    await this.memoryDetector.startMonitoring();
+    await this.networkRecovery.startNetworkMonitoring();
+  }
+
+  stopMonitors() {
+    this.memoryDetector.stopMonitoring();
+    this.networkRecovery.stopNetworkMonitoring();
+  }
+
+  setupSignalHandlers() {
+    process.on('SIGTERM', () => this.shutdown('SIGTERM'));
+    process.on('SIGINT', () => this.shutdown('SIGINT'));
+    process.on('SIGHUP', () => this.reloadConfig());
+  }
+
+  // Resolves once heals in progress have settled; returns how many did not in time
+  async drainHealing() {
+    if (this.healer.inFlight.size > 0) {
+      console.log(chalk.blue(`⏳ Waiting for ${this.healer.inFlight.size} heal(s) in progress...`));
+    }
+    
+    return this.healer.drain(this.config.daemon.shutdownTimeoutMs);
+  }
+
+  // Resolves once the file transport has written everything it was given
+  flushLogs() {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, 5000);
+      const file = this.logger.transports.find(transport => transport instanceof winston.transports.File) || this.logger;
+      
+      file.on('finish', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      this.logger.end();
+    });
+  }
+
+  async shutdown(signal) {
+    if (this.shuttingDown) {
+      // A second signal while draining means "now" (Ctrl-C twice in a terminal)
+      console.log(chalk.yellow('⚠️  Forced exit before heals finished'));
+      process.exit(HealthGate.EXIT_CODES.FAILURE);
+    }
+    this.shuttingDown = true;
+    
+    console.log(chalk.blue(`\n🛑 Shutting down Cosmic Fountain (${signal})...`));
+    this.logger.info('Cosmic Fountain shutting down', { signal });
+    
+    this.stopMonitors();
+    const abandoned = await this.drainHealing();
+    if (abandoned > 0) {
+      console.log(chalk.yellow(`⚠️  ${abandoned} heal(s) still running after ${this.config.daemon.shutdownTimeoutMs}ms, exiting anyway`));
+      this.logger.warn('Heals still running at shutdown', { abandoned });
+    }
+    
+    // Alerts raised by the last heals still go out
+    await this.notifier.drain(5000);
+    
+    await this.daemon.release();
+    console.log(chalk.green('✅ Cosmic Fountain stopped'));
+    await this.flushLogs();
+    process.exit(0);
+  }
+
+  // An invalid file is reported and the running configuration stays in place
+  async reloadConfig() {
+    if (this.shuttingDown || this.reloading) return;
+    this.reloading = true;
+    console.log(chalk.blue('🔄 Reloading configuration...'));
     
     try {
-      // System health check
-      const systemDiagnostics = await this.healer.runDiagnostics();
+      const config = this.configLoader.load();
+      
+      this.stopMonitors();
+      await this.drainHealing();
+      this.configure(config);
+      await this.startMonitors();
       
-      // Memory analysis
-      console.log(chalk.blue('\n📊 Memory Analysis'));
-      await this.memoryDetector.generateReport();
+      this.logger.info('Configuration reloaded', { sources: this.configLoader.sources });
+      console.log(chalk.green(`✅ Configuration reloaded from ${this.configLoader.sources.join(' → ')}`));
       
-      // Dependency analysis
-      console.log(chalk.blue('\n📦 Dependency Analysis'));
-      await this.dependencyResolver.generateReport();
+    } catch (error) {
+      console.log(chalk.red(`❌ Reload failed, keeping the current configuration: ${error.message}`));
+      this.logger.error('Configuration reload failed', error);
+    } finally {
+      this.reloading = false;
+    }
+  }
+
+  // Background control for `daemon start|stop|restart|status`; the daemon
+  // itself is a detached `start` process
+  async controlDaemon(action, options = {}) {
+    try {
+      let result;
+      
+      if (action === 'status') {
+        result = await this.daemon.status();
+      } else if (action === 'stop') {
+        result = await this.daemon.stop(options);
+      } else if (action === 'start') {
+        result = await this.daemon.spawn(__filename);
+      } else {
+        const stopped = await this.daemon.stop(options);
+        result = { ...(stopped.success ? await this.daemon.spawn(__filename) : stopped), stopped };
+      }
+      
+      // Like `systemctl status`, a daemon that is not running is a failure
+      if (result.success === false || result.running === false) {
+        process.exitCode = HealthGate.EXIT_CODES.FAILURE;
+      }
       
-      // Network analysis
-      console.log(chalk.blue('\n🌐 Network Analysis'));
-      await this.networkRecovery.generateReport();
+      return this.renderer.render(`daemon-${action}`, result, data => this.printDaemonResult(action, data));
+    
+    } catch (error) {
+      console.log(chalk.red(`❌ daemon ${action} failed: ${error.message}`));
+      this.logger.error(`daemon ${action} failed`, error);
+      return this.fail(`daemon-${action}`, error);
+    }
+  }
+
+  printDaemonResult(action, result) {
+    if (action === 'status') {
+      if (result.running) {
+        console.log(chalk.green(`✅ Running (PID ${result.pid}, up ${result.uptimeSeconds}s)`));
+      } else {
+        console.log(chalk.gray(`⚪ Not running${result.stale ? ' (stale PID file from a process that died)' : ''}`));
+      }
+      console.log(chalk.gray(`   PID file: ${result.pidFile}`));
+      return;
+    }
+    
+    if (result.success === false) {
+      console.log(chalk.red(`❌ ${result.error}`));
+    } else if (result.action === 'started') {
+      console.log(chalk.green(`✅ Started (PID ${result.pid}), output in ${result.logFile}`));
+    } else if (result.action === 'stopped') {
+      console.log(chalk.green(`🛑 Stopped (PID ${result.pid})`));
+    } else if (result.action === 'killed') {
+      console.log(chalk.yellow(`⚠️  PID ${result.pid} did not stop in time and was killed`));
+    } else {
+      console.log(chalk.gray('⚪ Not running'));
+    }
+  }
+
+  async runSystemDiagnostics(options = {}) {
+    try {
+      const diagnostics = {
+        system: await this.healer.collectDiagnostics(),
+        memory: await this.memoryDetector.getReport(),
+        dependencies: await this.dependencyResolver.analyzeDependencies(),
+        network: {
+          ...await this.networkRecovery.getReport(),
+          checks: await this.networkRecovery.checkCriticalEndpoints()
+        }
+      };
       
       this.logger.info('System diagnostics completed successfully');
-      console.log(chalk.green('\n✅ System diagnostics completed'));
+      this.renderer.render('diagnostics', diagnostics, data => this.printDiagnostics(data));
+      this.applyFailOn({ ...diagnostics, network: diagnostics.network.checks }, options.failOn);
+      
+      return diagnostics;
       
     } catch (error) {
       console.log(chalk.red(`❌ Diagnostics failed: ${error.message}`));
       this.logger.error('Diagnostics failed', error);
+      return this.fail('diagnostics', error);
     }
   }
 
-  async healAllSystems() {
+  printDiagnostics(diagnostics) {
+    console.log(chalk.cyan('🔍 Running System Diagnostics'));
+    console.log(chalk.cyan('=============================='));
+    
+    // System health check
+    this.healer.printDiagnostics(diagnostics.system);
+    
+    // Memory analysis
+    console.log(chalk.blue('\n📊 Memory Analysis'));
+    this.memoryDetector.printReport(diagnostics.memory);
+    
+    // Dependency analysis
+    console.log(chalk.blue('\n📦 Dependency Analysis'));
+    this.dependencyResolver.printReport(diagnostics.dependencies);
+    
+    // Network analysis
+    console.log(chalk.blue('\n🌐 Network Analysis'));
+    diagnostics.network.checks.forEach(check => {
+      console.log(`  ${check.success ? '✅' : '❌'} ${check.endpoint}${check.success ? ` (${check.responseTime}ms)` : ''}`);
+    });
+    this.networkRecovery.printReport(diagnostics.network);
+    
+    console.log(chalk.green('\n✅ System diagnostics completed'));
+  }
+
+  async healAllSystems(options = {}) {
+    if (options.undo) {
+      return this.undoHealing(options.undo, { dryRun: options.plan });
+    }
+    
+    if (options.explain) {
+      const error = new Error(options.explain);
+      if (options.code) error.code = options.code;
+      return this.explainHealing(error);
+    }
+    
+    if (options.plan) {
+      return this.planHealing();
+    }
+    
     console.log(chalk.cyan('🔧 Healing All Systems'));
     console.log(chalk.cyan('======================='));
     
@@ -158,7 +473,7 @@ class CosmicFountain {
       
       // Run system diagnostics to identify other issues
       console.log(chalk.blue('🔍 Running system diagnostics...'));
-      await this.healer.runDiagnostics();
+      const diagnostics = await this.healer.runDiagnostics();
       
       // Test network connectivity
       console.log(chalk.blue('🌐 Testing network connectivity...'));
@@ -172,68 +487,388 @@ class CosmicFountain {
       this.logger.info('System healing completed');
       console.log(chalk.green('\n✅ System healing completed'));
       
+      // Progress has already been printed, so only --json has anything left to show
+      return this.renderer.render('heal', {
+        dependencies: depResult,
+        errors: diagnostics?.errors || null,
+        network: networkTest
+      });
+    
     } catch (error) {
       console.log(chalk.red(`❌ Healing failed: ${error.message}`));
       this.logger.error('Healing failed', error);
+      return this.fail('heal', error);
+    }
+  }
+
+  async planHealing() {
+    try {
+      const errorPlans = await this.healer.planUnresolvedErrors();
+      const depPlans = await this.dependencyResolver.resolveAllIssues({ dryRun: true });
+      const plan = { errors: errorPlans, dependencies: depPlans.planned };
+      
+      return this.renderer.render('heal-plan', plan, data => this.printHealingPlan(data));
+    
+    } catch (error) {
+      console.log(chalk.red(`❌ Planning failed: ${error.message}`));
+      this.logger.error('Planning failed', error);
+      return this.fail('heal-plan', error);
+    }
+  }
+
+  printHealingPlan(plan) {
+    console.log(chalk.cyan('📝 Healing Plan (dry run)'));
+    console.log(chalk.cyan('========================='));
+    
+    console.log(chalk.blue('\n🩹 Unresolved Errors:'));
+    if (plan.errors.length === 0) {
+      console.log('  Nothing to heal');
+    }
+    plan.errors.forEach(entry => {
+      console.log(`  ${entry.errorType} (${entry.errorId}): ${entry.message}`);
+      this.printPlan(entry);
+    });
+    
+    console.log(chalk.blue('\n📦 Dependencies:'));
+    if (plan.dependencies.length === 0) {
+      console.log('  Nothing to resolve');
+    }
+    plan.dependencies.forEach(entry => {
+      console.log(`  ${entry.issue.message}`);
+      this.printPlan(entry);
+    });
+    
+    console.log(chalk.green('\n✅ Plan generated, nothing was executed'));
+  }
+
+  async undoHealing(errorId, options = {}) {
+    try {
+      const result = await this.healer.undoHealing(errorId, options);
+      if (!result.success) {
+        process.exitCode = HealthGate.EXIT_CODES.FAILURE;
+      }
+      return this.renderer.render('heal-undo', { errorId, ...result }, data => this.printUndo(data, options));
+    
+    } catch (error) {
+      console.log(chalk.red(`❌ Undo failed: ${error.message}`));
+      this.logger.error('Undo failed', error);
+      return this.fail('heal-undo', error);
+    }
+  }
+
+  printUndo(result, options = {}) {
+    console.log(chalk.cyan(`↩️  Undoing healing for error ${result.errorId}${options.dryRun ? ' (dry run)' : ''}`));
+    console.log(chalk.cyan('=================================='));
+    
+    if (!result.steps) {
+      console.log(chalk.yellow(`⚠️  ${result.error}`));
+      return;
+    }
+    
+    console.log(`  Strategy: ${result.strategy}`);
+    result.steps.forEach(step => {
+      const icon = step.dryRun ? '•' : step.success ? '✅' : '❌';
+      console.log(`  ${icon} ${step.description}${step.error ? `: ${step.error}` : ''}`);
+    });
+    
+    if (result.success) {
+      console.log(chalk.green(`\n✅ ${options.dryRun ? 'Undo plan generated, nothing was executed' : 'Healing reverted'}`));
+    } else {
+      console.log(chalk.red('\n❌ Some undo steps failed'));
+    }
+  }
+
+  async explainHealing(error) {
+    const explanation = await this.healer.explainStrategy(error);
+    return this.renderer.render('heal-explain', explanation, data => this.printExplanation(data));
+  }
+
+  printExplanation(explanation) {
+    console.log(chalk.cyan('🔎 Strategy Selection'));
+    console.log(chalk.cyan('====================='));
+    
+    console.log(`  Code: ${explanation.error.code || 'none'}`);
+    console.log(`  Message: ${explanation.error.message}`);
+    
+    if (explanation.candidates.length === 0) {
+      console.log(chalk.yellow('\n⚠️  No strategy matches this error'));
+      return;
     }
+    
+    console.log(chalk.green(`\nChosen: ${explanation.chosen}`));
+    explanation.candidates.forEach((candidate, index) => {
+      const disabled = candidate.disabled ? chalk.red(' [disabled]') : '';
+      console.log(`  ${index + 1}. ${candidate.name} (${candidate.source}) score ${candidate.score}, confidence ${candidate.confidence}/10${disabled}`);
+      candidate.reasons.forEach(reason => console.log(chalk.gray(`     - ${reason}`)));
+    });
+  }
+
+  printPlan(entry) {
+    if (!entry.plan) {
+      console.log(chalk.yellow(`    ⚠️  ${entry.error || 'No plan available'}`));
+      return;
+    }
+    
+    const { commands, files, pids, notes = [] } = entry.plan;
+    console.log(chalk.gray(`    Action: ${entry.action}`));
+    commands.forEach(cmd => console.log(`    $ ${cmd}`));
+    files.forEach(file => console.log(`    📄 ${file}`));
+    if (pids.length > 0) console.log(`    🔪 PIDs: ${pids.join(', ')}`);
+    notes.forEach(note => console.log(chalk.gray(`    ${note}`)));
+  }
+
+  async getSystemStatus() {
+    const errors = await this.healer.loadErrorHistory();
+    const recentErrors = await this.healer.queryErrors({ since: new Date(Date.now() - 24 * 60 * 60 * 1000) });
+    const groups = this.healer.groupByFingerprint(errors);
+    
+    return {
+      errors: {
+        unique: groups.length,
+        occurrences: groups.reduce((sum, group) => sum + group.occurrences, 0),
+        recent: recentErrors.length,
+        resolved: groups.filter(group => group.resolved).length,
+        mostFrequent: groups.slice(0, 5)
+      },
+      process: {
+        pid: process.pid,
+        uptime: process.uptime(),
+        nodeVersion: process.version,
+        platform: process.platform
+      },
+      memory: process.memoryUsage(),
+      // Pending until the next `start` has shown it
+      lastCrash: await this.crashGuard.readReport()
+    };
   }
 
   async showSystemStatus() {
+    try {
+      const status = await this.getSystemStatus();
+      return this.renderer.render('status', status, data => this.printSystemStatus(data));
+    } catch (error) {
+      console.log(chalk.red(`❌ Status check failed: ${error.message}`));
+      this.logger.error('Status check failed', error);
+      return this.fail('status', error);
+    }
+  }
+
+  printSystemStatus(status) {
     console.log(chalk.cyan('📊 Cosmic Fountain System Status'));
     console.log(chalk.cyan('================================='));
     
+    if (status.lastCrash) {
+      this.printCrashReport(status.lastCrash);
+    }
+    
+    console.log(chalk.green('Error History:'));
+    console.log(`  Unique Errors: ${status.errors.unique}`);
+    console.log(`  Total Occurrences: ${status.errors.occurrences}`);
+    console.log(`  Recent Errors (24h): ${status.errors.recent}`);
+    console.log(`  Resolved Errors: ${status.errors.resolved}`);
+    
+    if (status.errors.mostFrequent.length > 0) {
+      console.log(chalk.green('Most Frequent Errors:'));
+      status.errors.mostFrequent.forEach(group => {
+        const state = group.resolved ? chalk.green('resolved') : chalk.yellow('open');
+        console.log(`  ${group.fingerprint} ${group.error_type} ×${group.occurrences} (${state})`);
+        console.log(chalk.gray(`    ${group.message}`));
+        console.log(chalk.gray(`    First seen ${group.first_seen}, last seen ${group.last_seen}`));
+      });
+    }
+    
+    // System uptime
+    const uptime = status.process.uptime;
+    const hours = Math.floor(uptime / 3600);
+    const minutes = Math.floor((uptime % 3600) / 60);
+    const seconds = Math.floor(uptime % 60);
+    
+    console.log(chalk.blue('System Info:'));
+    console.log(`  Process ID: ${status.process.pid}`);
+    console.log(`  Uptime: ${hours}h ${minutes}m ${seconds}s`);
+    console.log(`  Node.js Version: ${status.process.nodeVersion}`);
+    console.log(`  Platform: ${status.process.platform}`);
+    
+    // Memory usage
+    const memUsage = status.memory;
+    console.log(chalk.blue('Memory Usage:'));
+    console.log(`  RSS: ${(memUsage.rss / 1024 / 1024).toFixed(2)} MB`);
+    console.log(`  Heap Used: ${(memUsage.heapUsed / 1024 / 1024).toFixed(2)} MB`);
+    console.log(`  Heap Total: ${(memUsage.heapTotal / 1024 / 1024).toFixed(2)} MB`);
+  }
+
+  async showStrategies() {
+    const strategies = (await this.healer.getStrategyStats())
+      .sort((a, b) => b.priority - a.priority || a.name.localeCompare(b.name));
+    
+    return this.renderer.render('strategies', strategies, data => this.printStrategies(data));
+  }
+
+  printStrategies(strategies) {
+    console.log(chalk.cyan('🧩 Registered Healing Strategies'));
+    console.log(chalk.cyan('================================'));
+    
+    for (const strategy of strategies) {
+      const name = strategy.disabled ? chalk.red(`${strategy.name} [disabled]`) : chalk.green(strategy.name);
+      console.log(`  ${name} (${strategy.source}, priority ${strategy.priority})`);
+      if (strategy.attempts > 0) {
+        console.log(`    Success rate: ${(strategy.successRate * 100).toFixed(0)}% over ${strategy.attempts} attempts`);
+      }
+      if (strategy.codes.length > 0) console.log(`    Codes: ${strategy.codes.join(', ')}`);
+      if (strategy.errnos.length > 0) console.log(`    Errnos: ${strategy.errnos.join(', ')}`);
+      if (strategy.errorClasses.length > 0) console.log(`    Classes: ${strategy.errorClasses.join(', ')}`);
+      if (strategy.messages.length > 0) console.log(`    Messages: ${strategy.messages.join(', ')}`);
+      if (strategy.modules.length > 0) console.log(`    Stack modules: ${strategy.modules.join(', ')}`);
+    }
+  }
+
+  // Pipeline gate: every check runs, then the exit code carries one bit per failing class
+  async runCiChecks(options = {}) {
+    const failOn = options.failOn || this.config.ci.failOn;
+    
     try {
-      // Load error history
-      const errors = await this.healer.loadErrorHistory();
-      const recentErrors = errors.filter(e => 
-        new Date(e.timestamp) > new Date(Date.now() - 24 * 60 * 60 * 1000)
-      );
-      
-      console.log(chalk.green('Error History:'));
-      console.log(`  Total Errors: ${errors.length}`);
-      console.log(`  Recent Errors (24h): ${recentErrors.length}`);
-      console.log(`  Resolved Errors: ${errors.filter(e => e.resolved).length}`);
-      
-      // System uptime
-      const uptime = process.uptime();
-      const hours = Math.floor(uptime / 3600);
-      const minutes = Math.floor((uptime % 3600) / 60);
-      const seconds = Math.floor(uptime % 60);
-      
-      console.log(chalk.blue('System Info:'));
-      console.log(`  Process ID: ${process.pid}`);
-      console.log(`  Uptime: ${hours}h ${minutes}m ${seconds}s`);
-      console.log(`  Node.js Version: ${process.version}`);
-      console.log(`  Platform: ${process.platform}`);
+      const checks = {
+        dependencies: await this.dependencyResolver.analyzeDependencies(),
+        network: await this.networkRecovery.checkCriticalEndpoints(),
+        memory: await this.memoryDetector.getReport()
+      };
+      const result = { ...this.healthGate.evaluate(checks, failOn), checks };
       
-      // Memory usage
-      const memUsage = process.memoryUsage();
-      console.log(chalk.blue('Memory Usage:'));
-      console.log(`  RSS: ${(memUsage.rss / 1024 / 1024).toFixed(2)} MB`);
-      console.log(`  Heap Used: ${(memUsage.heapUsed / 1024 / 1024).toFixed(2)} MB`);
-      console.log(`  Heap Total: ${(memUsage.heapTotal / 1024 / 1024).toFixed(2)} MB`);
+      this.renderer.render('ci', result, data => this.printCiResult(data));
+      process.exitCode = result.exitCode;
       
+      return result;
+    
     } catch (error) {
-      console.log(chalk.red(`❌ Status check failed: ${error.message}`));
-      this.logger.error('Status check failed', error);
+      console.log(chalk.red(`❌ CI checks failed to run: ${error.message}`));
+      this.logger.error('CI checks failed to run', error);
+      return this.fail('ci', error);
     }
   }
 
+  printCiResult(result) {
+    console.log(chalk.cyan('🚦 Cosmic Fountain CI Gate'));
+    console.log(chalk.cyan('=========================='));
+    console.log(`  Failing on: ${result.failOn} and above`);
+    
+    for (const check of ['dependencies', 'network', 'memory']) {
+      const findings = result.findings.filter(finding => finding.check === check);
+      const blocking = findings.filter(finding => result.violations.includes(finding));
+      const icon = blocking.length > 0 ? '❌' : '✅';
+      
+      console.log(`\n${icon} ${check}: ${findings.length} finding(s), ${blocking.length} blocking`);
+      findings.forEach(finding => {
+        const line = `    [${finding.severity}] ${finding.message}`;
+        console.log(blocking.includes(finding) ? chalk.red(line) : chalk.gray(line));
+      });
+    }
+    
+    if (result.passed) {
+      console.log(chalk.green('\n✅ All checks passed'));
+    } else {
+      console.log(chalk.red(`\n❌ Gate failed with exit code ${result.exitCode}`));
+    }
+  }
+
+  async serve(options = {}) {
+    const server = new ControlPlaneServer(this, { ...this.config.server, ...options });
+    await server.start();
+    this.logger.info(`Control plane listening on ${server.host}:${server.port}`);
+    
+    process.on('SIGINT', async () => {
+      console.log(chalk.blue('\n🛑 Stopping control plane...'));
+      await server.stop();
+      process.exit(0);
+    });
+    
+    return server;
+  }
+
   async showVersion() {
     const packageJson = require('../package.json');
-    console.log(chalk.cyan(`🌟 Cosmic Fountain v${packageJson.version}`));
-    console.log(chalk.gray(packageJson.description));
+    const version = { name: packageJson.name, version: packageJson.version, description: packageJson.description };
+    
+    return this.renderer.render('version', version, data => {
+      console.log(chalk.cyan(`🌟 Cosmic Fountain v${data.version}`));
+      console.log(chalk.gray(data.description));
+    });
+  }
+
+  // Sends a notification through the configured sinks, bypassing quiet hours
+  // and deduplication, so a webhook or command can be checked before relying on it
+  async testNotifications(options = {}) {
+    try {
+      const result = await this.notifier.sendTest(options.severity);
+      if (result.sinks.some(sink => sink.success === false)) {
+        process.exitCode = HealthGate.EXIT_CODES.FAILURE;
+      }
+      return this.renderer.render('notification-test', result, data => this.notifier.printTestResult(data));
+    } catch (error) {
+      console.log(chalk.red(`❌ Test notification failed: ${error.message}`));
+      return this.fail('notification-test', error);
+    }
+  }
+
+  showConfig() {
+    const effective = { sources: this.configLoader.sources, config: this.config };
+    
+    return this.renderer.render('config', effective, data => {
+      console.log(chalk.cyan('⚙️  Effective Configuration'));
+      console.log(chalk.cyan('========================='));
+      console.log(chalk.gray(`Sources, lowest precedence first: ${data.sources.join(' → ') || 'constructor options'}`));
+      console.log(JSON.stringify(data.config, null, 2));
+    });
+  }
+}
+
+function parseSeverity(value) {
+  try {
+    return HealthGate.parseSeverity(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
+function parsePid(value) {
+  const pid = Number(value);
+  if (!Number.isInteger(pid) || pid <= 0) {
+    throw new InvalidArgumentError(`"${value}" is not a process id`);
+  }
+  return pid;
+}
+
+function parseTime(value) {
+  try {
+    return MemoryHistoryStore.parseTime(value);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
   }
 }
 
 async function main() {
   const program = new Command();
-  const fountain = new CosmicFountain();
+  // Read before parsing so the logger and console are set up for JSON from the start
+  const json = process.argv.includes('--json');
+  let fountain;
+  
+  try {
+    fountain = new CosmicFountain({ json });
+  } catch (error) {
+    // Usually an invalid configuration; nothing else is set up yet
+    console.error(chalk.red(`❌ ${error.message}`));
+    new ReportRenderer({ json }).renderError('error', error);
+    process.exit(1);
+  }
+  
+  // Only the CLI installs process-wide handlers; embedders use createAgent()
+  fountain.setupGlobalErrorHandlers();
+  const { renderer } = fountain;
   
   program
     .name('cosmic-fountain')
     .description('A self-healing development environment with intelligent error recovery')
-    .version('1.0.0');
+    .version('1.0.0')
+    .option('--json', 'Print a single machine-readable JSON document instead of text');
   
   program
     .command('start')
@@ -242,18 +877,65 @@ async function main() {
       await fountain.startFullMonitoring();
     });
   
+  const daemon = program
+    .command('daemon')
+    .description('Run monitoring as a background process with a PID file');
+  
+  daemon
+    .command('start')
+    .description('Start monitoring in the background')
+    .action(async () => {
+      await fountain.controlDaemon('start');
+    });
+  
+  daemon
+    .command('stop')
+    .description('Stop the background process, waiting for heals in progress')
+    .option('--force', 'Send SIGKILL if it has not stopped in time')
+    .action(async (options) => {
+      await fountain.controlDaemon('stop', options);
+    });
+  
+  daemon
+    .command('restart')
+    .description('Stop and start the background process')
+    .option('--force', 'Send SIGKILL if it has not stopped in time')
+    .action(async (options) => {
+      await fountain.controlDaemon('restart', options);
+    });
+  
+  daemon
+    .command('status')
+    .description('Show whether the background process is running')
+    .action(async () => {
+      await fountain.controlDaemon('status');
+    });
+  
   program
     .command('diagnose')
     .description('Run comprehensive system diagnostics')
-    .action(async () => {
-      await fountain.runSystemDiagnostics();
+    .option('--fail-on <severity>', 'Exit non-zero when a finding reaches this severity', parseSeverity)
+    .action(async (options) => {
+      await fountain.runSystemDiagnostics(options);
+    });
+
+  program
+    .command('ci')
+    .description('Run dependency, network and memory checks as a pipeline gate')
+    .option('--fail-on <severity>', 'Lowest severity that fails the gate (default: ci.failOn from the config)', parseSeverity)
+    .action(async (options) => {
+      await fountain.runCiChecks(options);
     });
   
   program
     .command('heal')
     .description('Attempt to heal all detected system issues')
-    .action(async () => {
-      await fountain.healAllSystems();
+    .option('--plan', 'Show what would be done without executing anything')
+    .option('--explain <message>', 'Explain which strategy would handle an error message')
+    .option('--code <code>', 'Error code to use with --explain')
+    .option('--undo <errorId>', 'Revert the last healing applied to an error (combine with --plan to preview)')
+    .action(async (options) => {
+      await fountain.healAllSystems(options);
     });
   
   program
@@ -263,6 +945,13 @@ async function main() {
       await fountain.showSystemStatus();
     });
   
+  program
+    .command('plugins')
+    .description('List built-in and plugin healing strategies')
+    .action(async () => {
+      await fountain.showStrategies();
+    });
+
   program
     .command('version')
     .description('Show version information')
@@ -275,9 +964,17 @@ async function main() {
     .command('memory')
     .description('Memory leak detection and monitoring')
     .option('--report', 'Generate memory usage report')
+    .option('--heap <pid>', 'Show what grows in a Node process started with --heapsnapshot-signal', parsePid)
+    .option('--since <time>', 'With --report, start of the history range (ISO date or 6h, 7d, ...)', parseTime)
+    .option('--until <time>', 'With --report, end of the history range (ISO date or 30m, 1d, ...)', parseTime)
     .action(async (options) => {
-      if (options.report) {
-        await fountain.memoryDetector.generateReport();
+      if (options.heap) {
+        const result = await fountain.memoryDetector.heapInspector.inspect(options.heap);
+        renderer.render('heap-diff', result, data => fountain.memoryDetector.heapInspector.printDiff(data));
+        if (!result.success) process.exitCode = HealthGate.EXIT_CODES.FAILURE;
+      } else if (options.report) {
+        const report = await fountain.memoryDetector.getReport({ since: options.since, until: options.until });
+        renderer.render('memory-report', report, data => fountain.memoryDetector.printReport(data));
       } else {
         await fountain.memoryDetector.startMonitoring();
       }
@@ -289,11 +986,18 @@ async function main() {
     .description('Dependency conflict resolution')
     .option('--report', 'Generate dependency analysis report')
     .option('--resolve', 'Resolve all detected dependency issues')
+    .option('--fail-on <severity>', 'Exit non-zero when a finding reaches this severity', parseSeverity)
     .action(async (options) => {
       if (options.resolve) {
-        await fountain.dependencyResolver.resolveAllIssues();
+        const result = await fountain.dependencyResolver.resolveAllIssues();
+        renderer.render('dependency-resolution', result);
+        if (result.failed > 0) {
+          process.exitCode = HealthGate.EXIT_CODES.DEPENDENCIES;
+        }
       } else {
-        await fountain.dependencyResolver.generateReport();
+        const analysis = await fountain.dependencyResolver.analyzeDependencies();
+        renderer.render('dependency-report', analysis, data => fountain.dependencyResolver.printReport(data));
+        fountain.applyFailOn({ dependencies: analysis }, options.failOn);
       }
     });
   
@@ -303,17 +1007,72 @@ async function main() {
     .description('Network recovery and monitoring')
     .option('--report', 'Generate network status report')
     .option('--test <endpoint>', 'Test connectivity to specific endpoint')
+    .option('--fail-on <severity>', 'Exit non-zero when a finding reaches this severity', parseSeverity)
     .action(async (options) => {
       if (options.test) {
         const result = await fountain.networkRecovery.pingEndpoint(options.test);
-        console.log(result);
+        renderer.render('network-test', result, data => console.log(data));
+        fountain.applyFailOn({ network: [result] }, options.failOn);
       } else if (options.report) {
-        await fountain.networkRecovery.generateReport();
+        // --fail-on needs fresh results, not just what a monitor recorded
+        const checks = options.failOn ? await fountain.networkRecovery.checkCriticalEndpoints() : null;
+        const report = await fountain.networkRecovery.getReport();
+        renderer.render('network-report', report, data => fountain.networkRecovery.printReport(data));
+        fountain.applyFailOn({ network: checks }, options.failOn);
       } else {
         await fountain.networkRecovery.startNetworkMonitoring();
       }
     });
   
+  program
+    .command('serve')
+    .description('Expose a local REST API for dashboards and editor integrations')
+    .option('--port <port>', 'Port to listen on (default: server.port from the config)')
+    .option('--host <host>', 'Interface to bind to (default: server.host from the config)')
+    .action(async (options) => {
+      await fountain.serve(options);
+    });
+
+  program
+    .command('logs')
+    .description('Show log sizes and retention policies')
+    .option('--compact', 'Apply retention policies, folding expired records into daily aggregates')
+    .option('--plan', 'With --compact, show what would be compacted without changing anything')
+    .action(async (options) => {
+      if (options.compact) {
+        const summary = await fountain.retention.run({ dryRun: options.plan });
+        renderer.render('log-compaction', summary, data => fountain.retention.printSummary(data));
+      } else {
+        const report = await fountain.retention.getReport();
+        renderer.render('log-retention', report, data => fountain.retention.printReport(data));
+      }
+    });
+
+  program
+    .command('notify')
+    .description('Check the notification sinks')
+    .option('--test', 'Send a test notification to every sink that takes its severity')
+    .option('--severity <severity>', 'Severity of the test notification', parseSeverity, 'high')
+    .action(async (options, command) => {
+      if (options.test) {
+        await fountain.testNotifications(options);
+      } else {
+        command.outputHelp();
+      }
+    });
+
+  program
+    .command('config')
+    .description('Inspect the configuration')
+    .option('--print', 'Show the effective configuration after merging every source')
+    .action(async (options, command) => {
+      if (options.print) {
+        fountain.showConfig();
+      } else {
+        command.outputHelp();
+      }
+    });
+  
   // If no command provided, show help
   if (process.argv.length === 2) {
     program.outputHelp();
@@ -325,6 +1084,7 @@ async function main() {
   } catch (error) {
     console.log(chalk.red(`❌ Command failed: ${error.message}`));
     fountain.logger.error('Command failed', error);
+    renderer.renderError('error', error);
     process.exit(1);
   }
 }
@@ -333,4 +1093,8 @@ if (require.main === module) {
   main().catch(console.error);
 }
 
+// Library entry point: const { createAgent } = require('cosmic-fountain')
+CosmicFountain.createAgent = HealingAgent.createAgent;
+CosmicFountain.HealingAgent = HealingAgent;
+
 module.exports = CosmicFountain;
\ No newline at end of file
@@ -0,0 +1,199 @@
+const http = require('http');
+const chalk = require('chalk');
+
+const PREFIX = 'cosmic_fountain_';
+const OPENMETRICS_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+const TEXT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+// Prometheus/OpenMetrics view of a CosmicFountain. Gauges are read from the
+// monitors' in-memory history at scrape time; counters are kept from the
+// event bus since the exporter was created, so they reset with the process.
+class MetricsExporter {
+  constructor(fountain) {
+    this.fountain = fountain;
+    this.counters = new Map(); // metric name -> Map(label key -> { labels, value })
+    this.unsubscribe = null;
+    this.server = null;
+  }
+
+  attach(bus) {
+    this.detach();
+    
+    const unsubscribers = [
+      bus.subscribe('heal.attempted', event => this.increment('heal_attempts', {
+        strategy: event.strategy || 'none',
+        outcome: event.success ? 'success' : 'failure'
+      })),
+      bus.subscribe('memory.alert', event => this.increment('memory_alerts', { alert_type: event.alertType })),
+      bus.subscribe('network.endpoint.down', event => this.increment('endpoint_outages', { endpoint: event.endpoint })),
+      bus.subscribe('deps.vulnerability', event => this.increment('vulnerabilities_reported', { severity: event.severity })),
+      bus.subscribe('process.critical-error', event => this.increment('critical_errors', { origin: event.origin }))
+    ];
+    this.unsubscribe = () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    
+    return this;
+  }
+
+  detach() {
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
+    return this;
+  }
+
+  increment(name, labels = {}) {
+    if (!this.counters.has(name)) {
+      this.counters.set(name, new Map());
+    }
+    
+    const series = this.counters.get(name);
+    const key = JSON.stringify(labels);
+    const sample = series.get(key) || { labels, value: 0 };
+    sample.value++;
+    series.set(key, sample);
+  }
+
+  counterSamples(name) {
+    return [...(this.counters.get(name) || new Map()).values()];
+  }
+
+  // Families of { name, type, help, samples: [{ labels, value }] }
+  collect() {
+    const { memoryDetector, networkRecovery, dependencyResolver, healer } = this.fountain;
+    const families = [];
+    const add = (name, type, help, samples) => families.push({ name: PREFIX + name, type, help, samples });
+    
+    const latest = memoryDetector.memoryHistory[memoryDetector.memoryHistory.length - 1];
+    if (latest) {
+      add('memory_usage_percent', 'gauge', 'System memory in use, percent', [{ value: latest.usagePercent }]);
+      add('memory_used_bytes', 'gauge', 'System memory in use', [{ value: latest.used }]);
+      add('memory_total_bytes', 'gauge', 'Total system memory', [{ value: latest.total }]);
+    }
+    
+    // Needs two samples taken at different times
+    if (memoryDetector.memoryHistory.length >= 2) {
+      const growthRate = memoryDetector.calculateMemoryGrowthRate();
+      if (Number.isFinite(growthRate)) {
+        add('memory_growth_rate_mb_per_minute', 'gauge', 'System memory growth over the recent samples', [{ value: growthRate }]);
+      }
+    }
+    
+    add('process_memory_mb', 'gauge', 'Latest memory of processes above the process memory threshold',
+      [...memoryDetector.processHistory].filter(([, history]) => history.length > 0).map(([key, history]) => {
+        const separator = key.lastIndexOf('_');
+        return { labels: { name: key.slice(0, separator), pid: key.slice(separator + 1) }, value: history[history.length - 1].memory };
+      }));
+    
+    add('watched_process_memory_mb', 'gauge', 'Latest total memory of the processes each watch-list entry matches',
+      [...memoryDetector.watchHistory].filter(([, history]) => history.length > 0).map(([watch, history]) => (
+        { labels: { watch }, value: history[history.length - 1].memory }
+      )));
+    
+    const endpoints = [...networkRecovery.endpoints].filter(([, data]) => data.history.length > 0);
+    const endpointSamples = (read) => endpoints
+      .map(([endpoint, data]) => ({ labels: { endpoint }, value: read(data) }))
+      .filter(sample => sample.value !== null);
+    
+    add('endpoint_up', 'gauge', 'Whether the last check of a critical endpoint succeeded',
+      endpointSamples(data => data.consecutiveFailures === 0 ? 1 : 0));
+    add('endpoint_latency_seconds', 'gauge', 'Round trip of the last successful check',
+      endpointSamples(data => {
+        const success = [...data.history].reverse().find(entry => entry.success);
+        return success ? success.responseTime / 1000 : null;
+      }));
+    add('endpoint_success_ratio', 'gauge', 'Share of the last 10 checks that succeeded',
+      endpointSamples(data => {
+        const recent = data.history.slice(-10);
+        return recent.filter(entry => entry.success).length / recent.length;
+      }));
+    add('endpoint_consecutive_failures', 'gauge', 'Failed checks since the endpoint last answered',
+      endpointSamples(data => data.consecutiveFailures));
+    
+    const analysis = dependencyResolver.lastAnalysis;
+    if (analysis) {
+      const bySeverity = {};
+      analysis.vulnerabilities.forEach(vuln => {
+        const severity = vuln.severity || 'unknown';
+        bySeverity[severity] = (bySeverity[severity] || 0) + 1;
+      });
+      add('dependency_vulnerabilities', 'gauge', 'Vulnerable packages found by the last dependency analysis',
+        Object.entries(bySeverity).map(([severity, value]) => ({ labels: { severity }, value })));
+      add('dependency_analysis_timestamp_seconds', 'gauge', 'When the last dependency analysis ran',
+        [{ value: analysis.analyzedAt / 1000 }]);
+    }
+    
+    add('heals_in_progress', 'gauge', 'Heals currently running', [{ value: healer.inFlight.size }]);
+    add('heal_attempts', 'counter', 'Healing attempts by strategy and outcome', this.counterSamples('heal_attempts'));
+    add('memory_alerts', 'counter', 'Memory alerts raised, by alert type', this.counterSamples('memory_alerts'));
+    add('endpoint_outages', 'counter', 'Times a critical endpoint went from up to down', this.counterSamples('endpoint_outages'));
+    add('vulnerabilities_reported', 'counter', 'Vulnerabilities reported by dependency analyses', this.counterSamples('vulnerabilities_reported'));
+    add('critical_errors', 'counter', 'Uncaught exceptions and unhandled rejections', this.counterSamples('critical_errors'));
+    
+    return families;
+  }
+
+  // OpenMetrics names counter families without "_total" and ends with "# EOF";
+  // the classic Prometheus text format keeps the suffix on the TYPE line
+  render(openMetrics = true) {
+    const lines = [];
+    
+    for (const family of this.collect()) {
+      const sampleName = family.type === 'counter' ? `${family.name}_total` : family.name;
+      const typeName = family.type === 'counter' && !openMetrics ? sampleName : family.name;
+      
+      lines.push(`# TYPE ${typeName} ${family.type}`);
+      lines.push(`# HELP ${typeName} ${family.help}`);
+      for (const sample of family.samples) {
+        const labels = Object.entries(sample.labels || {}).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+        lines.push(`${sampleName}${labels.length > 0 ? `{${labels.join(',')}}` : ''} ${sample.value}`);
+      }
+    }
+    
+    if (openMetrics) lines.push('# EOF');
+    return lines.join('\n') + '\n';
+  }
+
+  // Picks the format from the scraper's Accept header
+  respond(accept = '') {
+    const openMetrics = accept.includes('application/openmetrics-text');
+    return { contentType: openMetrics ? OPENMETRICS_TYPE : TEXT_TYPE, body: this.render(openMetrics) };
+  }
+
+  // Standalone listener for `start`, serving only /metrics
+  listen(port, host) {
+    this.server = http.createServer((req, res) => {
+      if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        return res.end('Not found, metrics are at /metrics\n');
+      }
+      
+      try {
+        const { contentType, body } = this.respond(req.headers.accept);
+        res.writeHead(200, { 'Content-Type': contentType });
+        res.end(body);
+      } catch (error) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(`${error.message}\n`);
+      }
+    });
+    
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        console.log(chalk.green(`📈 Metrics at http://${host}:${port}/metrics`));
+        resolve(this.server);
+      });
+    });
+  }
+
+  close() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+}
+
+module.exports = MetricsExporter;
@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const express = require('express');
+const chalk = require('chalk');
+const si = require('systeminformation');
+const EventBus = require('../scripts/event-bus');
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const WILDCARD_HOSTS = ['0.0.0.0', '::'];
+
+// Local REST API over a CosmicFountain instance. Every route answers JSON;
+// the underlying methods still log to the server's console.
+class ControlPlaneServer {
+  constructor(fountain, options = {}) {
+    this.fountain = fountain;
+    this.port = Number(options.port) || 7777;
+    this.host = options.host || '127.0.0.1';
+    this.token = options.token || null;
+    this.server = null;
+    this.streams = new Set();
+    this.app = this.createApp();
+  }
+
+  createApp() {
+    const app = express();
+    app.use((req, res, next) => {
+      const rejected = this.checkRequest(req);
+      if (rejected) {
+        return res.status(rejected.status).json({ success: false, error: rejected.error });
+      }
+      next();
+    });
+    app.use(express.json());
+    
+    app.get('/status', async (req, res) => {
+      res.json(await this.fountain.getSystemStatus());
+    });
+    
+    app.get('/errors', async (req, res) => {
+      res.json(await this.fountain.healer.queryErrors(this.parseErrorFilter(req.query)));
+    });
+    
+    app.get('/errors/:id', async (req, res) => {
+      const error = await this.fountain.healer.store.get(req.params.id);
+      if (!error) {
+        return res.status(404).json({ success: false, error: `No error with id ${req.params.id}` });
+      }
+      res.json(error);
+    });
+    
+    app.get('/strategies', async (req, res) => {
+      res.json(await this.fountain.healer.getStrategyStats());
+    });
+    
+    // Body: { error: { message, code }, context } heals one error; { undo: id }
+    // reverts a heal; { all: true } heals everything. plan: true makes any of
+    // them a dry run.
+    app.post('/heal', async (req, res) => {
+      const body = req.body;
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return res.status(400).json({ success: false, error: 'Body must be a JSON object' });
+      }
+      const dryRun = Boolean(body.plan);
+      
+      if (body.error) {
+        if (typeof body.error.message !== 'string') {
+          return res.status(400).json({ success: false, error: 'error.message is required' });
+        }
+        // Strategies read module names and hosts out of the message; they check
+        // them and run commands from argv, so the text never reaches a shell
+        const error = new Error(body.error.message);
+        if (typeof body.error.code === 'string') error.code = body.error.code;
+        const context = await this.resolveContext(body.context);
+        return res.json(await this.fountain.healer.attemptHealing(error, context, { dryRun }));
+      }
+      
+      if (body.undo) {
+        return res.json(await this.fountain.healer.undoHealing(body.undo, { dryRun }));
+      }
+      
+      if (body.all !== true) {
+        return res.status(400).json({ success: false, error: 'Give error, undo or "all": true' });
+      }
+      
+      res.json(dryRun ? await this.fountain.planHealing() : await this.fountain.healAllSystems());
+    });
+    
+    // ?since= and ?until= limit the history the report covers
+    app.get('/memory/report', async (req, res) => {
+      const { since, until } = req.query;
+      if ([since, until].some(time => time !== undefined && isNaN(new Date(time)))) {
+        return res.status(400).json({ success: false, error: 'since and until must be dates' });
+      }
+      res.json(await this.fountain.memoryDetector.getReport({ since, until }));
+    });
+    
+    app.get('/deps/report', async (req, res) => {
+      res.json(await this.fountain.dependencyResolver.analyzeDependencies());
+    });
+    
+    app.get('/network/report', async (req, res) => {
+      res.json(await this.fountain.networkRecovery.getReport());
+    });
+    
+    app.post('/network/test', async (req, res) => {
+      const endpoint = req.body?.endpoint;
+      if (!this.fountain.networkRecovery.isValidEndpoint(endpoint)) {
+        return res.status(400).json({ success: false, error: 'endpoint must be a host name or IP address' });
+      }
+      res.json(await this.fountain.networkRecovery.pingEndpoint(endpoint));
+    });
+    
+    // Prometheus scrape target; OpenMetrics when the Accept header asks for it
+    app.get('/metrics', (req, res) => {
+      const { contentType, body } = this.fountain.metrics.respond(req.get('accept'));
+      res.type(contentType).send(body);
+    });
+    
+    // Server-sent events from the bus; ?type= narrows to one type or prefix ("network.*")
+    app.get('/events', (req, res) => {
+      const type = req.query.type || '*';
+      if (!EventBus.isKnownType(type)) {
+        return res.status(400).json({ success: false, error: `Unknown event type ${type}` });
+      }
+      
+      res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+      res.flushHeaders();
+      
+      const unsubscribe = this.fountain.bus.subscribe(type, event => {
+        res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      });
+      this.streams.add(res);
+      
+      req.on('close', () => {
+        unsubscribe();
+        this.streams.delete(res);
+      });
+    });
+    
+    app.use((req, res) => {
+      res.status(404).json({ success: false, error: `No route for ${req.method} ${req.path}` });
+    });
+    
+    // Express 5 forwards rejected async handlers here
+    app.use((error, req, res, next) => {
+      this.fountain.logger.error('API request failed', error);
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    });
+    
+    return app;
+  }
+
+  // Browsers let any site reach a server on localhost: a cross-site POST of
+  // text/plain needs no preflight, and a rebound DNS name looks same-origin.
+  // So the Host has to name this server, an Origin has to be local, POSTs
+  // have to be JSON, and the token is required when one is configured.
+  // Returns { status, error } for a request to turn away.
+  checkRequest(req) {
+    const hostname = header => {
+      try {
+        return new URL(header.includes('://') ? header : `http://${header}`).hostname;
+      } catch (error) {
+        return null;
+      }
+    };
+    const ownHosts = WILDCARD_HOSTS.includes(this.host) ? LOCAL_HOSTS : [...LOCAL_HOSTS, this.host];
+    
+    const host = hostname(req.get('host') || '');
+    if (!WILDCARD_HOSTS.includes(this.host) && !ownHosts.includes(host)) {
+      return { status: 403, error: `Host ${req.get('host')} is not this server` };
+    }
+    
+    const origin = req.get('origin');
+    if (origin && !ownHosts.includes(hostname(origin))) {
+      return { status: 403, error: `Requests from ${origin} are not allowed` };
+    }
+    
+    if (this.token) {
+      const given = Buffer.from((req.get('authorization') || '').replace(/^Bearer /, ''));
+      const expected = Buffer.from(this.token);
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return { status: 401, error: 'A valid bearer token is required' };
+      }
+    }
+    
+    if (req.method === 'POST' && !req.is('application/json')) {
+      return { status: 415, error: 'Content-Type must be application/json' };
+    }
+    
+    return null;
+  }
+
+  // Context from a request is taken as facts about the error, never as what
+  // to run or signal: commands are dropped, and a watched process only gets
+  // its PIDs and start command from the watch-list, when the PID is one of
+  // the entry's processes now
+  async resolveContext(context) {
+    if (!context || typeof context !== 'object') return {};
+    
+    const { command, process: target, ...rest } = context;
+    if (!target || typeof target !== 'object') return rest;
+    
+    const resolved = {
+      name: String(target.name || ''),
+      pid: Number(target.pid),
+      memory: Number(target.memory) || 0,
+      growthRate: Number(target.growthRate) || 0
+    };
+    
+    const { watchList } = this.fountain.memoryDetector;
+    const entry = target.watch && watchList.entry(String(target.watch));
+    if (entry) {
+      const procs = (await watchList.match((await si.processes()).list)).get(entry.name);
+      const pids = procs.map(proc => proc.pid);
+      if (pids.includes(resolved.pid)) {
+        Object.assign(resolved, { watch: entry.name, pids, ...(entry.start ? { start: entry.start } : {}) });
+      }
+    }
+    
+    return { ...rest, process: resolved };
+  }
+
+  parseErrorFilter(query) {
+    const filter = {};
+    if (query.since) filter.since = query.since;
+    if (query.until) filter.until = query.until;
+    if (query.type) filter.type = query.type;
+    if (query.fingerprint) filter.fingerprint = query.fingerprint;
+    if (query.resolved !== undefined) filter.resolved = query.resolved === 'true';
+    if (query.limit) filter.limit = Number(query.limit);
+    return filter;
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(this.port, this.host, (error) => {
+        if (error) return reject(error);
+        console.log(chalk.green(`🌐 Control plane listening on http://${this.host}:${this.port}`));
+        resolve(this.server);
+      });
+    });
+  }
+
+  stop() {
+    // Open event streams would otherwise keep close() waiting forever
+    this.streams.forEach(res => res.end());
+    
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+    });
+  }
+}
+
+module.exports = ControlPlaneServer;
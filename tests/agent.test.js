@@ -0,0 +1,89 @@
+const HealingAgent = require('../src/agent');
+
+// Stands in for SelfHealingSystem so reports never touch the store or run a heal
+const fakeHealer = (result = { success: true, action: 'fixed' }) => ({
+  bus: {},
+  fingerprintError: error => `fp-${error.message}`,
+  attemptHealing: jest.fn(async () => result),
+  registerStrategy: jest.fn(),
+  explainStrategy: jest.fn(async () => ({ strategy: 'ENOENT' }))
+});
+
+const createAgent = (healer = fakeHealer()) => HealingAgent.createAgent({
+  healer,
+  config: { crashGuard: { maxHeals: 2, backoffMs: 0, reportPath: '/nonexistent/crash-report.json' } }
+});
+
+describe('HealingAgent', () => {
+  let agent;
+
+  afterEach(() => {
+    agent.detach();
+    jest.restoreAllMocks();
+  });
+
+  test('adds its process handlers on attach and removes them on detach', () => {
+    agent = createAgent();
+    const before = process.listenerCount('uncaughtException');
+    
+    expect(agent.attached).toBe(false);
+    agent.attach().attach();
+    expect(agent.attached).toBe(true);
+    expect(process.listenerCount('uncaughtException')).toBe(before + 1);
+    expect(process.listeners('unhandledRejection')).toContain(agent.handlers.unhandledRejection);
+    
+    agent.detach();
+    expect(agent.attached).toBe(false);
+    expect(process.listenerCount('uncaughtException')).toBe(before);
+  });
+
+  test('heals a report and emits start and success', async () => {
+    const healer = fakeHealer();
+    agent = createAgent(healer);
+    const events = [];
+    agent.on('healing:start', event => events.push(['start', event.fingerprint, event.attempt]));
+    agent.on('healing:success', event => events.push(['success', event.result.action]));
+    
+    const result = await agent.report('boom', { route: '/' });
+    
+    expect(result).toEqual({ success: true, action: 'fixed', fingerprint: 'fp-boom' });
+    expect(healer.attemptHealing).toHaveBeenCalledWith(expect.any(Error), { route: '/' }, {});
+    expect(events).toEqual([['start', 'fp-boom', 1], ['success', 'fixed']]);
+  });
+
+  test('emits crash-loop once the budget is spent and leaves the process running', async () => {
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+    agent = createAgent(fakeHealer({ success: false, error: 'still broken' }));
+    const crashLoop = jest.fn();
+    agent.on('healing:failed', () => {});
+    agent.on('crash-loop', crashLoop);
+    
+    await agent.report(new Error('boom'));
+    await agent.report(new Error('boom'));
+    const result = await agent.report(new Error('boom'));
+    
+    expect(result).toMatchObject({ success: false, skipped: true, fingerprint: 'fp-boom' });
+    expect(crashLoop).toHaveBeenCalledWith(expect.objectContaining({ reason: 'heal-budget-exhausted', fingerprint: 'fp-boom' }));
+    expect(exit).not.toHaveBeenCalled();
+  });
+
+  test('turns a throwing heal into a failed result', async () => {
+    const healer = fakeHealer();
+    healer.attemptHealing.mockRejectedValue(new Error('store unavailable'));
+    agent = createAgent(healer);
+    const failed = jest.fn();
+    agent.on('healing:failed', failed);
+    
+    await expect(agent.report(new Error('boom'))).resolves.toEqual({ success: false, error: 'store unavailable', fingerprint: 'fp-boom' });
+    expect(failed.mock.calls[0][0].healError.message).toBe('store unavailable');
+  });
+
+  test('rejects a strategy it could not run', () => {
+    const healer = fakeHealer();
+    agent = createAgent(healer);
+    
+    expect(() => agent.registerStrategy({ name: 'no-matchers', heal: async () => ({}) })).toThrow(TypeError);
+    agent.registerStrategy({ name: 'host', codes: ['EHOST'], heal: async () => ({ success: true }) });
+    expect(healer.registerStrategy).toHaveBeenCalledWith(expect.objectContaining({ name: 'host', source: 'host' }));
+  });
+});
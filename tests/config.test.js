@@ -0,0 +1,98 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const ConfigLoader = require('../scripts/config');
+
+describe('ConfigLoader', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'config-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(dir);
+  });
+
+  const load = (env = {}) => new ConfigLoader({ cwd: dir, env }).load();
+  const problems = config => new ConfigLoader({ cwd: dir, env: {} }).validate(config);
+
+  test('rejects values outside the schema with the setting they belong to', async () => {
+    await fs.writeJson(path.join(dir, 'cosmic-fountain.config.json'), {
+      monitor: { thresholds: { memoryUsagePercent: 190 }, schedules: { maintenance: 'every minute' } },
+      server: { port: 'http' },
+      nonsense: true
+    });
+    
+    let error;
+    try {
+      load();
+    } catch (thrown) {
+      error = thrown;
+    }
+    
+    expect(error).toBeInstanceOf(ConfigLoader.ConfigError);
+    expect(error.problems).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^cosmic-fountain\.config\.json: monitor\.thresholds\.memoryUsagePercent must be a number between 1 and 100/),
+      expect.stringMatching(/monitor\.schedules\.maintenance must be a valid cron expression/),
+      expect.stringMatching(/server\.port must be an integer/),
+      'cosmic-fountain.config.json: nonsense is not a known setting'
+    ]));
+  });
+
+  test('checks list items and entries that need a field', () => {
+    expect(problems({ heal: { memoryLeak: { steps: ['notify', 'reboot'] } } })).toEqual([
+      expect.stringMatching(/^heal\.memoryLeak\.steps\[1\] must be one of: notify, diagnostics, restart, kill/)
+    ]);
+    expect(problems({ monitor: { watch: [{ name: 'dev', match: { cmdline: 'vite' }, start: { cwd: '/tmp' } }] } })).toEqual([
+      expect.stringMatching(/start needs a "command"/)
+    ]);
+  });
+
+  test('coerces environment overrides to the type of their setting', () => {
+    const config = load({
+      COSMIC_MONITOR__THRESHOLDS__MEMORY_USAGE_PERCENT: '90',
+      COSMIC_MONITOR__HISTORY__ENABLED: 'false',
+      COSMIC_NETWORK__CRITICAL_ENDPOINTS: 'github.com, npmjs.com'
+    });
+    
+    expect(config.monitor.thresholds.memoryUsagePercent).toBe(90);
+    expect(config.monitor.history.enabled).toBe(false);
+    expect(config.network.criticalEndpoints).toEqual(['github.com', 'npmjs.com']);
+  });
+
+  test('reports an override that does not coerce', () => {
+    expect(() => load({ COSMIC_MONITOR__THRESHOLDS__MEMORY_USAGE_PERCENT: 'lots' })).toThrow(/environment: monitor\.thresholds\.memoryUsagePercent must be a number/);
+    expect(() => load({ COSMIC_MONITOR__HISTORY__ENABLED: 'yes' })).toThrow(/monitor\.history\.enabled must be/);
+  });
+
+  test('ignores COSMIC_ variables that match no setting, with a warning', () => {
+    const loader = new ConfigLoader({ cwd: dir, env: { COSMIC_THEME: 'dark', COSMIC_SERVER__PORT: '8080' } });
+    
+    const config = loader.load();
+    
+    expect(config.server.port).toBe(8080);
+    expect(loader.warnings).toEqual([expect.stringMatching(/ignoring COSMIC_THEME/)]);
+  });
+
+  // In a plain Node process, since jest keeps its own module registry
+  test('reads a changed cosmic-fountain.config.js again on reload', () => {
+    const script = `
+      const fs = require('fs');
+      const ConfigLoader = require(${JSON.stringify(require.resolve('../scripts/config'))});
+      const file = process.argv[1] + '/cosmic-fountain.config.js';
+      const loader = new ConfigLoader({ cwd: process.argv[1], env: {} });
+      fs.writeFileSync(file, 'module.exports = { server: { port: 8080 } };');
+      const before = loader.load().server.port;
+      fs.writeFileSync(file, 'module.exports = { server: { port: 9090 } };');
+      console.log(JSON.stringify([before, loader.load().server.port]));
+    `;
+    
+    const output = execFileSync(process.execPath, ['-e', script, dir], { encoding: 'utf8' });
+    
+    expect(JSON.parse(output)).toEqual([8080, 9090]);
+  });
+});
@@ -0,0 +1,72 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const CrashGuard = require('../src/crash-guard');
+
+const SECOND_MS = 1000;
+const MINUTE_MS = 60 * SECOND_MS;
+const NOW = Date.UTC(2024, 0, 31, 12, 0, 0);
+
+describe('CrashGuard', () => {
+  const createGuard = (options = {}) => new CrashGuard({ maxHeals: 4, windowMs: 10 * MINUTE_MS, backoffMs: SECOND_MS, maxBackoffMs: 3 * SECOND_MS, ...options });
+
+  test('doubles the wait before each repeat of the same error, up to maxBackoffMs', () => {
+    const guard = createGuard();
+    
+    const delays = [0, 1, 2, 3].map(i => guard.admit('boom', NOW + i * SECOND_MS).delayMs);
+    
+    expect(delays).toEqual([0, SECOND_MS, 2 * SECOND_MS, 3 * SECOND_MS]);
+  });
+
+  test('refuses a heal once maxHeals were made within the window', () => {
+    const guard = createGuard();
+    for (let i = 0; i < 4; i++) guard.admit('boom', NOW + i * MINUTE_MS);
+    
+    expect(guard.admit('boom', NOW + 5 * MINUTE_MS)).toEqual({ allowed: false, attempt: 5, delayMs: 0 });
+    // Other errors have a budget of their own
+    expect(guard.admit('other', NOW + 5 * MINUTE_MS)).toEqual({ allowed: true, attempt: 1, delayMs: 0 });
+  });
+
+  test('starts over once the attempts have left the window', () => {
+    const guard = createGuard();
+    for (let i = 0; i < 4; i++) guard.admit('boom', NOW + i * SECOND_MS);
+    
+    // The first attempt expired, so one more is allowed, waiting as the fourth
+    expect(guard.admit('boom', NOW + 10 * MINUTE_MS)).toEqual({ allowed: true, attempt: 4, delayMs: 3 * SECOND_MS });
+    // After a stable window nothing counts any more
+    expect(guard.admit('boom', NOW + 30 * MINUTE_MS)).toEqual({ allowed: true, attempt: 1, delayMs: 0 });
+  });
+
+  test('a refused heal does not extend the window', () => {
+    const guard = createGuard({ maxHeals: 1 });
+    guard.admit('boom', NOW);
+    
+    expect(guard.admit('boom', NOW + 9 * MINUTE_MS).allowed).toBe(false);
+    expect(guard.admit('boom', NOW + 10 * MINUTE_MS).allowed).toBe(true);
+  });
+
+  describe('reports', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'crash-guard-'));
+    });
+
+    afterEach(async () => {
+      await fs.remove(dir);
+    });
+
+    test('are shown once on the next start, then archived', async () => {
+      const guard = createGuard({ reportPath: path.join(dir, 'crash-report.json') });
+      guard.admit('boom', NOW);
+      const report = guard.buildReport({ error: new Error('boom'), type: 'uncaughtException', fingerprint: 'boom', reason: 'budget-exhausted' });
+      await guard.writeReport(report);
+      
+      const taken = await guard.takeReport();
+      
+      expect(taken).toMatchObject({ reason: 'budget-exhausted', error: { message: 'boom' }, attempts: [new Date(NOW).toISOString()] });
+      expect(await fs.pathExists(taken.archivedTo)).toBe(true);
+      expect(await guard.takeReport()).toBeNull();
+    });
+  });
+});
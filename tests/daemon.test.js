@@ -0,0 +1,94 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const CosmicFountain = require('../src/index');
+const DaemonController = require('../src/daemon');
+const ProcessInspector = require('../scripts/process-info');
+
+const sleeper = () => {
+  const child = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 60000)'], { stdio: 'ignore' });
+  return new Promise(resolve => child.once('spawn', () => resolve(child)));
+};
+
+describe('daemon restart', () => {
+  let fountain;
+
+  beforeEach(() => {
+    fountain = new CosmicFountain({ config: { heal: { plugins: { packages: [] } }, monitor: { history: { enabled: false } } } });
+  });
+
+  afterEach(() => {
+    process.exitCode = undefined;
+    jest.restoreAllMocks();
+  });
+
+  test('a failed stop is reported as one serializable document', async () => {
+    const stopped = { success: false, error: 'PID 4242 did not exit', pid: 4242 };
+    jest.spyOn(fountain.daemon, 'stop').mockResolvedValue(stopped);
+    const spawn = jest.spyOn(fountain.daemon, 'spawn');
+    const render = jest.spyOn(fountain.renderer, 'render').mockImplementation((schema, data) => data);
+    
+    await fountain.controlDaemon('restart');
+    
+    const [[schema, result]] = render.mock.calls;
+    expect(schema).toBe('daemon-restart');
+    expect(spawn).not.toHaveBeenCalled();
+    expect(JSON.parse(JSON.stringify(result))).toEqual({ ...stopped, stopped });
+  });
+});
+
+describe('DaemonController PID file', () => {
+  let dir;
+  let daemon;
+  let child;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'daemon-'));
+    daemon = new DaemonController({ pidFile: path.join(dir, 'daemon.pid'), inspector: new ProcessInspector({ pollInterval: 20 }) });
+    child = await sleeper();
+  });
+
+  afterEach(async () => {
+    child.kill('SIGKILL');
+    await fs.remove(dir);
+  });
+
+  const writePidFile = (pid, identity) => fs.writeFile(daemon.pidFile, identity ? `${pid}\n${JSON.stringify(identity)}\n` : `${pid}\n`);
+
+  test('claim writes the PID on the first line and the identity after it', async () => {
+    await daemon.claim();
+    
+    const [pid, identity] = (await fs.readFile(daemon.pidFile, 'utf8')).split('\n');
+    expect(Number(pid)).toBe(process.pid);
+    expect(JSON.parse(identity)).toMatchObject({ startTime: expect.any(String) });
+    expect(await daemon.status()).toMatchObject({ running: true, pid: process.pid });
+    
+    await daemon.release();
+    expect(await fs.pathExists(daemon.pidFile)).toBe(false);
+  });
+
+  test('a reused PID is stale, and stop leaves its process alone', async () => {
+    const { pid, ...identity } = await daemon.inspector.identify(child.pid);
+    await writePidFile(pid, { ...identity, startTime: '1' });
+    
+    expect(await daemon.status()).toMatchObject({ running: false, stale: true });
+    expect(await daemon.stop({ force: true })).toEqual({ success: true, action: 'not-running' });
+    expect(daemon.inspector.isAlive(child.pid)).toBe(true);
+    expect(await fs.pathExists(daemon.pidFile)).toBe(false);
+  });
+
+  test('a PID file without an identity is never signalled', async () => {
+    await writePidFile(child.pid);
+    
+    expect(await daemon.stop({ force: true })).toEqual({ success: true, action: 'not-running' });
+    expect(daemon.inspector.isAlive(child.pid)).toBe(true);
+  });
+
+  test('stop signals the process the PID file recorded', async () => {
+    const { pid, ...identity } = await daemon.inspector.identify(child.pid);
+    await writePidFile(pid, identity);
+    
+    expect(await daemon.stop({ timeoutMs: 5000 })).toEqual({ success: true, action: 'stopped', pid });
+  });
+});
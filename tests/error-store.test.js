@@ -0,0 +1,190 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { fork } = require('child_process');
+const ErrorStore = require('../scripts/error-store');
+const FileLock = require('../scripts/file-lock');
+const SelfHealingSystem = require('../scripts/heal');
+
+const WRITES = 25;
+
+const runWriter = (dir, name) => new Promise((resolve, reject) => {
+  const child = fork(path.join(__dirname, 'fixtures/store-writer.js'), [dir, name, String(WRITES)], { stdio: 'inherit' });
+  child.on('error', reject);
+  child.on('exit', code => code === 0 ? resolve() : reject(new Error(`${name} exited with ${code}`)));
+});
+
+describe('ErrorStore with concurrent writers', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'error-store-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('two processes appending at once lose no records and no updates', async () => {
+    // A lock left by a writer that died, so both start by racing to break it
+    await fs.writeJson(path.join(dir, '.lock'), { pid: 2 ** 22 + 1, nonce: 'dead' });
+    
+    await Promise.all([runWriter(dir, 'a'), runWriter(dir, 'b')]);
+    
+    const records = await new ErrorStore({ dir, legacyPath: path.join(dir, 'error_history.json') }).all();
+    expect(records.find(record => record.id === 'counter').value).toBe(2 * WRITES);
+    expect(records.filter(record => record.error_type === 'TEST')).toHaveLength(2 * WRITES);
+  }, 60000);
+});
+
+describe('ErrorStore compaction', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'error-store-'));
+    store = new ErrorStore({ dir, legacyPath: path.join(dir, 'error_history.json') });
+    await store.put({ id: 'kept', timestamp: '2024-01-30T10:00:00.000Z', error_type: 'A' });
+    await store.put({ id: 'removed', timestamp: '2024-01-31T10:00:00.000Z', error_type: 'B' });
+    await store.remove(records => records.filter(record => record.id === 'removed'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  const segments = async () => (await fs.readdir(dir)).filter(name => name.endsWith('.jsonl')).sort();
+
+  test('switches to a new generation of segments in one step', async () => {
+    const before = await segments();
+    
+    await store.compact();
+    
+    expect(await segments()).toEqual(['errors-2024-01-30.g1.jsonl']);
+    expect(before).not.toContain('errors-2024-01-30.g1.jsonl');
+    expect(await fs.readJson(path.join(dir, 'generation.json'))).toMatchObject({ generation: 1 });
+    expect((await store.all()).map(record => record.id)).toEqual(['kept']);
+  });
+
+  test('ignores and clears the segments of a compaction that crashed before switching', async () => {
+    // Written for generation 1, including a stale version of a removed record
+    const line = record => JSON.stringify({ op: 'put', record }) + '\n';
+    await fs.writeFile(path.join(dir, 'errors-2024-01-31.g1.jsonl'), line({ id: 'removed', timestamp: '2024-01-31T10:00:00.000Z' }));
+    await fs.remove(path.join(dir, 'index.json'));
+    
+    expect((await store.all()).map(record => record.id)).toEqual(['kept']);
+    
+    await store.compact();
+    
+    expect(await segments()).toEqual(['errors-2024-01-30.g1.jsonl']);
+    expect((await new ErrorStore({ dir, legacyPath: path.join(dir, 'error_history.json') }).all()).map(record => record.id)).toEqual(['kept']);
+  });
+});
+
+describe('ErrorStore reads', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'error-store-'));
+    store = new ErrorStore({ dir, legacyPath: path.join(dir, 'error_history.json') });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(dir);
+  });
+
+  test('limit keeps the latest records by time, not the last stored', async () => {
+    for (const [id, day] of [['newest', 31], ['oldest', 1], ['middle', 15]]) {
+      await store.put({ id, timestamp: `2024-01-${String(day).padStart(2, '0')}T00:00:00.000Z` });
+    }
+    
+    expect((await store.query({ limit: 2 })).map(record => record.id)).toEqual(['middle', 'newest']);
+  });
+
+  test('a heal reads the whole history once and logging reads only its own record', async () => {
+    // Another error, in a segment of its own
+    await fs.ensureDir(dir);
+    await fs.writeFile(path.join(dir, 'errors-2024-01-01.jsonl'), JSON.stringify({ op: 'put', record: { id: 'other', fingerprint: 'f', timestamp: '2024-01-01T00:00:00.000Z' } }) + '\n');
+    const healer = new SelfHealingSystem({ plugins: false, store: { dir, legacyPath: path.join(dir, 'error_history.json') } });
+    healer.registerStrategy({ name: 'TEST', codes: ['TEST'], heal: async () => ({ success: true }) });
+    await healer.attemptHealing(Object.assign(new Error('boom'), { code: 'TEST' }));
+    const load = jest.spyOn(ErrorStore.prototype, 'load');
+    const readSegment = jest.spyOn(ErrorStore.prototype, 'readSegment');
+    
+    await healer.attemptHealing(Object.assign(new Error('boom'), { code: 'TEST' }));
+    
+    expect(load.mock.calls.filter(([, filter]) => !filter || Object.keys(filter).length === 0)).toHaveLength(1);
+    const [record] = await healer.queryErrors({ type: 'TEST' });
+    expect(record.occurrences).toBe(2);
+    readSegment.mockClear();
+    await healer.logError(Object.assign(new Error('boom'), { code: 'TEST' }));
+    expect(readSegment.mock.calls.map(([segment]) => segment)).not.toContain('errors-2024-01-01.jsonl');
+  });
+});
+
+describe('FileLock', () => {
+  let dir;
+  let lockPath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-lock-'));
+    lockPath = path.join(dir, '.lock');
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('release leaves a lock someone else has taken since', async () => {
+    const lock = new FileLock(lockPath);
+    await lock.acquire();
+    
+    // Broken as stale and taken over by another process
+    await fs.writeJson(lockPath, { pid: process.pid, nonce: 'other' });
+    await lock.release();
+    
+    expect((await fs.readJson(lockPath)).nonce).toBe('other');
+  });
+
+  test('breaking a stale lock keeps one that replaced it in the meantime', async () => {
+    const lock = new FileLock(lockPath);
+    await fs.writeJson(lockPath, { pid: process.pid, nonce: 'fresh' });
+    
+    expect(await lock.removeIfOwned('stale')).toBe(false);
+    expect((await fs.readJson(lockPath)).nonce).toBe('fresh');
+    expect(await fs.readdir(dir)).toEqual(['.lock']);
+  });
+
+  test('a holder keeps its lock past staleMs', async () => {
+    const holder = new FileLock(lockPath, { staleMs: 150 });
+    const waiter = new FileLock(lockPath, { staleMs: 150, timeoutMs: 500 });
+    
+    await holder.withLock(async () => {
+      await new Promise(resolve => setTimeout(resolve, 300));
+      await expect(waiter.acquire()).rejects.toThrow(/Timed out/);
+    });
+  });
+
+  test('breaks a lock of a live PID that was not touched for staleMs', async () => {
+    await fs.writeJson(lockPath, { pid: process.pid, nonce: 'hung' });
+    const past = new Date(Date.now() - 60000);
+    await fs.utimes(lockPath, past, past);
+    
+    await new FileLock(lockPath, { timeoutMs: 1000 }).withLock(async () => {
+      expect((await fs.readJson(lockPath)).nonce).not.toBe('hung');
+    });
+  });
+
+  test('breaks a lock whose holder is gone', async () => {
+    await fs.writeJson(lockPath, { pid: 2 ** 22 + 1, nonce: 'dead' });
+    const lock = new FileLock(lockPath, { timeoutMs: 1000 });
+    
+    await lock.withLock(async () => {
+      expect((await fs.readJson(lockPath)).pid).toBe(process.pid);
+    });
+    expect(await fs.pathExists(lockPath)).toBe(false);
+  });
+});
@@ -0,0 +1,69 @@
+const EventBus = require('../scripts/event-bus');
+
+const recovered = { endpoint: 'registry.npmjs.org', downSince: '2024-01-31T12:00:00.000Z' };
+
+describe('EventBus', () => {
+  let bus;
+
+  beforeEach(() => {
+    bus = new EventBus();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('delivers an event to its type, each dotted prefix and "*"', () => {
+    const seen = [];
+    for (const type of ['network.endpoint.recovered', 'network.endpoint.*', 'network.*', '*', 'network.endpoint.down', 'heal.*']) {
+      bus.subscribe(type, event => seen.push([type, event.type]));
+    }
+    
+    const event = bus.publish('network.endpoint.recovered', recovered);
+    
+    expect(event).toEqual({ type: 'network.endpoint.recovered', timestamp: expect.any(String), ...recovered });
+    expect(seen.map(([type]) => type)).toEqual(['network.endpoint.recovered', 'network.endpoint.*', 'network.*', '*']);
+  });
+
+  test('refuses unknown types and events missing a required field', () => {
+    expect(() => bus.publish('network.endpoint.lost', recovered)).toThrow('Unknown event type network.endpoint.lost');
+    expect(() => bus.publish('network.endpoint.recovered', { endpoint: 'a' })).toThrow(new TypeError('network.endpoint.recovered event is missing downSince'));
+    expect(() => bus.subscribe('network.lost', () => {})).toThrow(/^Unknown event type network\.lost, expected one of/);
+  });
+
+  test('knows exact types, "*" and prefixes of known types only', () => {
+    expect(EventBus.isKnownType('heal.attempted')).toBe(true);
+    expect(EventBus.isKnownType('*')).toBe(true);
+    expect(EventBus.isKnownType('network.endpoint.*')).toBe(true);
+    expect(EventBus.isKnownType('net.*')).toBe(false);
+    expect(EventBus.isKnownType('heal')).toBe(false);
+  });
+
+  test('a failing subscriber is logged and the others still run', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const after = jest.fn();
+    bus.subscribe('*', () => { throw new Error('sync'); });
+    bus.subscribe('*', async () => { throw new Error('async'); });
+    bus.subscribe('*', after);
+    
+    expect(() => bus.publish('network.endpoint.recovered', recovered)).not.toThrow();
+    await new Promise(resolve => setImmediate(resolve));
+    
+    expect(after).toHaveBeenCalledTimes(1);
+    expect(log.mock.calls.map(([line]) => line)).toEqual([
+      expect.stringContaining('* subscriber failed: sync'),
+      expect.stringContaining('* subscriber failed: async')
+    ]);
+  });
+
+  test('stops delivering after unsubscribing', () => {
+    const handler = jest.fn();
+    const unsubscribe = bus.subscribe('network.*', handler);
+    
+    bus.publish('network.endpoint.recovered', recovered);
+    unsubscribe();
+    bus.publish('network.endpoint.recovered', recovered);
+    
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+});
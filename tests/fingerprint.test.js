@@ -0,0 +1,97 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const SelfHealingSystem = require('../scripts/heal');
+
+const withStack = (message, code, frames) => Object.assign(new Error(message), {
+  code,
+  stack: [`Error: ${message}`, ...frames.map(frame => `    at ${frame}`)].join('\n')
+});
+
+describe('SelfHealingSystem fingerprints', () => {
+  let dir;
+  let healer;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fingerprint-'));
+    healer = new SelfHealingSystem({
+      plugins: false,
+      maxSamples: 3,
+      store: { dir, legacyPath: path.join(dir, 'error_history.json') }
+    });
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('ignore numbers, quoted values and line numbers', () => {
+    const first = withStack("listen EADDRINUSE: address already in use :::3000", 'EADDRINUSE', [
+      'Server.listen (/app/src/server.js:12:8)',
+      'async start (/app/src/index.js:40:3)',
+      'node:internal/main/run_main_module:28:49'
+    ]);
+    const second = withStack("listen EADDRINUSE: address already in use :::8080", 'EADDRINUSE', [
+      'Server.listen (/app/src/server.js:15:10)',
+      'start (/app/src/index.js:44:5)'
+    ]);
+    
+    expect(healer.fingerprintError(first)).toBe(healer.fingerprintError(second));
+    expect(healer.fingerprintError(first)).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  test('tell apart errors thrown from different places or with different codes', () => {
+    const error = withStack('boom', 'ENOENT', ['read (/app/a.js:1:1)']);
+    
+    expect(healer.fingerprintError(error)).not.toBe(healer.fingerprintError(withStack('boom', 'ENOENT', ['write (/app/b.js:1:1)'])));
+    expect(healer.fingerprintError(error)).not.toBe(healer.fingerprintError(withStack('boom', 'EACCES', ['read (/app/a.js:1:1)'])));
+  });
+
+  test('fold repeats into one record with the latest samples', async () => {
+    const frames = ['load (/app/config.js:3:7)'];
+    const ids = [];
+    
+    for (let port = 1; port <= 5; port++) {
+      ids.push(await healer.logError(withStack(`connect ECONNREFUSED 127.0.0.1:${port}`, 'ECONNREFUSED', frames), { port }));
+    }
+    
+    const records = await healer.store.all();
+    expect(new Set(ids).size).toBe(1);
+    expect(records).toHaveLength(1);
+    expect(records[0]).toMatchObject({ id: ids[0], occurrences: 5, resolved: false });
+    expect(records[0].last_seen >= records[0].first_seen).toBe(true);
+    expect(records[0].samples.map(sample => sample.context.port)).toEqual([3, 4, 5]);
+  });
+
+  test('a repeat reopens a resolved record', async () => {
+    const error = withStack('missing file', 'ENOENT', ['open (/app/a.js:1:1)']);
+    await healer.logError(error, {}, { strategy: 'ENOENT', result: { success: true } });
+    await healer.logError(error);
+    
+    const [record] = await healer.store.all();
+    expect(record.resolved).toBe(false);
+    expect(record.resolution_attempts).toHaveLength(1);
+  });
+
+  test('group records written before fingerprinting with the ones after', () => {
+    const stack = 'Error: missing 1\n    at open (/app/a.js:1:1)';
+    const fingerprint = healer.fingerprintError(healer.restoreError({ error_type: 'ENOENT', message: 'missing 1', stack }));
+    const groups = healer.groupByFingerprint([
+      { id: 'old', error_type: 'ENOENT', message: 'missing 2', stack, timestamp: '2024-01-01T00:00:00.000Z', resolved: true },
+      { id: 'new', fingerprint, error_type: 'ENOENT', message: 'missing 1', occurrences: 3, first_seen: '2024-01-02T00:00:00.000Z', last_seen: '2024-01-05T00:00:00.000Z', resolved: false },
+      { id: 'other', error_type: 'EACCES', message: 'denied', timestamp: '2024-01-03T00:00:00.000Z', resolved: true }
+    ]);
+    
+    expect(groups[0]).toEqual({
+      fingerprint,
+      error_type: 'ENOENT',
+      message: 'missing 2',
+      occurrences: 4,
+      first_seen: '2024-01-01T00:00:00.000Z',
+      last_seen: '2024-01-05T00:00:00.000Z',
+      resolved: false,
+      ids: ['old', 'new']
+    });
+    expect(groups[1]).toMatchObject({ error_type: 'EACCES', occurrences: 1, ids: ['other'] });
+  });
+});
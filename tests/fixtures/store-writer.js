@@ -0,0 +1,21 @@
+const ErrorStore = require('../../scripts/error-store');
+
+// Forked by error-store.test.js: bumps a shared counter record `count` times,
+// each in its own transaction, and adds one record of its own each time
+const [dir, name, count] = process.argv.slice(2);
+const store = new ErrorStore({ dir, legacyPath: `${dir}/error_history.json` });
+
+(async () => {
+  for (let i = 0; i < Number(count); i++) {
+    await store.transaction(records => {
+      const counter = records.find(record => record.id === 'counter') || { id: 'counter', timestamp: new Date().toISOString(), value: 0 };
+      return [
+        { ...counter, value: counter.value + 1 },
+        { id: `${name}-${i}`, timestamp: new Date().toISOString(), error_type: 'TEST' }
+      ];
+    });
+  }
+})().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,58 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const SelfHealingSystem = require('../scripts/heal');
+
+// Strategies that run commands get their arguments from error messages, which
+// anyone reporting an error controls
+describe('strategies that run commands', () => {
+  let dir;
+  let healer;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'heal-commands-'));
+    healer = new SelfHealingSystem({
+      plugins: false,
+      store: { dir: path.join(dir, 'errors'), legacyPath: path.join(dir, 'error_history.json') }
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(dir);
+  });
+
+  const refused = url => Object.assign(new Error(`connect ECONNREFUSED ${url}`), { code: 'ECONNREFUSED' });
+
+  test('ECONNREFUSED pings the host as an argument of its own', async () => {
+    const result = await healer.healConnectionRefused(refused('http://db.local:5432/app'), {}, { dryRun: true });
+    
+    const ping = process.platform === 'win32' ? ['ping', '-n', '1', 'db.local'] : ['ping', '-c', '1', 'db.local'];
+    expect(result.plan).toMatchObject({ commands: [ping.join(' ')], argv: [ping] });
+  });
+
+  test('ECONNREFUSED refuses a host a shell would run', async () => {
+    for (const url of ['http://a$(id)', 'http://a;id', 'http://a`id`']) {
+      expect(await healer.healConnectionRefused(refused(url), {})).toEqual({ success: false, error: expect.stringMatching(/^Invalid host name/) });
+    }
+  });
+
+  const missing = specifier => Object.assign(new Error(`Cannot find module '${specifier}'`), { code: 'MODULE_NOT_FOUND' });
+
+  test('MODULE_NOT_FOUND installs the package a specifier names', async () => {
+    expect(SelfHealingSystem.packageName('lodash/fp')).toBe('lodash');
+    expect(SelfHealingSystem.packageName('@babel/core/lib/index.js')).toBe('@babel/core');
+    
+    const result = await healer.healMissingModule(missing('left-pad'), {}, { dryRun: true });
+    
+    expect(result.plan).toMatchObject({ commands: ['npm install left-pad'], argv: [['npm', 'install', 'left-pad']] });
+  });
+
+  test('MODULE_NOT_FOUND refuses anything npm would not take as a package name', async () => {
+    for (const specifier of ['x;id', 'x $(id)', '`id`', '-g', './local', '/abs/path', 'node:fs', 'Express', '_private', 'a'.repeat(215)]) {
+      expect(SelfHealingSystem.packageName(specifier)).toBeNull();
+      expect(await healer.healMissingModule(missing(specifier), {})).toEqual({ success: false, error: expect.stringMatching(/^Not an npm package name/) });
+    }
+  });
+});
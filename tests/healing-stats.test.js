@@ -0,0 +1,85 @@
+const HealingLearner = require('../scripts/healing-stats');
+const SelfHealingSystem = require('../scripts/heal');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 0, 31, 12, 0, 0);
+
+// One error record with an attempt per outcome, each daysAgo old
+const record = (strategy, outcomes, { daysAgo = 0, error_type = 'ENOENT', message = 'missing file' } = {}) => ({
+  error_type,
+  message,
+  resolution_attempts: outcomes.map(success => ({
+    timestamp: new Date(NOW - daysAgo * DAY_MS).toISOString(),
+    strategy,
+    result: { success }
+  }))
+});
+
+describe('HealingLearner', () => {
+  const learner = new HealingLearner();
+
+  test('halves the weight of an attempt every halfLifeDays', () => {
+    expect(learner.weight(new Date(NOW).toISOString(), NOW)).toBe(1);
+    expect(learner.weight(new Date(NOW - 14 * DAY_MS).toISOString(), NOW)).toBeCloseTo(0.5);
+    expect(learner.weight(new Date(NOW - 28 * DAY_MS).toISOString(), NOW)).toBeCloseTo(0.25);
+  });
+
+  test('recent outcomes outweigh old ones', () => {
+    const stats = learner.computeStats([
+      record('ENOENT', [false, false, false, false], { daysAgo: 70 }),
+      record('ENOENT', [true, true], { daysAgo: 0 })
+    ], NOW);
+    
+    const { successes, total, attempts } = stats.byStrategy.get('ENOENT');
+    expect(attempts).toBe(6);
+    expect(successes / total).toBeGreaterThan(0.9);
+  });
+
+  test('counts undone heals as failures and ignores dry runs', () => {
+    const errors = [record('ENOENT', [true, true])];
+    errors[0].resolution_attempts[0].undone_at = new Date(NOW).toISOString();
+    errors[0].resolution_attempts.push({ timestamp: new Date(NOW).toISOString(), strategy: 'ENOENT', result: { success: true, dryRun: true } });
+    
+    expect(learner.computeStats(errors, NOW).byStrategy.get('ENOENT')).toEqual({ successes: 1, total: 2, attempts: 2 });
+  });
+
+  test('starts from the fixed prior and moves towards the observed rate', () => {
+    const error = { code: 'ENOENT', message: 'missing file' };
+    
+    expect(learner.confidence(error, 'ENOENT', learner.computeStats([], NOW))).toBe(7);
+    expect(learner.confidence(error, 'ENOENT', learner.computeStats([record('ENOENT', [false, false])], NOW))).toBe(3.5);
+    expect(learner.confidence(error, 'ENOENT', learner.computeStats([record('ENOENT', Array(18).fill(true))], NOW))).toBe(9.7);
+  });
+
+  test('prefers the history of the same error signature over the whole strategy', () => {
+    const stats = learner.computeStats([
+      record('ENOENT', [true, true, true, true], { message: "open 'a.txt'" }),
+      record('ENOENT', [false, false, false, false], { message: 'spawn webpack' })
+    ], NOW);
+    
+    expect(learner.confidence({ code: 'ENOENT', message: "open 'b.txt'" }, 'ENOENT', stats)).toBeGreaterThan(8);
+    expect(learner.confidence({ code: 'ENOENT', message: 'spawn webpack' }, 'ENOENT', stats)).toBeLessThan(3);
+  });
+
+  test('disables a strategy below the floor only once it has enough weighted attempts', () => {
+    const few = learner.computeStats([record('ENOENT', [false, false, false])], NOW);
+    const many = learner.computeStats([record('ENOENT', Array(10).fill(false))], NOW);
+    const old = learner.computeStats([record('ENOENT', Array(10).fill(false), { daysAgo: 60 })], NOW);
+    
+    expect(learner.strategyStatus('ENOENT', few).disabled).toBe(false);
+    expect(learner.strategyStatus('ENOENT', many)).toEqual({ attempts: 10, successRate: 0.083, disabled: true });
+    // Decayed below minAttempts, so the strategy gets another chance
+    expect(learner.strategyStatus('ENOENT', old).disabled).toBe(false);
+  });
+
+  test('the healer skips a disabled strategy for the next one that matches', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const healer = new SelfHealingSystem({ plugins: false, store: { dir: '/nonexistent' } });
+    healer.registerStrategy({ name: 'fallback', codes: ['ENOENT'], priority: -10, heal: async () => ({ success: true }) });
+    const error = Object.assign(new Error('missing'), { code: 'ENOENT' });
+    
+    expect(healer.findStrategy(error, healer.learner.computeStats([], NOW)).strategy.name).toBe('ENOENT');
+    expect(healer.findStrategy(error, healer.learner.computeStats([record('ENOENT', Array(10).fill(false))], NOW)).strategy.name).toBe('fallback');
+    jest.restoreAllMocks();
+  });
+});
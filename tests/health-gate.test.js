@@ -0,0 +1,62 @@
+const HealthGate = require('../scripts/health-gate');
+
+const { EXIT_CODES } = HealthGate;
+
+const memory = (usagePercent, growthRate = 0, trend = 'stable') => ({ memory: { usagePercent, growthRate, trend } });
+
+describe('HealthGate', () => {
+  const gate = new HealthGate();
+
+  test('passes with nothing to report', () => {
+    expect(gate.evaluate({}, 'low')).toMatchObject({ findings: [], exitCode: EXIT_CODES.OK, passed: true });
+  });
+
+  test('sets one bit per failing check class', () => {
+    const result = gate.evaluate({
+      dependencies: { issues: [{ type: 'MISSING_DEPENDENCY', message: 'chalk is not installed' }] },
+      network: [{ endpoint: 'registry.npmjs.org', success: false, error: 'timeout\nmore' }],
+      memory: memory(90)
+    }, 'high');
+    
+    expect(result.exitCode).toBe(EXIT_CODES.DEPENDENCIES | EXIT_CODES.NETWORK | EXIT_CODES.MEMORY);
+    expect(result.passed).toBe(false);
+    expect(result.violations.find(finding => finding.check === 'network')).toEqual({
+      check: 'network',
+      severity: 'critical',
+      type: 'ENDPOINT_UNREACHABLE',
+      message: 'registry.npmjs.org unreachable: timeout'
+    });
+  });
+
+  test('only fails on findings at or above --fail-on', () => {
+    const checks = {
+      dependencies: { outdated: [{ type: 'OUTDATED', message: 'jest 28 < 29' }], conflicts: [{ type: 'PEER', message: 'peer conflict' }] },
+      network: [{ endpoint: 'a', success: true }, { endpoint: 'b', success: false }]
+    };
+    
+    expect(gate.evaluate(checks, 'low').exitCode).toBe(EXIT_CODES.DEPENDENCIES | EXIT_CODES.NETWORK);
+    expect(gate.evaluate(checks, 'high').exitCode).toBe(EXIT_CODES.NETWORK);
+    expect(gate.evaluate(checks, 'critical')).toMatchObject({ exitCode: EXIT_CODES.OK, passed: true });
+    expect(gate.evaluate(checks, 'critical').findings).toHaveLength(3);
+  });
+
+  test('keeps vulnerability severities and treats unknown ones as moderate', () => {
+    const findings = gate.dependencyFindings({
+      vulnerabilities: [{ type: 'VULN', severity: 'critical', message: 'a' }, { type: 'VULN', severity: 'bogus', message: 'b' }],
+      error: 'npm ls failed'
+    });
+    
+    expect(findings.map(finding => finding.severity)).toEqual(['high', 'critical', 'moderate']);
+  });
+
+  test('reports memory growth only when it is steady', () => {
+    expect(gate.memoryFindings(memory(50, 20, 'spike'))).toEqual([]);
+    expect(gate.memoryFindings(memory(50, 20, 'steady_growth'))).toMatchObject([{ type: 'MEMORY_GROWTH', severity: 'moderate' }]);
+    expect(gate.memoryFindings(memory(96))).toMatchObject([{ type: 'MEMORY_PRESSURE', severity: 'critical' }]);
+  });
+
+  test('rejects an unknown severity', () => {
+    expect(HealthGate.parseSeverity('moderate')).toBe('moderate');
+    expect(() => HealthGate.parseSeverity('severe')).toThrow('Unknown severity "severe"');
+  });
+});
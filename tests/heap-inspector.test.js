@@ -0,0 +1,73 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const HeapInspector = require('../scripts/heap-inspector');
+
+// Two snapshots of a small Node process, the second after it kept 2000 new objects
+const writeSnapshots = dir => execFileSync(process.execPath, ['-e', `
+  const v8 = require('v8');
+  class LeakyThing { constructor(i) { this.n = i; } }
+  v8.writeHeapSnapshot('before.heapsnapshot');
+  global.cache = { items: [] };
+  for (let i = 0; i < 2000; i++) global.cache.items.push(new LeakyThing(i));
+  v8.writeHeapSnapshot('after.heapsnapshot');
+`], { cwd: dir });
+
+describe('HeapInspector snapshot diff', () => {
+  let dir;
+  let before;
+  let after;
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'heap-'));
+    writeSnapshots(dir);
+    before = path.join(dir, 'before.heapsnapshot');
+    after = path.join(dir, 'after.heapsnapshot');
+  }, 60000);
+
+  afterAll(async () => {
+    await fs.remove(dir);
+  });
+
+  test('finds the constructor that grew and what retains its new objects', async () => {
+    const { totalSize, topGrowing } = await new HeapInspector().diffSnapshots(before, after);
+    
+    expect(totalSize.delta).toBeGreaterThan(0);
+    expect(topGrowing.find(entry => entry.constructor === 'LeakyThing')).toMatchObject({
+      countBefore: 0,
+      countAfter: 2000,
+      retainers: { path: 'LeakyThing ← Array[] ← Object.items ← global.cache', share: 1 }
+    });
+  });
+
+  test('parses in a child process with the same result', async () => {
+    const inspector = new HeapInspector({ topN: 5 });
+    
+    expect(await inspector.diffInChild(before, after)).toEqual(await inspector.diffSnapshots(before, after));
+  }, 30000);
+
+  test('reports a snapshot over the size limit from the child', async () => {
+    await expect(new HeapInspector({ maxSnapshotMB: 1 }).diffInChild(before, after)).rejects.toThrow(/over the 1MB limit/);
+  });
+});
+
+describe('HeapInspector node flags', () => {
+  const inspector = new HeapInspector();
+
+  test('reads the snapshot signal and diagnostic dir in both spellings', () => {
+    expect(inspector.readNodeFlags(['node', '--heapsnapshot-signal', 'SIGUSR2', '--diagnostic-dir=/tmp/heaps', 'app.js'])).toEqual({
+      '--heapsnapshot-signal': 'SIGUSR2',
+      '--diagnostic-dir': '/tmp/heaps'
+    });
+  });
+
+  test('ignores flags that belong to the application', () => {
+    expect(inspector.readNodeFlags(['node', '--inspect', 'app.js', '--heapsnapshot-signal=SIGUSR2'])).toEqual({});
+  });
+
+  test('takes flags from NODE_OPTIONS, with the command line winning', () => {
+    expect(inspector.readNodeFlags(['node', 'app.js'], ' --heapsnapshot-signal=SIGUSR1  --max-old-space-size=512')).toEqual({ '--heapsnapshot-signal': 'SIGUSR1' });
+    expect(inspector.readNodeFlags(['node', '--heapsnapshot-signal=SIGUSR2', 'app.js'], '--heapsnapshot-signal=SIGUSR1')).toEqual({ '--heapsnapshot-signal': 'SIGUSR2' });
+  });
+});
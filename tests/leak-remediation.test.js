@@ -0,0 +1,116 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const LeakRemediation = require('../scripts/leak-remediation');
+const SelfHealingSystem = require('../scripts/heal');
+
+const MINUTE_MS = 60 * 1000;
+const NOW = Date.UTC(2024, 0, 31, 12, 0, 0);
+
+const watched = { name: 'node', pid: 4242, pids: [4242], watch: 'dev-server', start: { command: 'npm run dev' } };
+const unwatched = { name: 'chrome', pid: 5151 };
+
+// An error record whose ladder for target reached `steps`, the last one minutesAgo
+const record = (steps, minutesAgo, lastSeenMinutesAgo = 0, target = 'dev-server') => ({
+  last_seen: new Date(NOW - lastSeenMinutesAgo * MINUTE_MS).toISOString(),
+  resolution_attempts: steps.map((step, i) => ({
+    timestamp: new Date(NOW - (minutesAgo + steps.length - 1 - i) * MINUTE_MS).toISOString(),
+    strategy: 'PROCESS_MEMORY_LEAK',
+    result: { success: true, step, target }
+  }))
+});
+
+describe('LeakRemediation ladder', () => {
+  const remediation = new LeakRemediation({
+    cooldowns: { notify: 5 * MINUTE_MS, diagnostics: 5 * MINUTE_MS, restart: 10 * MINUTE_MS, kill: 20 * MINUTE_MS }
+  });
+
+  test('starts with notify', () => {
+    expect(remediation.nextStep(undefined, watched, NOW)).toEqual({ step: 'notify', ready: true, retryAt: null });
+  });
+
+  test('climbs once the last step has cooled down', () => {
+    expect(remediation.nextStep(record(['notify'], 6), watched, NOW)).toMatchObject({ step: 'diagnostics', ready: true });
+    expect(remediation.nextStep(record(['notify', 'diagnostics'], 6), watched, NOW)).toMatchObject({ step: 'restart', ready: true });
+    expect(remediation.nextStep(record(['notify', 'diagnostics', 'restart'], 11), watched, NOW)).toMatchObject({ step: 'kill', ready: true });
+  });
+
+  test('waits for the cooldown of the step it took last', () => {
+    const next = remediation.nextStep(record(['notify', 'diagnostics', 'restart'], 4), watched, NOW);
+    
+    expect(next).toEqual({ step: 'kill', ready: false, retryAt: NOW + 6 * MINUTE_MS });
+  });
+
+  test('repeats the last step', () => {
+    expect(remediation.nextStep(record(['notify', 'diagnostics', 'restart', 'kill'], 21), watched, NOW)).toMatchObject({ step: 'kill', ready: true });
+  });
+
+  test('starts over once the leak has been quiet for resetAfterMs', () => {
+    expect(remediation.nextStep(record(['notify', 'diagnostics'], 90, 61), watched, NOW)).toMatchObject({ step: 'notify', ready: true });
+  });
+
+  test('only notifies and captures diagnostics for processes outside the watch-list', () => {
+    expect(remediation.ladder(unwatched)).toEqual(['notify', 'diagnostics']);
+    expect(remediation.nextStep(record(['notify', 'diagnostics'], 6, 0, 'chrome_5151'), unwatched, NOW)).toMatchObject({ step: 'diagnostics', ready: true });
+  });
+
+  test('keeps a ladder per PID for processes outside the watch-list', () => {
+    const other = record(['notify', 'diagnostics'], 1, 0, 'chrome_5151');
+    
+    expect(remediation.nextStep(other, { name: 'chrome', pid: 6262 }, NOW)).toEqual({ step: 'notify', ready: true, retryAt: null });
+  });
+
+  test('skips restart for a watched process without a start command', () => {
+    expect(remediation.ladder({ ...watched, start: undefined })).toEqual(['notify', 'diagnostics', 'kill']);
+  });
+});
+
+describe('PROCESS_MEMORY_LEAK strategy', () => {
+  let dir;
+  let healer;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'leak-remediation-'));
+    healer = new SelfHealingSystem({
+      plugins: false,
+      store: { dir, legacyPath: path.join(dir, 'error_history.json') },
+      memoryLeak: { diagnosticsDir: path.join(dir, 'diagnostics') }
+    });
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  // The monitor raises these from one call site; the stack is part of the fingerprint
+  const leak = () => {
+    const error = new Error('Process memory leak: dev-server');
+    error.code = 'PROCESS_MEMORY_LEAK';
+    error.stack = `Error: ${error.message}\n    at MemoryLeakDetector.handleProcessMemoryLeak (scripts/monitor.js:1:1)`;
+    return error;
+  };
+
+  test('records each step in the error history and skips detections during a cooldown', async () => {
+    const events = [];
+    healer.bus.subscribe('heal.remediation', event => events.push(event));
+    const context = { process: { ...watched, memory: 900, growthRate: 12 } };
+    
+    const first = await healer.attemptHealing(leak(), context);
+    const second = await healer.attemptHealing(leak(), context);
+    
+    expect(first).toMatchObject({ success: true, step: 'notify' });
+    expect(second).toMatchObject({ skipped: true, nextStep: 'diagnostics' });
+    expect(events.map(event => event.step)).toEqual(['notify']);
+    
+    const [stored] = await healer.store.all();
+    expect(stored.occurrences).toBe(2);
+    expect(stored.resolution_attempts.map(attempt => attempt.result.step)).toEqual(['notify']);
+  });
+
+  test('a dry run plans the next step without taking it', async () => {
+    const plan = await healer.attemptHealing(leak(), { process: watched }, { dryRun: true });
+    
+    expect(plan).toMatchObject({ dryRun: true, step: 'notify', action: 'notify_memory_leak_dev-server' });
+    expect(await healer.store.all()).toEqual([]);
+  });
+});
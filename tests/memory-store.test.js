@@ -0,0 +1,151 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const MemoryHistoryStore = require('../scripts/memory-store');
+const MemoryLeakDetector = require('../scripts/monitor');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+// On a minute and an hour boundary, so bucket edges are easy to reason about
+const NOW = Date.UTC(2024, 0, 31, 12, 0, 0);
+
+const sample = (minutesAgo, used, series = 'system') => ({ series, timestamp: NOW - minutesAgo * MINUTE_MS, values: { used } });
+
+describe('MemoryHistoryStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-history-'));
+    store = new MemoryHistoryStore({ dir });
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  const lines = async (file) => (await fs.readFile(path.join(dir, file), 'utf8')).trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+  test('keeps raw samples for an hour, then averages them per minute', async () => {
+    await store.append([
+      sample(90.5, 100),
+      sample(90.25, 200),
+      sample(90.1, 600),
+      sample(30, 50)
+    ]);
+    
+    const moved = await store.rollup(NOW);
+    
+    expect(moved.raw).toBe(3);
+    expect(await lines('raw.jsonl')).toHaveLength(1);
+    
+    const [minute] = await lines('minute.jsonl');
+    expect(minute.count).toBe(3);
+    expect(minute.values.used).toBeCloseTo(300);
+  });
+
+  test('averages minutes into hours after a day and drops hours after 30 days', async () => {
+    await store.append([
+      sample(25 * 60 + 10, 100),
+      sample(25 * 60 + 5, 300),
+      sample(31 * 24 * 60, 999)
+    ]);
+    
+    // raw -> minute on the first pass, minute -> hour on the same pass
+    await store.rollup(NOW);
+    
+    const hours = await lines('hour.jsonl');
+    expect(hours).toHaveLength(1);
+    expect(hours[0].count).toBe(2);
+    expect(hours[0].values.used).toBeCloseTo(200);
+  });
+
+  test('averaged buckets are weighted by how many samples they hold', () => {
+    const [bucket] = store.downsample([
+      { series: 'system', timestamp: 0, count: 3, values: { used: 10 } },
+      { series: 'system', timestamp: MINUTE_MS, count: 1, values: { used: 50 } }
+    ], HOUR_MS);
+    
+    expect(bucket.count).toBe(4);
+    expect(bucket.values.used).toBeCloseTo(20);
+  });
+
+  test('a minute is only averaged once all of it has expired', async () => {
+    // Both in the minute starting an hour before NOW
+    await store.append([sample(59.9, 100), sample(59.5, 200)]);
+    
+    expect((await store.rollup(NOW + 10 * 1000)).raw).toBe(0);
+    expect((await store.rollup(NOW + 61 * 1000)).raw).toBe(2);
+    
+    const minutes = await lines('minute.jsonl');
+    expect(minutes).toHaveLength(1);
+    expect(minutes[0].count).toBe(2);
+  });
+
+  test('queries every tier by range and series', async () => {
+    await store.append([
+      sample(3 * 24 * 60, 1),
+      sample(5 * 60, 2),
+      sample(10, 3),
+      sample(10, 7, MemoryHistoryStore.processSeries('node_42'))
+    ]);
+    await store.rollup(NOW);
+    
+    const all = await store.query();
+    expect(all.system.map(point => point.used)).toEqual([1, 2, 3]);
+    
+    const recent = await store.query({ since: new Date(NOW - 6 * HOUR_MS), until: new Date(NOW) });
+    expect(recent.system.map(point => point.used)).toEqual([2, 3]);
+    expect(recent['process:node_42'][0].used).toBe(7);
+    
+    const processes = await store.query({ series: 'process:node_42' });
+    expect(Object.keys(processes)).toEqual(['process:node_42']);
+  });
+
+  test('parses report ranges as dates or durations before now', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    
+    expect(MemoryHistoryStore.parseTime('6h').getTime()).toBe(NOW - 6 * HOUR_MS);
+    expect(MemoryHistoryStore.parseTime('2024-01-01').toISOString()).toBe('2024-01-01T00:00:00.000Z');
+    expect(() => MemoryHistoryStore.parseTime('soon')).toThrow(/not a date or a duration/);
+    
+    jest.restoreAllMocks();
+  });
+
+  test('skips a line cut short by a crashed writer', async () => {
+    await store.append([sample(1, 100)]);
+    await fs.appendFile(path.join(dir, 'raw.jsonl'), '{"timestamp": 17');
+    
+    expect((await store.query()).system).toHaveLength(1);
+  });
+});
+
+describe('MemoryLeakDetector history', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-history-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('a new detector picks up the samples an earlier one recorded', async () => {
+    const config = { heal: { plugins: { packages: [] } }, monitor: { history: { dir } } };
+    const earlier = new MemoryLeakDetector(config);
+    const now = Date.now();
+    
+    await earlier.recordHistory([
+      { series: 'system', timestamp: now - 2 * MINUTE_MS, values: { used: 100, total: 1000, free: 900, usagePercent: 10 } },
+      { series: 'system', timestamp: now - MINUTE_MS, values: { used: 200, total: 1000, free: 800, usagePercent: 20 } },
+      { series: MemoryHistoryStore.processSeries('node_42'), timestamp: now - MINUTE_MS, values: { memory: 1200, cpu: 5 } }
+    ]);
+    
+    const later = new MemoryLeakDetector(config);
+    await later.restoreHistory();
+    
+    expect(later.memoryHistory.map(snapshot => snapshot.usagePercent)).toEqual([10, 20]);
+    expect(later.processHistory.get('node_42')[0].memory).toBe(1200);
+  });
+});
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryTrendAnalyzer = require('../scripts/memory-trend');
+const MemoryLeakDetector = require('../scripts/monitor');
+
+const FIXTURES = path.join(__dirname, 'fixtures/memory-samples');
+
+const loadFixture = name => JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+const fixtureNames = fs.readdirSync(FIXTURES).filter(file => file.endsWith('.json')).map(file => path.basename(file, '.json'));
+
+describe('MemoryTrendAnalyzer', () => {
+  describe('recorded samples', () => {
+    // The recordings hold 40 samples each; look at all of them
+    const analyzer = new MemoryTrendAnalyzer({ windowSize: 40 });
+    
+    test.each(fixtureNames)('%s', (name) => {
+      const fixture = loadFixture(name);
+      const result = analyzer.analyze(fixture.samples, fixture.growthThreshold);
+      
+      expect(result.classification).toBe(fixture.expected);
+    });
+  });
+
+  test('steady growth reports the fitted rate in MB per minute', () => {
+    const fixture = loadFixture('steady-leak');
+    const result = new MemoryTrendAnalyzer({ windowSize: 40 }).analyze(fixture.samples, fixture.growthThreshold);
+    
+    // 3.7MB to 24.36MB in just under ten seconds
+    expect(result.slope).toBeGreaterThan(120);
+    expect(result.slope).toBeLessThan(135);
+    expect(result.r2).toBeGreaterThan(0.99);
+  });
+
+  test('a rising sawtooth floor counts as growth even though the whole window fits badly', () => {
+    const fixture = loadFixture('sawtooth-leak');
+    const result = new MemoryTrendAnalyzer({ windowSize: 40 }).analyze(fixture.samples, fixture.growthThreshold);
+    
+    expect(result.r2).toBeLessThan(0.8);
+    expect(result.baseline.troughs).toBeGreaterThanOrEqual(3);
+    expect(result.baseline.r2).toBeGreaterThan(0.95);
+    expect(result.slope).toBe(result.baseline.slope);
+  });
+
+  test('a spike reports how far it is above the fit of the earlier samples', () => {
+    const fixture = loadFixture('late-spike');
+    const result = new MemoryTrendAnalyzer({ windowSize: 40 }).analyze(fixture.samples, fixture.growthThreshold);
+    
+    expect(result.spike.excess).toBeGreaterThan(50);
+  });
+
+  test('the default window only looks at the most recent samples', () => {
+    const fixture = loadFixture('steady-leak');
+    const result = new MemoryTrendAnalyzer().analyze(fixture.samples, fixture.growthThreshold);
+    
+    expect(result.samples).toBe(20);
+    expect(result.classification).toBe('steady_growth');
+  });
+
+  test('fewer samples than minSamples are not classified', () => {
+    const fixture = loadFixture('steady-leak');
+    const result = new MemoryTrendAnalyzer({ minSamples: 5 }).analyze(fixture.samples.slice(0, 4), fixture.growthThreshold);
+    
+    expect(result.classification).toBe('insufficient_data');
+    expect(result.slope).toBeNull();
+  });
+
+  test('minR2 decides how straight the line has to be', () => {
+    const fixture = loadFixture('steady-leak');
+    const strict = new MemoryTrendAnalyzer({ windowSize: 40, minR2: 1 }).analyze(fixture.samples, fixture.growthThreshold);
+    
+    // Real samples are never exactly on the line
+    expect(strict.r2).toBeLessThan(1);
+    expect(strict.classification).toBe('stable');
+  });
+
+  describe('regression', () => {
+    test('is null when every x is the same', () => {
+      expect(MemoryTrendAnalyzer.regression([{ x: 1, y: 1 }, { x: 1, y: 5 }])).toBeNull();
+    });
+    
+    test('fits a flat series perfectly', () => {
+      expect(MemoryTrendAnalyzer.regression([{ x: 0, y: 3 }, { x: 1, y: 3 }, { x: 2, y: 3 }])).toEqual({ slope: 0, intercept: 3, r2: 1 });
+    });
+  });
+});
+
+describe('MemoryLeakDetector trend', () => {
+  const detector = new MemoryLeakDetector({
+    heal: { plugins: { packages: [] } },
+    monitor: { trend: { windowSize: 40 } }
+  });
+
+  test('system growth rate is 0 instead of Infinity when timestamps match', () => {
+    const { samples } = loadFixture('same-timestamp');
+    detector.memoryHistory = samples.map(sample => ({ timestamp: sample.timestamp, used: sample.value * 1024 * 1024 }));
+    
+    expect(detector.calculateMemoryGrowthRate()).toBe(0);
+  });
+
+  test('a process that spiked and was collected again is not a leak', () => {
+    const { samples } = loadFixture('early-spike');
+    const history = samples.map(sample => ({ timestamp: sample.timestamp, memory: sample.value, cpu: 0 }));
+    
+    expect(detector.calculateProcessMemoryTrend(history).classification).toBe('stable');
+  });
+});
@@ -0,0 +1,91 @@
+const EventBus = require('../scripts/event-bus');
+const MetricsExporter = require('../src/metrics');
+
+// Just the parts of a CosmicFountain the exporter reads
+const createFountain = () => ({
+  memoryDetector: {
+    memoryHistory: [
+      { usagePercent: 40, used: 400, total: 1000 },
+      { usagePercent: 50, used: 500, total: 1000 }
+    ],
+    processHistory: new Map([['node_4242', [{ memory: 120 }, { memory: 130 }]], ['idle_1', []]]),
+    watchHistory: new Map(),
+    calculateMemoryGrowthRate: () => 2.5
+  },
+  networkRecovery: {
+    endpoints: new Map([
+      ['registry.npmjs.org', { consecutiveFailures: 0, history: [{ success: false }, { success: true, responseTime: 120 }] }],
+      ['github.com', { consecutiveFailures: 2, history: [{ success: false }, { success: false }] }]
+    ])
+  },
+  dependencyResolver: { lastAnalysis: null },
+  healer: { inFlight: new Set(['a']) }
+});
+
+describe('MetricsExporter', () => {
+  let bus;
+  let exporter;
+
+  beforeEach(() => {
+    bus = new EventBus();
+    exporter = new MetricsExporter(createFountain()).attach(bus);
+  });
+
+  test('renders gauges from the monitors in the OpenMetrics format', () => {
+    const lines = exporter.render().split('\n');
+    
+    expect(lines).toEqual(expect.arrayContaining([
+      '# TYPE cosmic_fountain_memory_usage_percent gauge',
+      'cosmic_fountain_memory_usage_percent 50',
+      'cosmic_fountain_memory_growth_rate_mb_per_minute 2.5',
+      'cosmic_fountain_process_memory_mb{name="node",pid="4242"} 130',
+      'cosmic_fountain_endpoint_up{endpoint="registry.npmjs.org"} 1',
+      'cosmic_fountain_endpoint_up{endpoint="github.com"} 0',
+      'cosmic_fountain_endpoint_latency_seconds{endpoint="registry.npmjs.org"} 0.12',
+      'cosmic_fountain_endpoint_success_ratio{endpoint="registry.npmjs.org"} 0.5',
+      'cosmic_fountain_heals_in_progress 1'
+    ]));
+    // No latency without a successful check, no process series without samples
+    expect(lines.filter(line => line.includes('github.com') && line.includes('latency'))).toEqual([]);
+    expect(lines.filter(line => line.includes('idle'))).toEqual([]);
+    expect(lines.slice(-2)).toEqual(['# EOF', '']);
+  });
+
+  test('counts bus events per label set', () => {
+    bus.publish('heal.attempted', { errorType: 'ENOENT', strategy: 'ENOENT', success: true });
+    bus.publish('heal.attempted', { errorType: 'ENOENT', strategy: 'ENOENT', success: true });
+    bus.publish('heal.attempted', { errorType: 'EACCES', strategy: null, success: false });
+    bus.publish('memory.alert', { alertType: 'HIGH_MEMORY_USAGE', count: 1 });
+    
+    const body = exporter.render();
+    
+    expect(body).toContain('# TYPE cosmic_fountain_heal_attempts counter\n');
+    expect(body).toContain('cosmic_fountain_heal_attempts_total{strategy="ENOENT",outcome="success"} 2\n');
+    expect(body).toContain('cosmic_fountain_heal_attempts_total{strategy="none",outcome="failure"} 1\n');
+    expect(body).toContain('cosmic_fountain_memory_alerts_total{alert_type="HIGH_MEMORY_USAGE"} 1\n');
+  });
+
+  test('stops counting once detached', () => {
+    exporter.detach();
+    bus.publish('memory.alert', { alertType: 'HIGH_MEMORY_USAGE', count: 1 });
+    
+    expect(exporter.render()).not.toContain('cosmic_fountain_memory_alerts_total');
+  });
+
+  test('escapes label values', () => {
+    exporter.increment('critical_errors', { origin: 'say "hi"\\\n' });
+    
+    expect(exporter.render()).toContain('cosmic_fountain_critical_errors_total{origin="say \\"hi\\"\\\\\\n"} 1');
+  });
+
+  test('falls back to the Prometheus text format unless OpenMetrics is accepted', () => {
+    const text = exporter.respond('text/plain');
+    const openMetrics = exporter.respond('application/openmetrics-text; version=1.0.0');
+    
+    expect(text.contentType).toBe('text/plain; version=0.0.4; charset=utf-8');
+    expect(text.body).toContain('# TYPE cosmic_fountain_heal_attempts_total counter\n');
+    expect(text.body).not.toContain('# EOF');
+    expect(openMetrics.contentType).toMatch(/^application\/openmetrics-text; version=1\.0\.0/);
+    expect(openMetrics.body.endsWith('# EOF\n')).toBe(true);
+  });
+});
@@ -0,0 +1,53 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const FileTemplateRegistry = require('../scripts/file-templates');
+const SelfHealingSystem = require('../scripts/heal');
+
+describe('ENOENT strategy', () => {
+  let dir;
+  let healer;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'missing-file-'));
+    healer = new SelfHealingSystem({
+      plugins: false,
+      store: { dir: path.join(dir, 'errors'), legacyPath: path.join(dir, 'error_history.json') },
+      fileTemplates: { root: dir, templates: {} }
+    });
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  const enoent = (syscall, filePath) => Object.assign(new Error(`${syscall} ${filePath} ENOENT`), {
+    code: 'ENOENT',
+    errno: -2,
+    syscall,
+    path: filePath
+  });
+
+  test('creates a file an fs call could not find', async () => {
+    const result = await healer.healMissingFile(enoent('open', path.join(dir, 'notes.txt')), {});
+    
+    expect(result.success).toBe(true);
+    expect(await fs.pathExists(path.join(dir, 'notes.txt'))).toBe(true);
+  });
+
+  test('leaves a missing command alone', async () => {
+    const result = await healer.healMissingFile(enoent('spawn webpack', 'webpack'), {});
+    
+    expect(result.success).toBe(false);
+    expect(await fs.pathExists(path.join(process.cwd(), 'webpack'))).toBe(false);
+  });
+
+  test('never runs a file name through a shell when looking it up in git', async () => {
+    const registry = new FileTemplateRegistry({ root: dir, templates: {} });
+    
+    await registry.resolve('x$(touch pwned)`touch pwned2`.txt');
+    
+    expect(await fs.readdir(dir)).not.toEqual(expect.arrayContaining(['pwned']));
+    expect(await fs.readdir(dir)).not.toEqual(expect.arrayContaining(['pwned2']));
+  });
+});
@@ -0,0 +1,49 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const NetworkRecoverySystem = require('../scripts/network-recovery');
+
+describe('NetworkRecoverySystem.pingEndpoint', () => {
+  const recovery = new NetworkRecoverySystem({ network: { timeoutMs: 2000 } });
+  let dir;
+
+  // A stand-in for ping that prints the arguments it got, one per line
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ping-'));
+    await fs.writeFile(path.join(dir, 'ping'), '#!/bin/sh\nfor arg in "$@"; do echo "$arg"; done\necho "time=1.5 ms"\n', { mode: 0o755 });
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('rejects endpoints ping could read as an option or a shell could run', () => {
+    for (const endpoint of ['-c', '-fexample.com', 'example.com;id', '$(id)', 'a b', '']) {
+      expect(recovery.isValidEndpoint(endpoint)).toBe(false);
+    }
+    for (const endpoint of ['example.com', '10.0.0.1', 'fe80::1', 'db-1']) {
+      expect(recovery.isValidEndpoint(endpoint)).toBe(true);
+    }
+  });
+
+  // In a plain Node process, since jest gives tests a copy of process.env
+  // that child_process does not see
+  test('hands the endpoint to ping as one argument', () => {
+    const script = `
+      const NetworkRecoverySystem = require(${JSON.stringify(require.resolve('../scripts/network-recovery'))});
+      new NetworkRecoverySystem({ network: { timeoutMs: 2000 } }).pingEndpoint('example.com')
+        .then(result => console.log(JSON.stringify(result)));
+    `;
+    const env = { ...process.env, PATH: `${dir}${path.delimiter}${process.env.PATH}` };
+    
+    const result = JSON.parse(execFileSync(process.execPath, ['-e', script], { encoding: 'utf8', env }));
+    
+    expect(result).toMatchObject({ success: true, responseTime: 1.5 });
+    expect(result.output.split('\n').slice(0, -1)).toEqual(['-c', '1', '-W', '2', 'example.com']);
+  });
+
+  test('never starts ping for an invalid endpoint', async () => {
+    expect(await recovery.pingEndpoint('-c 100 example.com')).toMatchObject({ success: false, code: 'EINVAL' });
+  });
+});
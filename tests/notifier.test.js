@@ -0,0 +1,107 @@
+const http = require('http');
+const Notifier = require('../scripts/notifier');
+
+const MINUTE_MS = 60 * 1000;
+// Local time, since quiet hours are in the machine's time zone
+const NIGHT = new Date(2024, 0, 31, 23, 30).getTime();
+const DAY = new Date(2024, 0, 31, 14, 0).getTime();
+
+const leak = { type: 'memory.alert', alertType: 'PROCESS_MEMORY_LEAK', count: 1, process: { name: 'node', pid: 42, memory: 900, growthRate: 12 } };
+
+describe('Notifier webhook sink', () => {
+  let server;
+  let url;
+  let received;
+  let respond;
+
+  beforeEach(async () => {
+    received = [];
+    respond = (req, res) => res.end();
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body: JSON.parse(body) });
+        respond(req, res);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const createNotifier = (options = {}, sink = {}) => new Notifier({
+    ...options,
+    sinks: [{ type: 'webhook', url, minSeverity: 'moderate', headers: { authorization: 'Bearer t' }, ...sink }]
+  });
+
+  test('posts the notification as JSON', async () => {
+    const result = await createNotifier().notifyEvent(leak);
+    
+    expect(result.deliveries).toEqual([{ sink: 'webhook-1', success: true }]);
+    expect(received).toHaveLength(1);
+    expect(received[0].headers).toMatchObject({ 'content-type': 'application/json', authorization: 'Bearer t' });
+    expect(received[0].body).toMatchObject({
+      event: 'memory.alert',
+      severity: 'high',
+      key: 'memory.alert:PROCESS_MEMORY_LEAK:node',
+      title: 'Memory leak suspected in node (PID 42)',
+      message: '900MB, growing 12MB/min',
+      repeats: 0,
+      data: { alertType: 'PROCESS_MEMORY_LEAK' }
+    });
+  });
+
+  test('sends the same alert once per dedupe window and counts what it held back', async () => {
+    const notifier = createNotifier({ dedupeWindowMs: 15 * MINUTE_MS });
+    const now = jest.spyOn(Date, 'now');
+    
+    now.mockReturnValue(DAY);
+    await notifier.notifyEvent(leak);
+    now.mockReturnValue(DAY + 5 * MINUTE_MS);
+    expect((await notifier.notifyEvent(leak)).suppressed).toBe('duplicate');
+    now.mockReturnValue(DAY + 10 * MINUTE_MS);
+    await notifier.notifyEvent(leak);
+    now.mockReturnValue(DAY + 16 * MINUTE_MS);
+    await notifier.notifyEvent(leak);
+    
+    expect(received.map(request => request.body.repeats)).toEqual([0, 2]);
+  });
+
+  test('holds back everything below the quiet hours severity', async () => {
+    const notifier = createNotifier({ quietHours: { start: '22:00', end: '07:00', minSeverity: 'critical' } });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(NIGHT);
+    
+    expect((await notifier.notifyEvent(leak)).suppressed).toBe('quiet-hours');
+    await notifier.notifyEvent({ type: 'process.crash-loop', reason: 'restarts', fingerprint: 'f', message: 'boom', reportPath: '/tmp/r' });
+    now.mockReturnValue(DAY);
+    await notifier.notifyEvent(leak);
+    
+    expect(received.map(request => request.body.event)).toEqual(['process.crash-loop', 'memory.alert']);
+  });
+
+  test('reports a non-2xx answer as a failed delivery', async () => {
+    respond = (req, res) => {
+      res.statusCode = 503;
+      res.end();
+    };
+    
+    const result = await createNotifier().notifyEvent(leak);
+    
+    expect(result.deliveries).toEqual([{ sink: 'webhook-1', success: false, error: expect.stringMatching(/answered 503/) }]);
+  });
+
+  test('gives up on a webhook that does not answer', async () => {
+    respond = () => {};
+    
+    const result = await createNotifier({}, { timeoutMs: 200 }).notifyEvent(leak);
+    
+    expect(result.deliveries).toEqual([{ sink: 'webhook-1', success: false, error: expect.stringMatching(/did not answer within 200ms/) }]);
+  });
+});
@@ -0,0 +1,106 @@
+const ProcessWatchList = require('../scripts/process-watch');
+const MemoryLeakDetector = require('../scripts/monitor');
+
+// Shaped like entries of si.processes().list; memRss is in KB
+const proc = (pid, name, params, memoryMB = 100) => ({ pid, name, command: name, params, memRss: memoryMB * 1024, cpu: 1 });
+
+const cwds = { 11: '/home/dev/app', 12: '/home/dev/app/packages/web', 13: '/home/dev/application' };
+const inspector = { getCwd: async pid => cwds[pid] || null };
+
+describe('ProcessWatchList', () => {
+  const processes = [
+    proc(10, 'node', '/usr/lib/node_modules/webpack-dev-server/bin/webpack-dev-server.js --hot'),
+    proc(11, 'node', 'node_modules/jest-worker/build/workers/processChild.js'),
+    proc(12, 'node', 'node_modules/jest-worker/build/workers/processChild.js'),
+    proc(13, 'node', 'node_modules/jest-worker/build/workers/processChild.js'),
+    proc(14, 'tsc', '--watch'),
+    proc(15, 'vim', 'webpack.config.js')
+  ];
+
+  test('matches by name, cmdline and cwd, and a process only belongs to its first entry', async () => {
+    const watchList = new ProcessWatchList([
+      { name: 'webpack', match: { name: 'node', cmdline: 'webpack-dev-server' } },
+      { name: 'jest', match: { cmdline: 'jest-worker', cwd: '/home/dev/app' } },
+      { name: 'tsc', match: { name: 'tsc', cmdline: '--watch' } },
+      { name: 'everything-node', match: { name: 'node' } }
+    ], { inspector });
+    
+    const matched = await watchList.match(processes);
+    const pids = name => matched.get(name).map(p => p.pid);
+    
+    expect(pids('webpack')).toEqual([10]);
+    // 13 runs in /home/dev/application, which is not below /home/dev/app
+    expect(pids('jest')).toEqual([11, 12]);
+    expect(pids('tsc')).toEqual([14]);
+    expect(pids('everything-node')).toEqual([13]);
+  });
+
+  test('an entry with nothing running is still listed', async () => {
+    const watchList = new ProcessWatchList([{ name: 'storybook', match: { cmdline: 'storybook' } }], { inspector });
+    
+    expect((await watchList.match(processes)).get('storybook')).toEqual([]);
+  });
+
+  test('entry thresholds override the global ones and judge any size by default', () => {
+    const watchList = new ProcessWatchList([]);
+    const defaults = { processMemoryMB: 1000, processGrowthRate: 10 };
+    
+    expect(watchList.thresholds({ thresholds: { processGrowthRate: 2 } }, defaults)).toEqual({ processMemoryMB: 0, processGrowthRate: 2 });
+    expect(watchList.thresholds({ thresholds: { processMemoryMB: 500 } }, defaults)).toEqual({ processMemoryMB: 500, processGrowthRate: 10 });
+  });
+});
+
+describe('MemoryLeakDetector watch-list', () => {
+  const createDetector = (thresholds) => {
+    const detector = new MemoryLeakDetector({
+      heal: { plugins: { packages: [] } },
+      monitor: {
+        history: { enabled: false },
+        watch: [{ name: 'dev-server', match: { cmdline: 'server\\.js' }, thresholds }]
+      }
+    });
+    detector.handleProcessMemoryLeak = jest.fn();
+    return detector;
+  };
+
+  const sampleEveryMinute = async (detector, processes) => {
+    const start = Date.now();
+    for (const [i, procs] of processes.entries()) {
+      jest.spyOn(Date, 'now').mockReturnValue(start + i * 60000);
+      await detector.checkWatchedProcess(detector.watchList.entry('dev-server'), procs, []);
+    }
+    jest.restoreAllMocks();
+  };
+
+  test('history continues when the process is restarted with a new PID', async () => {
+    const detector = createDetector({ processGrowthRate: 5 });
+    
+    await sampleEveryMinute(detector, [
+      [proc(100, 'node', 'server.js', 200)],
+      [proc(100, 'node', 'server.js', 220)],
+      [],
+      [proc(200, 'node', 'server.js', 240)],
+      [proc(200, 'node', 'server.js', 260)],
+      [proc(200, 'node', 'server.js', 280)]
+    ]);
+    
+    expect(detector.watchHistory.get('dev-server').map(sample => sample.memory)).toEqual([200, 220, 240, 260, 280]);
+    expect(detector.handleProcessMemoryLeak).toHaveBeenCalledWith(
+      expect.objectContaining({ pid: 200, watch: 'dev-server', pids: [200] }),
+      expect.objectContaining({ classification: 'steady_growth' })
+    );
+  });
+
+  test('uses the entry growth threshold and sums every matching process', async () => {
+    const detector = createDetector({ processGrowthRate: 50 });
+    
+    await sampleEveryMinute(detector, [1, 2, 3, 4, 5].map(i => [
+      proc(100, 'node', 'server.js', 100 + i * 10),
+      proc(101, 'node', 'server.js', 100 + i * 10)
+    ]));
+    
+    // Growing 20MB/min in total, under the entry's 50MB/min
+    expect(detector.watchHistory.get('dev-server').map(sample => sample.memory)).toEqual([220, 240, 260, 280, 300]);
+    expect(detector.handleProcessMemoryLeak).not.toHaveBeenCalled();
+  });
+});
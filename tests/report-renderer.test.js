@@ -0,0 +1,67 @@
+const ReportRenderer = require('../scripts/report-renderer');
+
+const sink = () => {
+  const chunks = [];
+  return { chunks, write: chunk => chunks.push(chunk) };
+};
+
+describe('ReportRenderer', () => {
+  const originalLog = console.log;
+  const originalInfo = console.info;
+
+  afterEach(() => {
+    console.log = originalLog;
+    console.info = originalInfo;
+    jest.restoreAllMocks();
+  });
+
+  test('prints text through the caller and writes nothing itself', () => {
+    const output = sink();
+    const printText = jest.fn();
+    const data = { total: 2 };
+    
+    expect(new ReportRenderer({ output }).render('stats', data, printText)).toBe(data);
+    expect(printText).toHaveBeenCalledWith(data);
+    expect(output.chunks).toEqual([]);
+  });
+
+  test('writes one versioned JSON document and skips the text printer', () => {
+    const output = sink();
+    const printText = jest.fn();
+    const renderer = new ReportRenderer({ json: true, output });
+    
+    renderer.render('stats', { total: 2 }, printText);
+    renderer.render('nested', { total: 3 });
+    
+    expect(printText).not.toHaveBeenCalled();
+    expect(output.chunks).toHaveLength(1);
+    const document = JSON.parse(output.chunks[0]);
+    expect(document).toEqual({
+      schema: 'cosmic-fountain/stats',
+      schemaVersion: ReportRenderer.SCHEMA_VERSION,
+      generatedAt: expect.any(String),
+      data: { total: 2 }
+    });
+    expect(new Date(document.generatedAt).toISOString()).toBe(document.generatedAt);
+  });
+
+  test('reports a failure as a document with an error and no data', () => {
+    const output = sink();
+    const error = Object.assign(new Error('no history'), { code: 'ENOENT' });
+    
+    expect(new ReportRenderer({ json: true, output }).renderError('stats', error)).toEqual({ success: false, error: 'no history' });
+    expect(JSON.parse(output.chunks[0])).toMatchObject({ error: { message: 'no history', code: 'ENOENT' }, data: null });
+  });
+
+  test('leaves stdout to the document by sending console output to stderr', () => {
+    const stderr = jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    new ReportRenderer({ output: sink() }).captureConsole();
+    expect(console.log).toBe(originalLog);
+    
+    new ReportRenderer({ json: true, output: sink() }).captureConsole();
+    console.log('progress');
+    console.info('detail');
+    expect(stderr.mock.calls).toEqual([['progress'], ['detail']]);
+  });
+});
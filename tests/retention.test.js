@@ -0,0 +1,59 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ErrorStore = require('../scripts/error-store');
+const RetentionManager = require('../scripts/retention');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('RetentionManager', () => {
+  let dir;
+  let store;
+  let retention;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'retention-'));
+    store = new ErrorStore({ dir: path.join(dir, 'error-store'), legacyPath: path.join(dir, 'error_history.json') });
+    retention = new RetentionManager({ logsDir: dir, store, artifacts: { errors: { maxCount: 2 } } });
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  const daysAgo = days => new Date(Date.now() - days * DAY_MS).toISOString();
+  const error = (id, lastSeenDaysAgo) => ({ id, error_type: 'ENOENT', timestamp: daysAgo(10), last_seen: daysAgo(lastSeenDaysAgo), occurrences: 1 });
+
+  test('evicts the errors seen longest ago, whatever order they were stored in', async () => {
+    // Stored newest first, and the oldest record was seen again today
+    for (const record of [error('recent', 1), error('stale', 5), error('old-but-back', 0)]) {
+      await store.put(record);
+    }
+    
+    const plan = await retention.apply('errors', { dryRun: true });
+    const result = await retention.apply('errors');
+    
+    expect(plan.dropped).toBe(1);
+    expect(result.dropped).toBe(1);
+    expect((await store.all()).map(record => record.id).sort()).toEqual(['old-but-back', 'recent']);
+    expect((await fs.readJson(path.join(dir, 'aggregates/errors.json'))).days).toEqual({
+      [daysAgo(5).slice(0, 10)]: { count: 1, by: { ENOENT: 1 }, totals: { occurrences: 1 } }
+    });
+  });
+
+  test('trims a log file under the lock its writers take', async () => {
+    const file = path.join(dir, 'git-enhancements.json');
+    await fs.writeJson(file, [{ type: 'a' }]);
+    let applied;
+    
+    await retention.withFileLock(file, async () => {
+      applied = retention.apply('git-enhancements', { dryRun: true });
+      // A hook appends while retention waits for the lock
+      await new Promise(resolve => setTimeout(resolve, 100));
+      await fs.writeJson(file, Array.from({ length: 101 }, () => ({ type: 'a' })));
+    });
+    
+    expect((await applied).dropped).toBe(1);
+    expect(await fs.pathExists(`${file}.lock`)).toBe(false);
+  });
+});
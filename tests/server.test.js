@@ -0,0 +1,114 @@
+const http = require('http');
+const si = require('systeminformation');
+const ControlPlaneServer = require('../src/server');
+const ProcessWatchList = require('../scripts/process-watch');
+
+const createFountain = () => ({
+  healer: {
+    attemptHealing: jest.fn(async () => ({ success: true })),
+    undoHealing: jest.fn(async () => ({ success: true }))
+  },
+  healAllSystems: jest.fn(async () => ({ success: true })),
+  planHealing: jest.fn(async () => ({ steps: [] })),
+  memoryDetector: {
+    watchList: new ProcessWatchList([
+      { name: 'dev-server', match: { cmdline: 'server\\.js' }, start: { command: 'npm run dev' } }
+    ])
+  },
+  logger: { error: () => {} }
+});
+
+describe('ControlPlaneServer', () => {
+  let fountain;
+  let server;
+  let port;
+
+  const start = async (options = {}) => {
+    fountain = createFountain();
+    const controlPlane = new ControlPlaneServer(fountain, options);
+    server = http.createServer(controlPlane.app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  };
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const request = (method, path, { body, headers = {} } = {}) => new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+
+  const postJson = (path, body, headers = {}) => request('POST', path, {
+    body: JSON.stringify(body),
+    headers: { 'content-type': 'application/json', ...headers }
+  });
+
+  test('turns away a cross-site text/plain POST without healing anything', async () => {
+    await start();
+    
+    const response = await request('POST', '/heal', { body: '{}', headers: { 'content-type': 'text/plain' } });
+    
+    expect(response.status).toBe(415);
+    expect(fountain.healAllSystems).not.toHaveBeenCalled();
+  });
+
+  test('needs an explicit "all" to heal everything', async () => {
+    await start();
+    
+    expect((await postJson('/heal', {})).status).toBe(400);
+    expect(fountain.healAllSystems).not.toHaveBeenCalled();
+    
+    expect((await postJson('/heal', { all: true })).status).toBe(200);
+    expect(fountain.healAllSystems).toHaveBeenCalled();
+  });
+
+  test('rejects foreign origins and hosts', async () => {
+    await start();
+    
+    expect((await postJson('/heal', { all: true }, { origin: 'https://evil.example' })).status).toBe(403);
+    expect((await request('GET', '/heal', { headers: { host: 'rebound.example:7777' } })).status).toBe(403);
+    expect((await postJson('/heal', { all: true, plan: true }, { origin: `http://localhost:${port}` })).status).toBe(200);
+  });
+
+  test('requires the token when one is configured', async () => {
+    await start({ token: 's3cret' });
+    
+    expect((await postJson('/heal', { all: true })).status).toBe(401);
+    expect((await postJson('/heal', { all: true }, { authorization: 'Bearer s3cret' })).status).toBe(200);
+  });
+
+  test('never takes commands from the request context', async () => {
+    await start();
+    jest.spyOn(si, 'processes').mockResolvedValue({
+      list: [{ pid: 4242, name: 'node', command: 'node', params: 'server.js', memRss: 1024, cpu: 1 }]
+    });
+    
+    await postJson('/heal', {
+      error: { message: 'Process died', code: 'PROCESS_DIED' },
+      context: { command: 'touch /tmp/pwned', processName: 'main' }
+    });
+    await postJson('/heal', {
+      error: { message: 'Process memory leak: dev-server', code: 'PROCESS_MEMORY_LEAK' },
+      context: { process: { name: 'node', pid: 4242, watch: 'dev-server', pids: [1], start: { command: 'touch /tmp/pwned' } } }
+    });
+    await postJson('/heal', {
+      error: { message: 'Process memory leak: other', code: 'PROCESS_MEMORY_LEAK' },
+      context: { process: { name: 'node', pid: 1, watch: 'dev-server' } }
+    });
+    
+    const [died, watched, unmatched] = fountain.healer.attemptHealing.mock.calls.map(call => call[1]);
+    expect(died).toEqual({ processName: 'main' });
+    expect(watched.process).toMatchObject({ pid: 4242, watch: 'dev-server', pids: [4242], start: { command: 'npm run dev' } });
+    // PID 1 is not one of the entry's processes, so it is treated as unwatched
+    expect(unmatched.process).not.toHaveProperty('watch');
+    expect(unmatched.process).not.toHaveProperty('start');
+  });
+});
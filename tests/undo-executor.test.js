@@ -0,0 +1,136 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const UndoExecutor = require('../scripts/undo-executor');
+const ProcessInspector = require('../scripts/process-info');
+const SelfHealingSystem = require('../scripts/heal');
+
+const sleeper = () => {
+  const child = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 60000)'], { stdio: 'ignore' });
+  return new Promise(resolve => child.once('spawn', () => resolve(child)));
+};
+
+describe('UndoExecutor process steps', () => {
+  const executor = new UndoExecutor({ inspector: new ProcessInspector({ pollInterval: 20 }) });
+  const children = [];
+
+  afterEach(() => {
+    children.splice(0).forEach(child => child.kill('SIGKILL'));
+  });
+
+  test('stops the process the heal started', async () => {
+    const child = await sleeper();
+    children.push(child);
+    const step = await executor.killStep(child.pid, 'sleeper');
+    
+    const [result] = await executor.execute([step]);
+    
+    expect(result).toMatchObject({ success: true, exited: true });
+  });
+
+  test('leaves a reused PID alone', async () => {
+    const child = await sleeper();
+    children.push(child);
+    const step = { ...await executor.killStep(child.pid, 'sleeper'), startTime: '1' };
+    
+    const [result] = await executor.execute([step]);
+    
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/not the process the heal started/);
+    expect(executor.inspector.isAlive(child.pid)).toBe(true);
+  });
+
+  test('refuses a step that recorded nothing but the PID', async () => {
+    const [result] = await executor.execute([{ type: 'kill_process', pid: process.pid }]);
+    
+    expect(result.success).toBe(false);
+  });
+
+  test('restarts a process from its argv without a shell', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'undo-'));
+    
+    try {
+      const [result] = await executor.execute([{
+        type: 'restart_process',
+        cmdline: 'ignored',
+        argv: [process.execPath, '-e', 'require("fs").writeFileSync(process.argv[1], "ran")', 'marker; touch shell-ran'],
+        cwd: dir
+      }]);
+      expect(result.success).toBe(true);
+      
+      await executor.inspector.waitForExit(result.pid, 5000);
+      // One file named after the whole argument, and no shell to run touch
+      expect(await fs.readdir(dir)).toEqual(['marker; touch shell-ran']);
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+
+  test('runs a command step from its argv without a shell', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'undo-'));
+    
+    try {
+      const [result] = await executor.execute([{
+        type: 'run_command',
+        file: process.execPath,
+        args: ['-e', 'require("fs").writeFileSync(process.argv[1], "ran")', 'pkg;touch shell-ran'],
+        cwd: dir
+      }]);
+      
+      expect(result.success).toBe(true);
+      expect(await fs.readdir(dir)).toEqual(['pkg;touch shell-ran']);
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+});
+
+describe('SelfHealingSystem.undoHealing', () => {
+  let dir;
+  let healer;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'undo-healing-'));
+    healer = new SelfHealingSystem({ plugins: false, store: { dir: path.join(dir, 'errors'), legacyPath: path.join(dir, 'error_history.json') } });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(dir);
+  });
+
+  const healed = undo => healer.logError(Object.assign(new Error('boom'), { code: 'ENOENT' }), {}, {
+    strategy: 'ENOENT',
+    result: { success: true, undo }
+  });
+
+  test('a failed undo is recorded but can be tried again', async () => {
+    const file = path.join(dir, 'created.txt');
+    const id = await healed([{ type: 'delete_file', path: file }, { type: 'no_such_step' }]);
+    await fs.writeFile(file, '');
+    
+    expect((await healer.undoHealing(id)).success).toBe(false);
+    
+    const [attempt] = (await healer.store.get(id)).resolution_attempts;
+    expect(attempt.undone_at).toBeUndefined();
+    expect(attempt.undo_result).toMatchObject({ success: false });
+    expect((await healer.store.get(id)).resolved).toBe(true);
+    expect(await healer.undoHealing(id)).toMatchObject({ success: false, strategy: 'ENOENT' });
+  });
+
+  test('a complete undo marks the attempt undone and the error unresolved', async () => {
+    const file = path.join(dir, 'created.txt');
+    const id = await healed([{ type: 'delete_file', path: file }]);
+    await fs.writeFile(file, '');
+    
+    expect((await healer.undoHealing(id)).success).toBe(true);
+    
+    const record = await healer.store.get(id);
+    expect(record.resolution_attempts[0].undone_at).toEqual(expect.any(String));
+    expect(record.resolved).toBe(false);
+    expect(await fs.pathExists(file)).toBe(false);
+    expect(await healer.undoHealing(id)).toEqual({ success: false, error: `Nothing to undo for error ${id}` });
+  });
+});